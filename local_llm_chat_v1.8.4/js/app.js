@@ -9,16 +9,29 @@
  *   - GET  /api/v1/models  (LM Studio v1 API - v0.4.0+)
  *   - POST /api/v1/models/load  (LM Studio v1 API - モデルロード)
  *   - POST /api/v1/models/unload  (LM Studio v1 API - モデルアンロード)
+ *   - GET  /api/tags, /api/ps, POST /api/show  (Ollama - モデル一覧・ロード状態・詳細)
+ *   - POST /api/chat  (Ollama - NDJSON stream。options で num_ctx 等を指定)
+ *   - POST /api/generate  (Ollama - ロード / keep_alive: 0 でアンロード), POST /api/pull  (モデル取得)
+ *   - GET  /props, /slots  (llama.cpp server - 判定・コンテキスト長・Vision対応)
+ *   - POST /tokenize  (llama.cpp 互換 - トークン数の計測。非対応なら推定にフォールバック)
  *
  * 永続化（localStorage）:
- *   - localLLMChat_history      : 会話履歴（配列）
+ *   - localLLMChat_history      : 会話履歴（v1.8.0以前の形式。移行時のみ読込）
  *   - localLLMChat_settings     : 設定（Base URL / Key / temperature 等）
  *   - localLLMChat_presets      : プリセットのカスタム文面
  *   - localLLMChat_presetLabels : プリセットのラベル
  *   - localLLMChat_draft        : 入力中の下書き
  *   - localLLMChat_modelVisibility : モデル表示フィルター
- *   - localLLMChat_sessions     : セッション管理
  *   - localLLMChat_currentSessionId : 現在のセッションID
+ *   - localLLMChat_sessionsBackup : IndexedDB への移行時に読めなかったセッション（退避）
+ *   - localLLMChat_tokenRatios  : モデルごとの文字数/トークン比（usage から学習）
+ *   - localLLMChat_samplingProfiles : 詳細パラメータのプロファイル（モデルへの紐付け）
+ *   - localLLMChat_connections  : 追加の接続先（名前・URL・キー・種類）
+ *
+ * 永続化（IndexedDB: localLLMChat_images）:
+ *   - images   : 添付画像（idb:<key> 参照）
+ *   - sessions : セッションのメタ情報（v1.9.0〜。旧 localLLMChat_sessions から自動移行）
+ *   - messages : 会話メッセージ（1件ずつ差分保存）
  *
  * v1.8.0 新機能 (2026-02-25):
  *   - 🧠 reasoning_effort パラメータ: モデルの推論レベルを設定可能
@@ -66,6 +79,53 @@
    * @property {string} content
    * @property {string=} imageData  - user添付画像（DataURL）先頭1枚（後方互換）
    * @property {string[]=} imageDataList - user添付画像の全リスト
+   * @property {string=} id
+   * @property {string|null=} parentId - 会話ツリー上の親メッセージID（先頭はnull）
+   * @property {number=} createdAt - 作成時刻（ms）。兄弟分岐の並び順に使用
+   * @property {number=} stashedAt - アクティブパスから外れた時刻（ms）。分岐復帰時の選択に使用
+   * @property {string[]=} attachmentNames - user添付ファイル名（検索用）
+   * @property {ToolCallRecord[]=} toolCalls - assistantが応答中に実行したツール呼び出し（v1.9.0）
+   * @property {string=} structuredOutput - user: 構造化出力で送信した場合の STRUCTURED_OUTPUTS のキー（v1.9.0）
+   * @property {{schema: string, data: any}=} structured - assistant: スキーマ検証済みの構造化データ（v1.9.0）
+   * @property {("length"|"error")=} truncated - assistant: 途中で終了した応答（length: Max Tokens に達した / error: 通信エラー・タイムアウト）（v1.9.0）
+   * @property {CompareResponse[]=} compare - assistant: 比較モードの全モデルの応答（表示順）（v1.9.0）
+   * @property {number=} compareSelected - compare のうち会話を続ける応答の位置（content はこの応答と同じ）
+   * @property {{revealed: boolean, winner?: string}=} blind - 比較ターンのブラインド評価（revealed: 投票済み・モデル名を表示）
+   */
+  /**
+   * @typedef {Object} CompareResponse - 比較ターンの1モデル分の応答（v1.9.0）
+   * @property {string} model
+   * @property {string} content
+   * @property {number=} elapsedMs
+   * @property {Object=} usage
+   * @property {("stopped"|"error")=} status - 正常に終わらなかった応答
+   * @property {string=} error - エラー時の表示文
+   * @property {SweepParams=} params - パラメータスイープの列の設定
+   */
+  /**
+   * @typedef {Object} SweepParams - パラメータスイープの1列分の設定（v1.9.0。未指定の項目は現在の設定を使う）
+   * @property {number=} temperature
+   * @property {string=} systemPreset - System Promptプリセットのキー（SYSTEM_PROMPT_BUILTINS またはユーザー定義の名前）
+   * @property {("on"|"off")=} thinking
+   */
+  /**
+   * @typedef {Object} TopicBreak - 話題の区切り（v1.9.0）
+   * @property {string} afterMsgId - 区切りの直前のメッセージID
+   * @property {number} createdAt
+   * @property {boolean=} disabled - true: 区切りを解除中（前の話題もAPIに送信）
+   */
+  /**
+   * @typedef {Object} QueuedPrompt - 応答の生成中に入力された送信待ちのメッセージ（v1.9.0、セッションに保存）
+   * @property {string} id
+   * @property {string} text
+   * @property {number} createdAt
+   */
+  /**
+   * @typedef {Object} RollingSummary - 省略された古い会話の要約（v1.9.0、セッションに保存）
+   * @property {string} text
+   * @property {string} upToMsgId - 要約に含まれる最後のメッセージID
+   * @property {string} updatedAt
+   * @property {boolean=} edited - true: ユーザーが編集済み
    */
   /**
    * @typedef {Object} Settings
@@ -82,6 +142,23 @@
    * @property {string=} userProfession
    * @property {string=} userInterests
    * @property {boolean} darkMode
+   * @property {SamplingParams=} sampling - v1.9.0: 詳細パラメータ
+   * @property {number} retryMaxAttempts - v1.9.0: 自動再試行の回数（0 = 再試行しない）
+   * @property {number} retryBaseDelaySec - v1.9.0: 最初の再試行までの待ち時間（以降は倍々）
+   * @property {number} firstTokenTimeoutSec - v1.9.0: 送信から最初のトークンまでのタイムアウト
+   * @property {number} streamIdleTimeoutSec - v1.9.0: トークン間（データの受信間隔）のタイムアウト
+   */
+  /**
+   * @typedef {Object} SamplingParams - 詳細パラメータ（null はサーバーの既定値を使う = 送信しない）
+   * @property {number|null} topP
+   * @property {number|null} topK
+   * @property {number|null} minP
+   * @property {number|null} repeatPenalty
+   * @property {number|null} presencePenalty
+   * @property {number|null} frequencyPenalty
+   * @property {number|null} seed
+   * @property {number|null} numCtx - Ollama のみ（options.num_ctx）
+   * @property {string[]} stop
    */
 
   // ---------------------------------------------------------------------------
@@ -97,7 +174,11 @@
     SYSTEM_PROMPT_PRESETS: "localLLMChat_systemPromptPresets",  // v1.7.2
     MODEL_VISIBILITY: "localLLMChat_modelVisibility",          // v1.8.0
     SESSIONS: "localLLMChat_sessions",                         // v1.8.0
+    SESSIONS_BACKUP: "localLLMChat_sessionsBackup",            // v1.9.0: 移行時に読めなかったセッションの退避先
     CURRENT_SESSION_ID: "localLLMChat_currentSessionId",       // v1.8.0
+    TOKEN_RATIOS: "localLLMChat_tokenRatios",                  // v1.9.0
+    SAMPLING_PROFILES: "localLLMChat_samplingProfiles",        // v1.9.0
+    CONNECTIONS: "localLLMChat_connections",                   // v1.9.0
   });
 
   // 旧バージョンのキー（マイグレーション用）
@@ -169,6 +250,12 @@
     MIN_TEXTAREA_PX: 56,
     IDB_IMAGE_WARN_MB: 200,             // IndexedDB画像 警告しきい値 (MB)
     IDB_IMAGE_MAX_MB: 500,              // IndexedDB画像 自動削除しきい値 (MB)
+    MAX_SESSIONS: 100,                  // 通常セッションの保存上限（ピン留め・アーカイブは対象外）
+    TRASH_RETENTION_DAYS: 30,           // ゴミ箱の保持期間（日）
+    MAX_TOOL_ROUNDS: 5,                 // 1回の送信でツールを呼び出せる最大ラウンド数
+    MAX_QUEUED_PROMPTS: 20,             // 送信待ちキューの上限（件）
+    MAX_COMPARE_MODELS: 4,              // 比較モードで並べるモデル数の上限（メインモデルを含む）
+    DIFF_MAX_CELLS: 2000000,            // 回答の差分計算（最長共通部分列）の表の上限（行×列）
   });
 
   // ---------------------------------------------------------------------------
@@ -176,8 +263,11 @@
   // ---------------------------------------------------------------------------
 
   const IDB_NAME = "localLLMChat_images";
-  const IDB_VERSION = 1;
+  const IDB_VERSION = 3;
   const IDB_STORE = "images";
+  const IDB_SESSIONS_STORE = "sessions";  // v1.9.0
+  const IDB_MESSAGES_STORE = "messages";  // v1.9.0
+  const IDB_VOTES_STORE = "votes";        // v1.9.0: ブラインド評価の投票
 
   /** @type {IDBDatabase|null} */
   let _idb = null;
@@ -195,8 +285,24 @@
         if (!db.objectStoreNames.contains(IDB_STORE)) {
           db.createObjectStore(IDB_STORE);
         }
+        // v2: セッション/メッセージ用ストア
+        if (!db.objectStoreNames.contains(IDB_SESSIONS_STORE)) {
+          db.createObjectStore(IDB_SESSIONS_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(IDB_MESSAGES_STORE)) {
+          db.createObjectStore(IDB_MESSAGES_STORE, { keyPath: ["sessionId", "id"] });
+        }
+        // v3: ブラインド評価の投票用ストア
+        if (!db.objectStoreNames.contains(IDB_VOTES_STORE)) {
+          db.createObjectStore(IDB_VOTES_STORE, { keyPath: "id" });
+        }
+      };
+      req.onsuccess = () => {
+        _idb = req.result;
+        // 別タブでバージョンアップされた場合は接続を閉じて再オープンさせる
+        _idb.onversionchange = () => { _idb?.close(); _idb = null; };
+        resolve(_idb);
       };
-      req.onsuccess = () => { _idb = req.result; resolve(_idb); };
       req.onerror = () => reject(req.error);
     });
   }
@@ -443,6 +549,267 @@
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // v1.9.0: IndexedDB: セッション/メッセージの保存（localStorage 5MB上限回避）
+  //   sessions ストア: セッションのメタ情報（history/branches を除く）
+  //   messages ストア: 1メッセージ = 1レコード。前回書き込みから変化したものだけ保存する
+  // ---------------------------------------------------------------------------
+
+  /** "idb": IndexedDB に保存 / "localStorage": IndexedDB が使えない環境でのフォールバック */
+  let sessionBackend = "idb";
+
+  /** 前回書き込んだ内容（差分検出用） sessionId -> JSON */
+  const _persistedSessionMeta = new Map();
+  /** 前回書き込んだメッセージ sessionId -> (msgId -> JSON) */
+  const _persistedMessages = new Map();
+  /** 前回書き込んだ時点の [history, branches] 配列。同一参照ならメッセージの差分検出を省略 */
+  let _persistedArrays = new WeakMap();
+
+  let _sessionWriteQueue = Promise.resolve();
+  let _sessionWritePending = false;
+
+  /**
+   * セッションから IndexedDB 保存用のメタ情報を作る
+   * @param {Object} session
+   * @param {number} order - sessions 配列内の位置（読込時の並び順）
+   * @returns {Object}
+   */
+  function toSessionRecord(session, order) {
+    const { history, branches, ...meta } = session;
+    return { ...meta, order };
+  }
+
+  /**
+   * メッセージを IndexedDB 保存用のレコードにする
+   * @param {string} sessionId
+   * @param {StoredMessage} m
+   * @param {number} seq - アクティブパス上の位置（分岐ノードは -1）
+   * @returns {Object}
+   */
+  function toMessageRecord(sessionId, m, seq) {
+    return { ...m, sessionId, seq };
+  }
+
+  /**
+   * sessions の変更分を IndexedDB に書き込む（1トランザクション）
+   */
+  async function flushSessionsToIdb() {
+    _sessionWritePending = false;
+    const db = await openImageDb();
+
+    const sessionPuts = [];
+    const sessionDeletes = [];
+    const messagePuts = [];
+    const messageDeletes = [];
+    /** @type {Array<{session: Object, arrays: Array, written: Map<string, string>}>} */
+    const staged = [];
+
+    const liveIds = new Set();
+    sessions.forEach((s, order) => {
+      liveIds.add(s.id);
+      const record = toSessionRecord(s, order);
+      const json = JSON.stringify(record);
+      if (_persistedSessionMeta.get(s.id) !== json) sessionPuts.push({ record, json });
+
+      const arrays = _persistedArrays.get(s);
+      if (arrays && arrays[0] === s.history && arrays[1] === s.branches) return;
+
+      const prev = _persistedMessages.get(s.id) || new Map();
+      const written = new Map();
+      const add = (m, seq) => {
+        if (!m.id) m.id = generateMsgId();
+        const rec = toMessageRecord(s.id, m, seq);
+        const recJson = JSON.stringify(rec);
+        written.set(m.id, recJson);
+        if (prev.get(m.id) !== recJson) messagePuts.push(rec);
+      };
+      (s.history || []).forEach((m, i) => add(m, i));
+      (s.branches || []).forEach(m => add(m, -1));
+      for (const id of prev.keys()) {
+        if (!written.has(id)) messageDeletes.push([s.id, id]);
+      }
+      staged.push({ session: s, arrays: [s.history, s.branches], written });
+    });
+
+    // 削除されたセッションはメッセージごと消す
+    for (const id of _persistedSessionMeta.keys()) {
+      if (liveIds.has(id)) continue;
+      sessionDeletes.push(id);
+      for (const msgId of (_persistedMessages.get(id) || new Map()).keys()) {
+        messageDeletes.push([id, msgId]);
+      }
+    }
+
+    if (sessionPuts.length + sessionDeletes.length + messagePuts.length + messageDeletes.length > 0) {
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction([IDB_SESSIONS_STORE, IDB_MESSAGES_STORE], "readwrite");
+        const sessionStore = tx.objectStore(IDB_SESSIONS_STORE);
+        const messageStore = tx.objectStore(IDB_MESSAGES_STORE);
+        sessionPuts.forEach(({ record }) => sessionStore.put(record));
+        sessionDeletes.forEach(id => sessionStore.delete(id));
+        messagePuts.forEach(rec => messageStore.put(rec));
+        messageDeletes.forEach(key => messageStore.delete(key));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    }
+
+    // 書き込み成功後に差分キャッシュを更新（失敗時は次回に再送される）
+    sessionPuts.forEach(({ record, json }) => _persistedSessionMeta.set(record.id, json));
+    sessionDeletes.forEach(id => {
+      _persistedSessionMeta.delete(id);
+      _persistedMessages.delete(id);
+    });
+    staged.forEach(({ session, arrays, written }) => {
+      _persistedMessages.set(session.id, written);
+      _persistedArrays.set(session, arrays);
+    });
+  }
+
+  /**
+   * IndexedDB から全セッションを読み込む
+   * @returns {Promise<Array<Object>>}
+   */
+  async function readSessionsFromIdb() {
+    const db = await openImageDb();
+    const [sessionRecords, messageRecords] = await new Promise((resolve, reject) => {
+      const tx = db.transaction([IDB_SESSIONS_STORE, IDB_MESSAGES_STORE], "readonly");
+      const sessionReq = tx.objectStore(IDB_SESSIONS_STORE).getAll();
+      const messageReq = tx.objectStore(IDB_MESSAGES_STORE).getAll();
+      tx.oncomplete = () => resolve([sessionReq.result, messageReq.result]);
+      tx.onerror = () => reject(tx.error);
+    });
+
+    /** @type {Map<string, {history: Array, branches: Array}>} */
+    const grouped = new Map();
+    for (const rec of messageRecords) {
+      const { sessionId, seq, ...m } = rec;
+      let g = grouped.get(sessionId);
+      if (!g) { g = { history: [], branches: [] }; grouped.set(sessionId, g); }
+      if (seq >= 0) g.history.push({ seq, m });
+      else g.branches.push(m);
+      // 読み込んだ内容を差分キャッシュに登録（起動直後の全件書き戻しを防ぐ）
+      if (!_persistedMessages.has(sessionId)) _persistedMessages.set(sessionId, new Map());
+      _persistedMessages.get(sessionId).set(m.id, JSON.stringify(rec));
+    }
+
+    return sessionRecords
+      .sort((a, b) => a.order - b.order)
+      .map(rec => {
+        const { order, ...meta } = rec;
+        _persistedSessionMeta.set(meta.id, JSON.stringify(rec));
+        const g = grouped.get(meta.id) || { history: [], branches: [] };
+        return {
+          ...meta,
+          history: g.history.sort((a, b) => a.seq - b.seq).map(h => h.m),
+          branches: g.branches,
+        };
+      });
+  }
+
+  /**
+   * localStorage のセッション（v1.8.x形式）を IndexedDB へ移行する
+   * IndexedDB 側が空の場合のみ移行し、成功したら旧キーを削除
+   * 旧データを読めない場合は削除せず STORAGE_KEYS.SESSIONS_BACKUP へ退避する（退避できなければそのまま残す）
+   */
+  async function migrateSessionsToIdb() {
+    const raw = localStorage.getItem(STORAGE_KEYS.SESSIONS);
+    if (!raw) return;
+
+    const db = await openImageDb();
+    const count = await new Promise((resolve, reject) => {
+      const req = db.transaction(IDB_SESSIONS_STORE, "readonly").objectStore(IDB_SESSIONS_STORE).count();
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    if (count === 0) {
+      const parsed = safeJSONParse(raw, null);
+      if (!Array.isArray(parsed)) {
+        console.warn(`[Migration] ${STORAGE_KEYS.SESSIONS} を読み込めませんでした`);
+        try {
+          localStorage.setItem(STORAGE_KEYS.SESSIONS_BACKUP, raw);
+          localStorage.removeItem(STORAGE_KEYS.SESSIONS);
+          startupNotices.push(`⚠️ 保存されていた会話履歴を読み込めませんでした（元のデータは ${STORAGE_KEYS.SESSIONS_BACKUP} に退避しました）`);
+        } catch (e) {
+          console.warn("[Migration] 退避失敗:", e);
+          startupNotices.push("⚠️ 保存されていた会話履歴を読み込めませんでした（元のデータはそのまま残しています）");
+        }
+        return;
+      }
+      sessions = parsed;
+      await flushSessionsToIdb();
+      console.log(`[Migration] ${STORAGE_KEYS.SESSIONS} → IndexedDB (${sessions.length}件)`);
+    } else {
+      // 両方ある場合は IndexedDB を優先
+      console.log(`[Migration] Removed legacy key: ${STORAGE_KEYS.SESSIONS}`);
+    }
+    localStorage.removeItem(STORAGE_KEYS.SESSIONS);
+    localStorage.removeItem(STORAGE_KEYS.HISTORY);
+  }
+
+  /**
+   * IndexedDB のセッション/メッセージをすべて削除する
+   * @returns {Promise<void>}
+   */
+  async function clearAllSessionsFromIdb() {
+    _persistedSessionMeta.clear();
+    _persistedMessages.clear();
+    _persistedArrays = new WeakMap();
+    const db = await openImageDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([IDB_SESSIONS_STORE, IDB_MESSAGES_STORE], "readwrite");
+      tx.objectStore(IDB_SESSIONS_STORE).clear();
+      tx.objectStore(IDB_MESSAGES_STORE).clear();
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * ブラインド評価の投票を IndexedDB に保存する（v1.9.0）
+   * @param {BlindVote} vote
+   * @returns {Promise<void>}
+   */
+  async function saveVoteToIdb(vote) {
+    const db = await openImageDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(IDB_VOTES_STORE, "readwrite");
+      tx.objectStore(IDB_VOTES_STORE).put(vote);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * ブラインド評価の投票をすべて読み込む（投票日時の古い順）（v1.9.0）
+   * @returns {Promise<BlindVote[]>}
+   */
+  async function loadVotesFromIdb() {
+    const db = await openImageDb();
+    const votes = await new Promise((resolve, reject) => {
+      const req = db.transaction(IDB_VOTES_STORE, "readonly").objectStore(IDB_VOTES_STORE).getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+    return votes.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * ブラインド評価の投票をすべて削除する（v1.9.0）
+   * @returns {Promise<void>}
+   */
+  async function clearVotesFromIdb() {
+    const db = await openImageDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(IDB_VOTES_STORE, "readwrite");
+      tx.objectStore(IDB_VOTES_STORE).clear();
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   // /v1/models から取得したIDのうち、埋め込み系を除外するためのキーワード
   const EMBEDDING_KEYWORDS = Object.freeze(["embed", "embedding", "bge", "e5-", "gte-", "jina"]);
 
@@ -476,6 +843,23 @@
     UNLOAD: "/api/v1/models/unload", // POST: モデルアンロード
   });
 
+  // v1.9.0: Ollama ネイティブAPI エンドポイント（APIルートからの相対パス）
+  const OLLAMA_API = Object.freeze({
+    VERSION: "/api/version",   // GET: サーバーバージョン（検出用）
+    TAGS: "/api/tags",         // GET: ダウンロード済みモデル
+    SHOW: "/api/show",         // POST: モデル詳細（コンテキスト長・capabilities）
+    PS: "/api/ps",             // GET: ロード中のモデル
+    CHAT: "/api/chat",         // POST: チャット（NDJSONストリーム）
+    GENERATE: "/api/generate", // POST: ロード/アンロード（keep_alive）
+    PULL: "/api/pull",         // POST: モデル取得
+  });
+
+  // v1.9.0: llama.cpp server エンドポイント（APIルートからの相対パス）
+  const LLAMACPP_API = Object.freeze({
+    PROPS: "/props", // GET: サーバー設定（検出用・n_ctx・modalities）
+    SLOTS: "/slots", // GET: スロットごとの n_ctx（--no-slots で無効）
+  });
+
   // モデル状態（/api/v1/models のレスポンス）
   const MODEL_STATE = Object.freeze({
     LOADED: "loaded",
@@ -483,6 +867,19 @@
   });
 
   // デフォルト設定値
+  /** 詳細パラメータの既定値（すべてサーバーの既定値を使う） */
+  const DEFAULT_SAMPLING = Object.freeze({
+    topP: null,
+    topK: null,
+    minP: null,
+    repeatPenalty: null,
+    presencePenalty: null,
+    frequencyPenalty: null,
+    seed: null,
+    numCtx: null,
+    stop: Object.freeze([]),
+  });
+
   const DEFAULT_SETTINGS = Object.freeze({
     baseUrl: "http://localhost:1234/v1",
     apiKey: "lmstudio",
@@ -504,6 +901,22 @@
     showSamplePrompts: true, // プロンプト集ボタンの表示
     hideThinking: false,     // 思考プロセス表示を非表示
     enableQwen3Thinking: false, // Qwen3のThinkingモードを有効化（デフォルト: 無効）
+    autoSessionTitle: false,    // v1.9.0: 最初の応答後にLLMでタイトル/要約を生成
+    rollingSummary: false,      // v1.9.0: 省略される古い会話をLLMで要約して送信
+    enableTools: false,         // v1.9.0: ツール呼び出し（tools）を送信
+    sampling: DEFAULT_SAMPLING, // v1.9.0: top_p / top_k / seed / stop 等の詳細パラメータ
+    retryMaxAttempts: 3,        // v1.9.0: 接続エラー・5xx の自動再試行回数
+    retryBaseDelaySec: 2,       // v1.9.0: 再試行の待ち時間（2秒 → 4秒 → 8秒…）
+    firstTokenTimeoutSec: 300,  // v1.9.0: CPU推論の大きなモデルはプロンプト処理に数分かかる
+    streamIdleTimeoutSec: 60,   // v1.9.0: 生成開始後のトークン間のタイムアウト
+  });
+
+  /** v1.9.0: 数値設定の範囲（[最小, 最大]。範囲外は丸める） */
+  const SETTING_RANGES = Object.freeze({
+    retryMaxAttempts: [0, 10],
+    retryBaseDelaySec: [1, 60],
+    firstTokenTimeoutSec: [10, 3600],
+    streamIdleTimeoutSec: [5, 600],
   });
 
   // ---------------------------------------------------------------------------
@@ -516,14 +929,20 @@
     modelSelect: document.getElementById("modelSelect"),
     prompt: document.getElementById("prompt"),
     sendBtn: document.getElementById("send"),
+    promptQueue: document.getElementById("promptQueue"),  // v1.9.0
     stopBtn: document.getElementById("stopBtn"),
     clearBtn: document.getElementById("clearBtn"),
+    newTopicBtn: document.getElementById("newTopicBtn"),  // v1.9.0: 復活（区切りをセッションに保存）
     // settings
     settingsBtn: document.getElementById("settingsBtn"),
     settingsPanel: document.getElementById("settingsPanel"),
     closeSettingsBtn: document.getElementById("closeSettingsBtn"),
     baseUrlPreset: document.getElementById("baseUrlPreset"),
     baseUrl: document.getElementById("baseUrl"),
+    connectionStatus: document.getElementById("connectionStatus"),      // v1.9.0: 複数の接続先
+    connectionList: document.getElementById("connectionList"),
+    addConnectionBtn: document.getElementById("addConnectionBtn"),
+    checkConnectionsBtn: document.getElementById("checkConnectionsBtn"),
     apiKey: document.getElementById("apiKey"),  // UI削除済み: null
     temperature: document.getElementById("temperature"),
     tempValue: document.getElementById("tempValue"),
@@ -541,7 +960,27 @@
     userInterests: document.getElementById("userInterests"),
     darkModeToggle: document.getElementById("darkModeToggle"),
     autoUnloadToggle: document.getElementById("autoUnloadToggle"),      // v1.7.3
-    reasoningEffort: document.getElementById("reasoningEffort"),        // v1.8.0: UI削除済み（null）
+    retryMaxAttempts: document.getElementById("retryMaxAttempts"),          // v1.9.0
+    retryBaseDelaySec: document.getElementById("retryBaseDelaySec"),
+    firstTokenTimeoutSec: document.getElementById("firstTokenTimeoutSec"),
+    streamIdleTimeoutSec: document.getElementById("streamIdleTimeoutSec"),
+    ollamaPullName: document.getElementById("ollamaPullName"),
+    ollamaPullBtn: document.getElementById("ollamaPullBtn"),
+    ollamaPullStatus: document.getElementById("ollamaPullStatus"),
+    reasoningEffort: document.getElementById("reasoningEffort"),        // v1.8.0（v1.9.0: 詳細パラメータに復活）
+    samplingTopP: document.getElementById("samplingTopP"),              // v1.9.0: 詳細パラメータ
+    samplingTopK: document.getElementById("samplingTopK"),
+    samplingMinP: document.getElementById("samplingMinP"),
+    samplingRepeatPenalty: document.getElementById("samplingRepeatPenalty"),
+    samplingPresencePenalty: document.getElementById("samplingPresencePenalty"),
+    samplingFrequencyPenalty: document.getElementById("samplingFrequencyPenalty"),
+    samplingSeed: document.getElementById("samplingSeed"),
+    samplingNumCtx: document.getElementById("samplingNumCtx"),
+    samplingStop: document.getElementById("samplingStop"),
+    samplingProfileSelect: document.getElementById("samplingProfileSelect"),
+    samplingProfileSaveBtn: document.getElementById("samplingProfileSaveBtn"),
+    samplingProfileDeleteBtn: document.getElementById("samplingProfileDeleteBtn"),
+    samplingProfileBindToggle: document.getElementById("samplingProfileBindToggle"),
     showWelcomeToggle: document.getElementById("showWelcomeToggle"),   // v1.8.0
     showSamplePromptsToggle: document.getElementById("showSamplePromptsToggle"),
     hideThinkingToggle: document.getElementById("hideThinkingToggle"),
@@ -561,6 +1000,26 @@
     shortcutsBtn: document.getElementById("shortcutsBtn"),
     shortcutsModal: document.getElementById("shortcutsModal"),
     shortcutsCloseBtn: document.getElementById("shortcutsCloseBtn"),
+    searchBtn: document.getElementById("searchBtn"),
+    searchModal: document.getElementById("searchModal"),
+    searchInput: document.getElementById("searchInput"),
+    searchResults: document.getElementById("searchResults"),
+    searchCloseBtn: document.getElementById("searchCloseBtn"),
+    rollingSummaryToggle: document.getElementById("rollingSummaryToggle"),      // v1.9.0
+    rollingSummaryBtn: document.getElementById("rollingSummaryBtn"),
+    rollingSummaryModal: document.getElementById("rollingSummaryModal"),
+    rollingSummaryInfo: document.getElementById("rollingSummaryInfo"),
+    rollingSummaryText: document.getElementById("rollingSummaryText"),
+    rollingSummarySaveBtn: document.getElementById("rollingSummarySaveBtn"),
+    rollingSummaryClearBtn: document.getElementById("rollingSummaryClearBtn"),
+    rollingSummaryCloseBtn: document.getElementById("rollingSummaryCloseBtn"),
+    contextMeter: document.getElementById("contextMeter"),                      // v1.9.0
+    enableToolsToggle: document.getElementById("enableToolsToggle"),            // v1.9.0
+    toolList: document.getElementById("toolList"),
+    contextMeterLabel: document.getElementById("contextMeterLabel"),
+    structuredModeBadge: document.getElementById("structuredModeBadge"),        // v1.9.0
+    structuredModeLabel: document.getElementById("structuredModeLabel"),
+    structuredModeCancel: document.getElementById("structuredModeCancel"),
 
     // v1.8.0: モデル表示フィルター
     modelVisibilityList: document.getElementById("modelVisibilityList"),
@@ -572,6 +1031,21 @@
     sessionList: document.getElementById("sessionList"),
     sessionCount: document.getElementById("sessionCount"),
     createSessionBtn: document.getElementById("createSessionBtn"),
+    autoSessionTitleToggle: document.getElementById("autoSessionTitleToggle"),  // v1.9.0
+    useGlobalSettingsToggle: document.getElementById("useGlobalSettingsToggle"),  // v1.9.0
+    sessionViewSelect: document.getElementById("sessionViewSelect"),            // v1.9.0
+    sessionFolderFilter: document.getElementById("sessionFolderFilter"),
+    sessionTagFilter: document.getElementById("sessionTagFilter"),
+    sessionSortSelect: document.getElementById("sessionSortSelect"),
+    emptyTrashBtn: document.getElementById("emptyTrashBtn"),
+
+    // v1.9.0: エクスポート/インポート
+    exportScope: document.getElementById("exportScope"),
+    exportJsonBtn: document.getElementById("exportJsonBtn"),
+    exportMarkdownBtn: document.getElementById("exportMarkdownBtn"),
+    exportHtmlBtn: document.getElementById("exportHtmlBtn"),
+    importSessionsBtn: document.getElementById("importSessionsBtn"),
+    importSessionsInput: document.getElementById("importSessionsInput"),
 
     // v1.6: data management
     resetSettingsBtn: document.getElementById("resetSettingsBtn"),
@@ -591,7 +1065,18 @@
     // compare mode (v1.7.0)
     compareBtn: document.getElementById("compareBtn"),
     compareRow: document.getElementById("compareRow"),
-    compareModelSelect: document.getElementById("compareModelSelect"),
+    compareModelList: document.getElementById("compareModelList"),      // v1.9.0: 比較モデルの選択欄（複数）
+    compareAddModelBtn: document.getElementById("compareAddModelBtn"),
+    compareBlindToggle: document.getElementById("compareBlindToggle"),  // v1.9.0: ブラインド評価
+    compareSweepToggle: document.getElementById("compareSweepToggle"),  // v1.9.0: パラメータスイープ
+    compareSweepRow: document.getElementById("compareSweepRow"),
+    compareSweepList: document.getElementById("compareSweepList"),
+    compareSweepAddBtn: document.getElementById("compareSweepAddBtn"),
+    compareSweepOrder: document.getElementById("compareSweepOrder"),
+    eloLeaderboard: document.getElementById("eloLeaderboard"),
+    eloExportCsvBtn: document.getElementById("eloExportCsvBtn"),
+    votesExportCsvBtn: document.getElementById("votesExportCsvBtn"),
+    votesClearBtn: document.getElementById("votesClearBtn"),
 
     // preset (panel + editor)
     presetPanel: document.getElementById("presetPanel"),
@@ -613,13 +1098,15 @@
   // State
   // ---------------------------------------------------------------------------
 
-  /** @type {{controller: AbortController|null, availableModels:Set<string>, modelDetails:Map<string,{state:string,quantization:string|null,max_context_length:number|null}>, lmstudioV1Available:boolean}} */
+  /** @type {{controller: AbortController|null, availableModels:Set<string>, modelDetails:Map<string,{state:string,quantization:string|null,max_context_length:number|null}>, modelOrigins:Map<string,string[]>, connectionStatus:Map<string,ConnectionStatus>}} */
   const runtime = {
     controller: null,          // Stopボタン用
     availableModels: new Set(), // /v1/models の正確なID一覧
+    modelOrigins: new Map(),    // v1.9.0: モデルID → 提供元の接続先ID（優先順）
+    connectionStatus: new Map(), // v1.9.0: 接続先ID → ConnectionStatus
     modelDetails: new Map(),   // v1.7.0: モデル詳細情報（state, quantization, max_context_length）
-    lmstudioV1Available: false, // v1.7.0: LM Studio v1 API 利用可能フラグ
     lastUsage: null,           // 最新の応答のusage情報
+    lastFinishReason: null,    // v1.9.0: 最新の応答の finish_reason（"length" = Max Tokens で途切れた）
   };
 
   /**
@@ -637,8 +1124,27 @@
   /** @type {StoredMessage[]} */
   let messages = [];
 
-  /** 新しい話題の開始位置（この位置以降のメッセージのみAPIに送信） */
-  let topicStartIndex = 0;
+  /**
+   * アクティブパス外の分岐ノード（編集・再生成で退避されたメッセージ）
+   * messages（アクティブパス）と合わせて会話ツリー全体を構成する
+   * @type {StoredMessage[]}
+   */
+  let branchNodes = [];
+
+  /** 編集中のユーザーメッセージID（次の送信でこのメッセージの兄弟分岐を作成） */
+  let pendingEditMsgId = null;
+
+  /** @type {TopicBreak[]} 話題の区切り（最後の有効な区切り以降のメッセージのみAPIに送信） */
+  let topicBreaks = [];
+
+  /** @type {QueuedPrompt[]} 送信待ちのメッセージ（現在の応答が終わったら先頭から順に送信） */
+  let promptQueue = [];
+
+  /** キューの自動送信を一時停止中か（停止・エラー後、再読み込み・セッション切替後） */
+  let promptQueuePaused = false;
+
+  /** キュー内で編集中のメッセージID（編集中はそのメッセージを送信しない） */
+  let editingQueuedPromptId = null;
 
   /** @type {Settings} */
   let settings = /** @type {any} */ ({});
@@ -656,6 +1162,15 @@
   /** 比較モードが有効かどうか (v1.7.0) */
   let compareMode = false;
 
+  /** 比較モードでモデル名を隠して投票するか（v1.9.0: ブラインド評価） */
+  let compareBlind = false;
+
+  /** 比較モードで1つのモデルをパラメータを変えて比較するか（v1.9.0: パラメータスイープ） */
+  let compareSweep = false;
+
+  /** @type {string[]} 起動処理中の通知（会話の描画で消えないよう、描画後に表示する） */
+  let startupNotices = [];
+
   /** ストリーミング中にユーザーが手動スクロールしたか */
   let userScrolledDuringStream = false;
 
@@ -719,7 +1234,7 @@
     {
       icon: "💾",
       q: "データの保存場所は？",
-      a: "会話履歴と設定はブラウザのlocalStorageに保存されます。外部サーバーには一切送信されません。\n\n画像データが多い場合はIndexedDBに自動オフロードされます。\n\n「設定 → データタブ → すべての保存データを消す」で全データを初期化できます。"
+      a: "設定はブラウザのlocalStorageに、会話履歴と画像はIndexedDBに保存されます。外部サーバーには一切送信されません。\n\n旧バージョン（localStorage保存）の会話は初回起動時に自動でIndexedDBへ移行されます。\n\n「設定 → データタブ → すべての保存データを消す」で全データを初期化できます。"
     },
     {
       icon: "🔧",
@@ -1026,19 +1541,18 @@
   }
 
   /**
-   * テキストのトークン数を概算する
-   * 日本語: ~1.5 chars/token, 英語: ~4 chars/token → 安全平均 ~2 chars/token
+   * テキストのトークン数を同期的に求める（v1.9.0: サーバー計測済みの値、または学習済み比率による推定）
    * @param {string|Array} content - テキストまたはVision API形式のcontent配列
    * @returns {number}
    */
   function estimateTokens(content) {
     if (!content) return 0;
-    if (typeof content === "string") return Math.ceil(content.length / 2);
+    if (typeof content === "string") return countTextTokensSync(content);
     if (Array.isArray(content)) {
       let tokens = 0;
       for (const item of content) {
-        if (item.type === "text") tokens += Math.ceil((item.text || "").length / 2);
-        else if (item.type === "image_url") tokens += 300;
+        if (item.type === "text") tokens += countTextTokensSync(item.text || "");
+        else if (item.type === "image_url") tokens += TOKEN_ESTIMATE.IMAGE_TOKENS;
       }
       return tokens;
     }
@@ -1053,9 +1567,296 @@
     const model = el.modelSelect.value || settings.model;
     if (!model) return null;
     const details = runtime.modelDetails.get(model);
-    return details?.max_context_length || null;
+    // v1.9.0: Ollama は num_ctx を指定していればその値でロードされる
+    const numCtx = getModelBackend(model) === "ollama" ? normalizeSampling(settings.sampling).numCtx : null;
+    return numCtx || details?.max_context_length || null;
+  }
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Tokenizer（トークン数の計測とコンテキスト使用量メーター）
+  //   サーバーの /tokenize（llama.cpp 互換）が使えれば正確な値を使い、
+  //   使えない場合は usage.prompt_tokens から学習したモデルごとの文字数/トークン比で推定する
+  // ---------------------------------------------------------------------------
+
+  /** トークン化エンドポイント（APIルート相対、POST {content} → {tokens: number[]}） */
+  const TOKENIZE_ENDPOINT = "/tokenize";
+
+  const TOKEN_ESTIMATE = Object.freeze({
+    DEFAULT_CHARS_PER_TOKEN: 2,   // 日本語 ~1.5 / 英語 ~4 の安全平均
+    IMAGE_TOKENS: 300,            // 画像1枚あたりの概算
+    MESSAGE_OVERHEAD: 4,          // チャットテンプレートの役割タグ等（1メッセージあたり）
+    MIN_SAMPLE_CHARS: 200,        // これより短い計測は比率の学習に使わない
+    CACHE_SIZE: 500,
+  });
+
+  const tokenizer = {
+    /** @type {Map<string, boolean>} APIルートごとの /tokenize 対応可否（refreshModels でリセット） */
+    endpointSupport: new Map(),
+    /** @type {Map<string, number>} モデルごとの学習済み 文字数/トークン 比 */
+    ratios: new Map(Object.entries(safeJSONParse(localStorage.getItem(STORAGE_KEYS.TOKEN_RATIOS), {}) || {})),
+    /** @type {Map<string, number>} サーバーで計測したトークン数（key: モデル + テキストのハッシュ） */
+    cache: new Map(),
+  };
+
+  /**
+   * キャッシュキー用の文字列ハッシュ（FNV-1a 32bit）
+   * @param {string} text
+   * @returns {string}
+   */
+  function hashText(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36) + ":" + text.length;
+  }
+
+  function getCurrentModelId() {
+    return el.modelSelect.value || settings.model || "";
+  }
+
+  /**
+   * モデルの 文字数/トークン 比（未学習なら既定値）
+   * @param {string} model
+   * @returns {number}
+   */
+  function getCharsPerToken(model) {
+    return tokenizer.ratios.get(model) || TOKEN_ESTIMATE.DEFAULT_CHARS_PER_TOKEN;
+  }
+
+  /**
+   * 計測値から比率を更新する（指数移動平均）
+   * @param {string} model
+   * @param {number} chars
+   * @param {number} tokens
+   */
+  function updateCharsPerToken(model, chars, tokens) {
+    if (!model || chars < TOKEN_ESTIMATE.MIN_SAMPLE_CHARS || tokens <= 0) return;
+    const sample = Math.min(8, Math.max(0.5, chars / tokens));
+    const prev = tokenizer.ratios.get(model);
+    const next = prev ? prev * 0.7 + sample * 0.3 : sample;
+    tokenizer.ratios.set(model, Math.round(next * 1000) / 1000);
+    localStorage.setItem(STORAGE_KEYS.TOKEN_RATIOS, JSON.stringify(Object.fromEntries(tokenizer.ratios)));
+  }
+
+  /**
+   * 応答の usage.prompt_tokens と送信した messages から比率を学習する
+   * @param {string} model
+   * @param {Array<{role:string, content:any}>} apiMessages
+   * @param {object|null} usage
+   */
+  function learnTokenRatioFromUsage(model, apiMessages, usage) {
+    if (!usage?.prompt_tokens) return;
+    let chars = 0;
+    let images = 0;
+    for (const m of apiMessages) {
+      if (typeof m.content === "string") chars += m.content.length;
+      else if (Array.isArray(m.content)) {
+        for (const item of m.content) {
+          if (item.type === "text") chars += (item.text || "").length;
+          else if (item.type === "image_url") images++;
+        }
+      }
+    }
+    const textTokens = usage.prompt_tokens
+      - images * TOKEN_ESTIMATE.IMAGE_TOKENS
+      - apiMessages.length * TOKEN_ESTIMATE.MESSAGE_OVERHEAD;
+    updateCharsPerToken(model, chars, textTokens);
+  }
+
+  /**
+   * テキストのトークン数を同期的に返す（計測済みならその値、なければ学習済み比率で推定）
+   * @param {string} text
+   * @returns {number}
+   */
+  function countTextTokensSync(text) {
+    if (!text) return 0;
+    const model = getCurrentModelId();
+    const cached = tokenizer.cache.get(model + "\u0000" + hashText(text));
+    if (cached !== undefined) return cached;
+    return Math.ceil(text.length / getCharsPerToken(model));
+  }
+
+  /**
+   * サーバーの /tokenize でトークン数を計測する（対応可否は接続先ごとに記憶）
+   * @param {ConnectionProfile} conn
+   * @param {string} model
+   * @param {string} text
+   * @returns {Promise<number|null>} 非対応・失敗時は null
+   */
+  async function tokenizeWithEndpoint(conn, model, text) {
+    const root = getApiBaseUrl(conn);
+    if (tokenizer.endpointSupport.get(root) === false) return null;
+
+    try {
+      const res = await postJson(`${root}${TOKENIZE_ENDPOINT}`, conn, { content: text, model });
+      if (!res.ok) {
+        // 5xx は一時的な失敗とみなし、対応可否は確定しない
+        if (res.status < 500) tokenizer.endpointSupport.set(root, false);
+        return null;
+      }
+      const data = await res.json();
+      if (!Array.isArray(data?.tokens)) {
+        tokenizer.endpointSupport.set(root, false);
+        return null;
+      }
+      tokenizer.endpointSupport.set(root, true);
+      return data.tokens.length;
+    } catch {
+      // CORS・未起動など
+      tokenizer.endpointSupport.set(root, false);
+      return null;
+    }
+  }
+
+  /**
+   * 選択中のモデルの提供元でトークン数を計測する
+   * @param {string} text
+   * @returns {Promise<number|null>} 非対応・失敗時は null
+   */
+  async function tokenizeOnServer(text) {
+    const model = getCurrentModelId();
+    const { provider, conn } = getModelProvider(model);
+    if (!provider.tokenize) return null;
+    return provider.tokenize(conn, model, text);
+  }
+
+  /**
+   * テキストのトークン数を計測する（サーバー計測を優先し、結果をキャッシュ）
+   * @param {string} text
+   * @returns {Promise<number>}
+   */
+  async function countTextTokens(text) {
+    if (!text) return 0;
+    const model = getCurrentModelId();
+    const cacheKey = model + "\u0000" + hashText(text);
+    const cached = tokenizer.cache.get(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const n = await tokenizeOnServer(text);
+    if (n === null) return Math.ceil(text.length / getCharsPerToken(model));
+
+    if (tokenizer.cache.size >= TOKEN_ESTIMATE.CACHE_SIZE) {
+      tokenizer.cache.delete(tokenizer.cache.keys().next().value);
+    }
+    tokenizer.cache.set(cacheKey, n);
+    updateCharsPerToken(model, text.length, n);
+    return n;
+  }
+
+  /**
+   * メッセージcontent（文字列またはVision形式の配列）のトークン数を計測する
+   * @param {string|Array} content
+   * @returns {Promise<number>}
+   */
+  async function countContentTokens(content) {
+    if (!content) return 0;
+    if (typeof content === "string") return countTextTokens(content);
+    let tokens = 0;
+    if (Array.isArray(content)) {
+      for (const item of content) {
+        if (item.type === "text") tokens += await countTextTokens(item.text || "");
+        else if (item.type === "image_url") tokens += TOKEN_ESTIMATE.IMAGE_TOKENS;
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * 次に送信する内容のトークン数を内訳ごとに計測する
+   * @returns {Promise<{system: number, history: number, attachments: number, draft: number}>}
+   */
+  async function measureContextUsage() {
+    const { system, tail } = planConversation();
+    const overhead = TOKEN_ESTIMATE.MESSAGE_OVERHEAD;
+
+    let systemTokens = await countContentTokens(system.content) + overhead;
+    let history = 0;
+    for (const t of tail) {
+      const n = await countContentTokens(t.api.content) + overhead;
+      // 話題リセット後に再注入するユーザー基本情報はシステム側に計上
+      if (t.msg) history += n;
+      else systemTokens += n;
+    }
+
+    let attachmentTokens = 0;
+    for (const a of attachments) {
+      attachmentTokens += a.type === "image"
+        ? TOKEN_ESTIMATE.IMAGE_TOKENS
+        : await countTextTokens(formatAttachmentBlock(a));
+    }
+
+    const text = el.prompt.value.trim();
+    const draft = (text ? await countTextTokens(text) : 0) + (text || attachments.length > 0 ? overhead : 0);
+
+    return { system: systemTokens, history, attachments: attachmentTokens, draft };
+  }
+
+  let contextMeterTimer = null;
+  let contextMeterSeq = 0;
+
+  /** 入力・履歴・設定の変更時に呼ぶ（まとめて300ms後に更新） */
+  function scheduleContextMeterUpdate() {
+    if (!el.contextMeter) return;
+    clearTimeout(contextMeterTimer);
+    contextMeterTimer = setTimeout(updateContextMeter, 300);
+  }
+
+  async function updateContextMeter() {
+    if (!el.contextMeter) return;
+    const seq = ++contextMeterSeq;
+    const usage = await measureContextUsage();
+    // 計測中に次の更新が始まった場合は古い結果を捨てる
+    if (seq !== contextMeterSeq) return;
+    renderContextMeter(usage);
+  }
+
+  /**
+   * コンテキスト使用量メーターを描画する
+   * @param {{system: number, history: number, attachments: number, draft: number}} usage
+   */
+  function renderContextMeter(usage) {
+    const contextLength = getModelContextLength();
+    const reserved = parseInt(el.maxTokens.value, 10) || 2048;
+    const total = usage.system + usage.history + usage.attachments + usage.draft;
+    const scale = contextLength || Math.max(total, 1);
+
+    const segments = [
+      ["system", usage.system],
+      ["history", usage.history],
+      ["attachments", usage.attachments],
+      ["draft", usage.draft],
+    ];
+    for (const [name, tokens] of segments) {
+      const seg = el.contextMeter.querySelector(`.context-meter-seg.seg-${name}`);
+      if (seg) seg.style.width = `${Math.min(100, (tokens / scale) * 100)}%`;
+    }
+
+    const fmt = (n) => n.toLocaleString();
+    const over = Boolean(contextLength) && total + reserved > contextLength;
+    el.contextMeter.classList.toggle("context-meter-over", over);
+    if (el.contextMeterLabel) {
+      el.contextMeterLabel.textContent = contextLength
+        ? `🧮 ${fmt(total)} / ${fmt(contextLength)} (${Math.round((total / contextLength) * 100)}%)`
+        : `🧮 ${fmt(total)} tokens`;
+    }
+
+    const exact = tokenizer.endpointSupport.get(getApiBaseUrl()) === true;
+    el.contextMeter.title = [
+      `システム: ${fmt(usage.system)}`,
+      `履歴: ${fmt(usage.history)}`,
+      `添付: ${fmt(usage.attachments)}`,
+      `入力中: ${fmt(usage.draft)}`,
+      `応答用に確保: ${fmt(reserved)}`,
+      contextLength ? `コンテキスト長: ${fmt(contextLength)}` : "コンテキスト長: 不明",
+      exact
+        ? "計測: サーバーの /tokenize"
+        : `計測: 推定（1トークン ≈ ${getCharsPerToken(getCurrentModelId()).toFixed(2)}文字）`,
+      over ? "⚠️ 送信時に古い会話が省略されます" : "",
+    ].filter(Boolean).join("\n");
   }
 
+
   /** @param {string} text */
   function safeJSONParse(text, fallback) {
     try {
@@ -1199,6 +2000,19 @@
   // localStorage: settings/history/presets
   // ---------------------------------------------------------------------------
 
+  /**
+   * 数値設定を整数に丸めて範囲内に収める（数値でなければ既定値）
+   * @param {keyof typeof SETTING_RANGES} key
+   * @param {any} value
+   * @returns {number}
+   */
+  function clampSetting(key, value) {
+    const n = typeof value === "string" ? parseInt(value, 10) : value;
+    if (typeof n !== "number" || !Number.isFinite(n)) return DEFAULT_SETTINGS[key];
+    const [min, max] = SETTING_RANGES[key];
+    return Math.min(Math.max(Math.round(n), min), max);
+  }
+
   /** @returns {Settings} */
   function loadSettings() {
     const raw = localStorage.getItem(STORAGE_KEYS.SETTINGS) || "{}";
@@ -1225,6 +2039,14 @@
       showSamplePrompts: s.showSamplePrompts !== false, // デフォルトtrue
       hideThinking: Boolean(s.hideThinking),
       enableQwen3Thinking: Boolean(s.enableQwen3Thinking),
+      autoSessionTitle: Boolean(s.autoSessionTitle),  // v1.9.0
+      rollingSummary: Boolean(s.rollingSummary),      // v1.9.0
+      enableTools: Boolean(s.enableTools),            // v1.9.0
+      sampling: normalizeSampling(s.sampling),        // v1.9.0
+      retryMaxAttempts: clampSetting("retryMaxAttempts", s.retryMaxAttempts),          // v1.9.0
+      retryBaseDelaySec: clampSetting("retryBaseDelaySec", s.retryBaseDelaySec),
+      firstTokenTimeoutSec: clampSetting("firstTokenTimeoutSec", s.firstTokenTimeoutSec),
+      streamIdleTimeoutSec: clampSetting("streamIdleTimeoutSec", s.streamIdleTimeoutSec),
     });
   }
 
@@ -1272,6 +2094,9 @@
       el.reasoningEffort.value = settings.reasoningEffort || "";
     }
 
+    // v1.9.0: 詳細パラメータ
+    applySamplingToUI(settings.sampling);
+
     // v1.8.0: オープニング画面表示設定
     if (el.showWelcomeToggle) {
       el.showWelcomeToggle.checked = settings.showWelcome !== false;
@@ -1292,6 +2117,26 @@
     if (el.enableQwen3ThinkingToggle) {
       el.enableQwen3ThinkingToggle.checked = Boolean(settings.enableQwen3Thinking);
     }
+
+    // v1.9.0: セッションタイトル/要約の自動生成
+    if (el.autoSessionTitleToggle) {
+      el.autoSessionTitleToggle.checked = Boolean(settings.autoSessionTitle);
+    }
+
+    // v1.9.0: ローリング要約
+    if (el.rollingSummaryToggle) {
+      el.rollingSummaryToggle.checked = Boolean(settings.rollingSummary);
+    }
+
+    // v1.9.0: ツール呼び出し
+    if (el.enableToolsToggle) {
+      el.enableToolsToggle.checked = Boolean(settings.enableTools);
+    }
+
+    // v1.9.0: 自動再試行・タイムアウト
+    for (const key of Object.keys(SETTING_RANGES)) {
+      if (el[key]) el[key].value = String(settings[key]);
+    }
   }
 
   /** UI → settingsへ反映し保存 */
@@ -1317,8 +2162,21 @@
       showSamplePrompts: el.showSamplePromptsToggle?.checked !== false,
       hideThinking: el.hideThinkingToggle?.checked || false,
       enableQwen3Thinking: el.enableQwen3ThinkingToggle?.checked || false,
+      autoSessionTitle: el.autoSessionTitleToggle?.checked || false,  // v1.9.0
+      rollingSummary: el.rollingSummaryToggle?.checked || false,      // v1.9.0
+      enableTools: el.enableToolsToggle?.checked || false,            // v1.9.0
+      sampling: readSamplingFromUI(),                                  // v1.9.0
+      retryMaxAttempts: clampSetting("retryMaxAttempts", el.retryMaxAttempts?.value),  // v1.9.0
+      retryBaseDelaySec: clampSetting("retryBaseDelaySec", el.retryBaseDelaySec?.value),
+      firstTokenTimeoutSec: clampSetting("firstTokenTimeoutSec", el.firstTokenTimeoutSec?.value),
+      streamIdleTimeoutSec: clampSetting("streamIdleTimeoutSec", el.streamIdleTimeoutSec?.value),
     };
-    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+    // v1.9.0: 会話専用の設定を持つセッションでは、会話単位の項目はグローバル設定に書き戻さない
+    const stored = captureSessionSettings()
+      ? { ...settings, ...pickSessionSettings(loadSettings()) }
+      : settings;
+    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(stored));
+    scheduleContextMeterUpdate();  // v1.9.0
   }
 
   /** @returns {StoredMessage[]} */
@@ -1338,6 +2196,8 @@
     const cleaned = [];
     for (const m of messages) {
       if (cleaned.length > 0 && cleaned[cleaned.length - 1].role === m.role) {
+        // 置き換えられるノードの親を引き継ぐ（ツリーの整合性を維持）
+        m.parentId = cleaned[cleaned.length - 1].parentId ?? null;
         cleaned[cleaned.length - 1] = m;
       } else {
         cleaned.push(m);
@@ -1351,11 +2211,10 @@
 
   function persistHistory() {
     sanitizeMessages();
-    // 同期: まず imageData をそのまま保存（フォールバック）
-    localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(messages));
+    // まず imageData をそのまま保存（オフロード失敗時のフォールバック）
     syncCurrentSession();
 
-    // 非同期: 画像を IndexedDB にオフロードし、localStorage を軽量化
+    // 非同期: 画像を images ストアにオフロードし、メッセージを軽量化
     _persistQueue = _persistQueue.then(async () => {
       try {
         const offloaded = await offloadImagesToIdb(messages);
@@ -1365,12 +2224,13 @@
             messages[i].imageData = offloaded[i].imageData;
           }
         }
-        localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(messages));
+        // 分岐ノードの画像もオフロード
+        branchNodes = await offloadImagesToIdb(branchNodes);
         syncCurrentSession();
         // 容量チェック（バックグラウンド）
         checkImageStorageQuota();
       } catch (e) {
-        console.warn("[IDB] 画像オフロード失敗（localStorageにフォールバック）:", e);
+        console.warn("[IDB] 画像オフロード失敗（DataURLのまま保存）:", e);
       }
     });
   }
@@ -1445,7 +2305,8 @@
       "- 会話履歴\n" +
       "- 設定\n" +
       "- カスタムプリセット\n" +
-      "- 下書き";
+      "- 下書き\n" +
+      "- ブラインド評価の投票";
 
     if (!confirm(message)) return;
     if (!confirm("本当に削除してよろしいですか？\nこの操作は取り消せません。")) return;
@@ -1454,11 +2315,23 @@
     Object.values(STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
     // IndexedDB画像も削除
     clearAllImagesFromIdb().catch(e => console.warn("[IDB] 画像削除失敗:", e));
+    // IndexedDBのセッション/メッセージも削除（予約済みの書き込みの後に実行）
+    _sessionWriteQueue = _sessionWriteQueue
+      .then(clearAllSessionsFromIdb)
+      .catch(e => console.warn("[IDB] セッション削除失敗:", e));
+    // v1.9.0: ブラインド評価の投票も削除
+    clearVotesFromIdb()
+      .then(renderEloLeaderboard)
+      .catch(e => console.warn("[IDB] 投票削除失敗:", e));
 
     // 状態をリセット
     messages = [];
-    topicStartIndex = 0;
+    branchNodes = [];
+    pendingEditMsgId = null;
+    topicBreaks = [];
+    loadPromptQueue(null);
     settings = { ...DEFAULT_SETTINGS };
+    connectionProfiles = [];
     customPresets = {};
     customPresetLabels = {};
     sessions = [];
@@ -1468,6 +2341,8 @@
     el.chat.innerHTML = "";
     showWelcomeScreen();
     applySettingsToUI();
+    renderSamplingProfileSelect("");
+    renderConnectionStatus();
     renderPresetUI();
     loadPresetToEditor();
     clearDraft();
@@ -1694,6 +2569,9 @@
     return `${Date.now()}_${Math.random().toString(16).slice(2, 10)}`;
   }
 
+  /** generateSessionId() の形式（インポートしたIDはHTMLに埋め込むため、この形式のみ受け入れる） */
+  const SESSION_ID_PATTERN = /^\d+_[0-9a-f]{1,8}$/;
+
   /**
    * ISO日付文字列を "MM/DD HH:mm" 形式に変換する
    * @param {string} isoStr
@@ -1726,14 +2604,22 @@
   }
 
   /**
-   * セッションをlocalStorageから読み込む
+   * セッションを IndexedDB から読み込む（v1.9.0〜）
+   * localStorage のセッションは IndexedDB へ移行し、IndexedDB が使えない場合は localStorage で動作する
    * レガシー履歴が存在し、セッションが空の場合はマイグレーションする
    */
-  function loadSessions() {
-    const raw = localStorage.getItem(STORAGE_KEYS.SESSIONS);
-    sessions = raw ? safeJSONParse(raw, []) : [];
+  async function loadSessions() {
     currentSessionId = localStorage.getItem(STORAGE_KEYS.CURRENT_SESSION_ID) || "";
-
+    try {
+      await migrateSessionsToIdb();
+      sessions = await readSessionsFromIdb();
+    } catch (e) {
+      console.warn("[IDB] セッション読込失敗（localStorageにフォールバック）:", e);
+      sessionBackend = "localStorage";
+      const raw = localStorage.getItem(STORAGE_KEYS.SESSIONS);
+      sessions = raw ? safeJSONParse(raw, []) : [];
+    }
+
     // レガシー履歴のマイグレーション: セッションが空で既存履歴がある場合
     if (sessions.length === 0) {
       const legacyHistory = loadHistory();
@@ -1750,16 +2636,21 @@
         sessions.push(newSession);
         currentSessionId = newSession.id;
         persistSessions();
+        localStorage.removeItem(STORAGE_KEYS.HISTORY);
       } else {
         // 完全に新規: 空セッションを作成
         createNewSession(true);
       }
     }
 
-    // currentSessionIdが有効でない場合は最新のセッションに切り替え
-    if (!sessions.find(s => s.id === currentSessionId)) {
-      if (sessions.length > 0) {
-        currentSessionId = sessions[sessions.length - 1].id;
+    // v1.9.0: 保持期間を過ぎたゴミ箱のセッションを完全削除
+    purgeExpiredTrash();
+
+    // currentSessionIdが有効でない（ゴミ箱を含む）場合は最新のセッションに切り替え
+    if (!sessions.find(s => s.id === currentSessionId && !s.deletedAt)) {
+      const latest = getLatestOpenSession();
+      if (latest) {
+        currentSessionId = latest.id;
       } else {
         createNewSession(true);
       }
@@ -1770,7 +2661,10 @@
     if (current) {
       messages = current.history || [];
       messages.forEach(m => { if (!m.id) m.id = generateMsgId(); });
-      localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(messages));
+      linkParentIds(messages);
+      branchNodes = Array.isArray(current.branches) ? current.branches : [];
+      topicBreaks = Array.isArray(current.topicBreaks) ? current.topicBreaks.map(b => ({ ...b })) : [];
+      loadPromptQueue(current);
 
       // 非同期: IndexedDB から画像を復元
       rehydrateImagesFromIdb(messages).then(hydrated => {
@@ -1796,11 +2690,24 @@
   }
 
   /**
-   * セッション配列とcurrentSessionIdをlocalStorageに保存する
+   * セッション配列を IndexedDB に、currentSessionId を localStorage に保存する
+   * 書き込みは非同期でまとめて行い、変更のあったセッション/メッセージのみ保存する
    */
   function persistSessions() {
-    localStorage.setItem(STORAGE_KEYS.SESSIONS, JSON.stringify(sessions));
     localStorage.setItem(STORAGE_KEYS.CURRENT_SESSION_ID, currentSessionId);
+    searchIndexDirty = true;
+    scheduleContextMeterUpdate();  // v1.9.0
+
+    if (sessionBackend === "localStorage") {
+      localStorage.setItem(STORAGE_KEYS.SESSIONS, JSON.stringify(sessions));
+      return;
+    }
+    // 未実行の書き込みが予約済みなら、その書き込みに今回の変更も含まれる
+    if (_sessionWritePending) return;
+    _sessionWritePending = true;
+    _sessionWriteQueue = _sessionWriteQueue
+      .then(flushSessionsToIdb)
+      .catch(e => console.warn("[IDB] セッション保存失敗:", e));
   }
 
   /**
@@ -1811,10 +2718,14 @@
     const session = sessions.find(s => s.id === currentSessionId);
     if (!session) return;
     session.history = [...messages];
+    session.branches = [...branchNodes];
+    session.topicBreaks = topicBreaks.map(b => ({ ...b }));
+    session.promptQueue = promptQueue.length ? promptQueue.map(q => ({ ...q })) : undefined;
     session.updatedAt = new Date().toISOString();
-    // タイトルが空または "新しいチャット" の場合、自動設定
-    if (!session.title || session.title === "新しいチャット") {
+    // タイトルが空または "新しいチャット" の場合、自動設定（ユーザーが付けた名前は除く）
+    if (session.titleSource !== "user" && (!session.title || session.title === "新しいチャット")) {
       session.title = getSessionSummary(messages);
+      session.titleSource = "auto";
     }
     persistSessions();
   }
@@ -1837,16 +2748,20 @@
     };
 
     sessions.push(newSession);
+    currentSessionId = newSession.id;
 
-    // セッション数上限チェック（100件）
-    while (sessions.length > 100) {
-      sessions.shift(); // 最も古いセッションを削除
-    }
+    // セッション数上限チェック: 超過分は削除せずゴミ箱へ移動
+    enforceSessionLimit();
+
+    // v1.9.0: 新しい会話は現在の設定を引き継いで記憶する
+    captureSessionSettings();
+    if (el.useGlobalSettingsToggle) el.useGlobalSettingsToggle.checked = false;
 
-    currentSessionId = newSession.id;
     messages = [];
-    topicStartIndex = 0;
-    localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(messages));
+    branchNodes = [];
+    pendingEditMsgId = null;
+    topicBreaks = [];
+    loadPromptQueue(newSession);
     persistSessions();
 
     if (!silent) {
@@ -1873,18 +2788,17 @@
     currentSessionId = sessionId;
     messages = target.history ? [...target.history] : [];
     messages.forEach(m => { if (!m.id) m.id = generateMsgId(); });
-    topicStartIndex = 0;
-    localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(messages));
+    linkParentIds(messages);
+    branchNodes = Array.isArray(target.branches) ? [...target.branches] : [];
+    pendingEditMsgId = null;
+    topicBreaks = Array.isArray(target.topicBreaks) ? target.topicBreaks.map(b => ({ ...b })) : [];
+    loadPromptQueue(target);
     persistSessions();
 
     // UI更新: チャットを再描画
-    el.chat.innerHTML = "";
-    if (messages.length === 0) {
-      showWelcomeScreen();
-    } else {
-      messages.forEach(m => appendMessage(m.role, m.content, { save: false, imageData: m.imageData || null, imageDataList: m.imageDataList || null, msgId: m.id }));
-    }
+    renderChatFromMessages();
     renderSessionList();
+    applySessionSettings(target);  // v1.9.0: 会話ごとの設定を復元
 
     // 非同期: IndexedDB から画像を復元
     rehydrateImagesFromIdb(messages).then(hydrated => {
@@ -1909,51 +2823,201 @@
   }
 
   /**
-   * セッションを削除する
-   * @param {string} sessionId
+   * セッションに紐づく IndexedDB の画像を削除する（ゴミ箱の完全削除時のみ）
+   * @param {Object} session
    */
-  function deleteSession(sessionId) {
-    if (!confirm("このセッションを削除しますか？")) return;
-
-    // 削除対象セッションの画像を IndexedDB からも削除
-    const toDelete = sessions.find(s => s.id === sessionId);
-    if (toDelete && toDelete.history) {
-      for (const m of toDelete.history) {
-        if (m.imageData && m.imageData.startsWith("idb:")) {
-          deleteImageFromIdb(m.imageData.slice(4)).catch(() => {});
-        }
-        if (Array.isArray(m.imageDataList)) {
-          for (const img of m.imageDataList) {
-            if (img && img.startsWith("idb:")) deleteImageFromIdb(img.slice(4)).catch(() => {});
-          }
+  function deleteSessionImages(session) {
+    for (const m of [...(session.history || []), ...(session.branches || [])]) {
+      if (m.imageData && m.imageData.startsWith("idb:")) {
+        deleteImageFromIdb(m.imageData.slice(4)).catch(() => {});
+      }
+      if (Array.isArray(m.imageDataList)) {
+        for (const img of m.imageDataList) {
+          if (img && img.startsWith("idb:")) deleteImageFromIdb(img.slice(4)).catch(() => {});
         }
       }
     }
+  }
+
+  /**
+   * ゴミ箱・アーカイブ以外の最新セッションを返す（なければアーカイブも対象）
+   * @returns {Object|undefined}
+   */
+  function getLatestOpenSession() {
+    const byUpdated = (a, b) => new Date(b.updatedAt || b.createdAt).getTime() - new Date(a.updatedAt || a.createdAt).getTime();
+    const open = sessions.filter(s => !s.deletedAt).sort(byUpdated);
+    return open.find(s => !s.archived) || open[0];
+  }
+
+  /**
+   * 現在のセッションが開けなくなった（ゴミ箱へ移動・完全削除）ときに別のセッションへ切り替える
+   */
+  function openFallbackSession() {
+    const latest = getLatestOpenSession();
+    if (latest) {
+      currentSessionId = latest.id;
+      messages = latest.history ? [...latest.history] : [];
+      linkParentIds(messages);
+      branchNodes = Array.isArray(latest.branches) ? [...latest.branches] : [];
+      pendingEditMsgId = null;
+      topicBreaks = Array.isArray(latest.topicBreaks) ? latest.topicBreaks.map(b => ({ ...b })) : [];
+      loadPromptQueue(latest);
+
+      // UI更新
+      renderChatFromMessages();
+      applySessionSettings(latest);
+    } else {
+      // 開けるセッションがない場合は新規作成
+      createNewSession(true);
+      el.chat.innerHTML = "";
+      showWelcomeScreen();
+    }
+  }
+
+  /**
+   * セッションをゴミ箱に移動する（画像は完全削除まで保持）
+   * @param {string} sessionId
+   */
+  function trashSession(sessionId) {
+    syncCurrentSession();
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return;
+
+    session.deletedAt = new Date().toISOString();
+    session.pinned = false;
+    if (sessionId === currentSessionId) openFallbackSession();
+
+    persistSessions();
+    renderSessionList();
+    notify(`🗑 ゴミ箱に移動しました（${LIMITS.TRASH_RETENTION_DAYS}日後に完全削除）`);
+  }
 
+  /**
+   * ゴミ箱からセッションを元に戻す
+   * @param {string} sessionId
+   */
+  function restoreSession(sessionId) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return;
+    delete session.deletedAt;
+    persistSessions();
+    renderSessionList();
+    notify("♻️ セッションを元に戻しました");
+  }
+
+  /**
+   * セッションを完全に削除する（IndexedDB の画像も削除）
+   * @param {string} sessionId
+   */
+  function purgeSession(sessionId) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return;
+    deleteSessionImages(session);
     sessions = sessions.filter(s => s.id !== sessionId);
+    if (sessionId === currentSessionId) openFallbackSession();
+  }
 
-    if (sessionId === currentSessionId) {
-      // 削除したのが現在のセッションなら別のセッションに切り替え
-      if (sessions.length > 0) {
-        const latest = sessions[sessions.length - 1];
-        currentSessionId = latest.id;
-        messages = latest.history ? [...latest.history] : [];
-        localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(messages));
+  /**
+   * ゴミ箱を空にする
+   */
+  function emptyTrash() {
+    const trashed = sessions.filter(s => s.deletedAt);
+    if (trashed.length === 0) {
+      notify("ℹ️ ゴミ箱は空です");
+      return;
+    }
+    if (!confirm(`ゴミ箱の${trashed.length}件を完全に削除しますか？\nこの操作は取り消せません。`)) return;
+    trashed.forEach(s => purgeSession(s.id));
+    persistSessions();
+    renderSessionList();
+    notify(`🗑 ${trashed.length}件を完全に削除しました`);
+  }
 
-        // UI更新
-        el.chat.innerHTML = "";
-        messages.forEach(m => appendMessage(m.role, m.content, { save: false, imageData: m.imageData || null, imageDataList: m.imageDataList || null, msgId: m.id }));
-      } else {
-        // セッションが全て削除された場合は新規作成
-        createNewSession(true);
-        el.chat.innerHTML = "";
-        showWelcomeScreen();
-      }
+  /**
+   * 保持期間を過ぎたゴミ箱のセッションを完全に削除する（起動時に実行）
+   */
+  function purgeExpiredTrash() {
+    const limit = Date.now() - LIMITS.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const expired = sessions.filter(s => s.deletedAt && new Date(s.deletedAt).getTime() < limit);
+    if (expired.length === 0) return;
+    expired.forEach(s => purgeSession(s.id));
+    persistSessions();
+    console.log(`[Trash] 保持期間切れのセッション${expired.length}件を削除しました`);
+  }
+
+  /**
+   * 通常のセッション数が上限を超えたら、古いものからゴミ箱へ移動する
+   * ピン留め・アーカイブ済みのセッションは対象外
+   */
+  function enforceSessionLimit() {
+    const active = sessions
+      .filter(s => !s.deletedAt && !s.archived)
+      .sort((a, b) => new Date(a.updatedAt || a.createdAt).getTime() - new Date(b.updatedAt || b.createdAt).getTime());
+    let overflow = active.length - LIMITS.MAX_SESSIONS;
+    let moved = 0;
+    const now = new Date().toISOString();
+    for (const s of active) {
+      if (overflow <= 0) break;
+      if (s.pinned || s.id === currentSessionId) continue;
+      s.deletedAt = now;
+      overflow--;
+      moved++;
     }
+    if (moved > 0) {
+      notify(`ℹ️ 保存上限（${LIMITS.MAX_SESSIONS}件）を超えた古い会話をゴミ箱に移動しました`);
+    }
+  }
+
+  /**
+   * ピン留めを切り替える
+   * @param {string} sessionId
+   */
+  function toggleSessionPinned(sessionId) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return;
+    session.pinned = !session.pinned;
+    persistSessions();
+    renderSessionList();
+  }
+
+  /**
+   * アーカイブを切り替える（アーカイブは保存上限の対象外）
+   * @param {string} sessionId
+   */
+  function toggleSessionArchived(sessionId) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return;
+    session.archived = !session.archived;
+    persistSessions();
+    renderSessionList();
+    notify(session.archived ? "🗄 アーカイブしました" : "📂 アーカイブから戻しました");
+  }
+
+  /**
+   * タグを設定する（カンマ区切りの入力を正規化）
+   * @param {string} sessionId
+   * @param {string} input
+   */
+  function setSessionTags(sessionId, input) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return;
+    const tags = [...new Set(input.split(/[,、]/).map(t => t.trim().replace(/^#/, "")).filter(Boolean))];
+    session.tags = tags;
+    persistSessions();
+    renderSessionList();
+  }
 
+  /**
+   * フォルダを設定する（空文字でフォルダなし）
+   * @param {string} sessionId
+   * @param {string} folder
+   */
+  function setSessionFolder(sessionId, folder) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return;
+    session.folder = folder.trim();
     persistSessions();
     renderSessionList();
-    notify("🗑 セッションを削除しました");
   }
 
   /**
@@ -1965,714 +3029,3947 @@
     const session = sessions.find(s => s.id === sessionId);
     if (!session) return;
     session.title = newTitle;
+    session.titleSource = "user";  // 以降、LLMによる自動生成で上書きしない
     persistSessions();
     renderSessionList();
   }
 
+  /** セッション一覧の表示条件（v1.9.0） */
+  const sessionListFilter = {
+    /** @type {"active"|"archived"|"trash"} */
+    view: "active",
+    folder: "",   // "" = すべて, SESSION_NO_FOLDER = フォルダなし
+    tag: "",      // "" = すべて
+    /** @type {"updated"|"created"|"title"|"messages"} */
+    sort: "updated",
+  };
+
+  const SESSION_NO_FOLDER = "\u0000none";
+
+  /** 並び順ごとの比較関数 */
+  const SESSION_SORTERS = Object.freeze({
+    updated: (a, b) => new Date(b.updatedAt || b.createdAt).getTime() - new Date(a.updatedAt || a.createdAt).getTime(),
+    created: (a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime(),
+    title: (a, b) => (a.title || "").localeCompare(b.title || "", "ja"),
+    messages: (a, b) => (b.history || []).length - (a.history || []).length,
+  });
+
+  /**
+   * フォルダ/タグの絞り込み候補を更新する（選択中の値が消えた場合は「すべて」に戻す）
+   */
+  function renderSessionFilterOptions() {
+    const live = sessions.filter(s => !s.deletedAt);
+    const folders = [...new Set(live.map(s => s.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b, "ja"));
+    const tags = [...new Set(live.flatMap(s => s.tags || []))].sort((a, b) => a.localeCompare(b, "ja"));
+
+    if (el.sessionFolderFilter) {
+      if (sessionListFilter.folder && sessionListFilter.folder !== SESSION_NO_FOLDER && !folders.includes(sessionListFilter.folder)) {
+        sessionListFilter.folder = "";
+      }
+      // フォルダ名・タグ名は引用符を含みうるため、HTML文字列ではなく Option で組み立てる
+      el.sessionFolderFilter.innerHTML = "";
+      el.sessionFolderFilter.add(new Option("📁 すべて", ""));
+      el.sessionFolderFilter.add(new Option("📁 フォルダなし", SESSION_NO_FOLDER));
+      folders.forEach(f => el.sessionFolderFilter.add(new Option(`📁 ${f}`, f)));
+      el.sessionFolderFilter.value = sessionListFilter.folder;
+    }
+    if (el.sessionTagFilter) {
+      if (sessionListFilter.tag && !tags.includes(sessionListFilter.tag)) sessionListFilter.tag = "";
+      el.sessionTagFilter.innerHTML = "";
+      el.sessionTagFilter.add(new Option("🏷 すべて", ""));
+      tags.forEach(t => el.sessionTagFilter.add(new Option(`#${t}`, t)));
+      el.sessionTagFilter.value = sessionListFilter.tag;
+    }
+    if (el.emptyTrashBtn) {
+      el.emptyTrashBtn.style.display = sessionListFilter.view === "trash" ? "" : "none";
+    }
+  }
+
+  /**
+   * 表示条件に一致するセッションを並び替えて返す（ゴミ箱以外はピン留めを先頭に）
+   * @returns {Array<Object>}
+   */
+  function getFilteredSessions() {
+    const { view, folder, tag, sort } = sessionListFilter;
+    const filtered = sessions.filter(s => {
+      if (view === "trash") { if (!s.deletedAt) return false; }
+      else if (s.deletedAt || Boolean(s.archived) !== (view === "archived")) return false;
+      if (folder === SESSION_NO_FOLDER ? Boolean(s.folder) : (folder && s.folder !== folder)) return false;
+      if (tag && !(s.tags || []).includes(tag)) return false;
+      return true;
+    });
+    const sorter = SESSION_SORTERS[sort] || SESSION_SORTERS.updated;
+    return filtered.sort((a, b) => {
+      if (view !== "trash" && Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1;
+      return sorter(a, b);
+    });
+  }
+
   /**
    * セッション一覧UIを描画する
    */
   function renderSessionList() {
     if (!el.sessionList) return;
 
-    // カウント更新
+    // カウント更新（アーカイブ・ゴミ箱を除く）
     if (el.sessionCount) {
-      el.sessionCount.textContent = String(sessions.length);
+      el.sessionCount.textContent = String(sessions.filter(s => !s.deletedAt && !s.archived).length);
     }
 
-    // 更新日時の降順でソート（最新が上）
-    const sorted = [...sessions].sort((a, b) => {
-      return new Date(b.updatedAt || b.createdAt).getTime() - new Date(a.updatedAt || a.createdAt).getTime();
-    });
+    renderSessionFilterOptions();
+    const filtered = getFilteredSessions();
+    const inTrash = sessionListFilter.view === "trash";
+
+    if (filtered.length === 0) {
+      el.sessionList.innerHTML = `<div class="session-list-empty">${inTrash ? "ゴミ箱は空です" : "該当する会話はありません"}</div>`;
+      return;
+    }
 
-    el.sessionList.innerHTML = sorted.map(s => {
+    el.sessionList.innerHTML = filtered.map(s => {
       const isActive = s.id === currentSessionId;
-      const dateStr = formatSessionDate(s.updatedAt || s.createdAt);
-      const title = escapeHtml(s.title || getSessionSummary(s.history));
+      const id = escapeAttr(s.id);
+      const titleText = s.title || getSessionSummary(s.history);
+      const title = escapeHtml(titleText);
+      const summary = s.summary ? escapeHtml(s.summary) : "";
+      const summaryAttr = s.summary ? escapeAttr(s.summary) : "";
       const msgCount = (s.history || []).length;
       const activeClass = isActive ? " session-active" : "";
+      const pinnedClass = s.pinned && !inTrash ? " session-pinned" : "";
+      const labels = [
+        s.folder ? `<span class="session-folder-badge">📁 ${escapeHtml(s.folder)}</span>` : "",
+        ...(s.tags || []).map(t => `<span class="session-tag">#${escapeHtml(t)}</span>`),
+      ].join("");
+
+      let meta;
+      let actions;
+      if (inTrash) {
+        const daysLeft = Math.max(0, LIMITS.TRASH_RETENTION_DAYS - Math.floor((Date.now() - new Date(s.deletedAt).getTime()) / 86400000));
+        meta = `削除 ${formatSessionDate(s.deletedAt)} / 残り${daysLeft}日`;
+        actions = `
+          <button data-action="restore" data-session-id="${id}" title="元に戻す">♻️</button>
+          <button class="delete-session" data-action="purge" data-session-id="${id}" title="完全に削除">❌</button>`;
+      } else {
+        meta = `${formatSessionDate(s.updatedAt || s.createdAt)} / ${msgCount}件`;
+        actions = `
+          <button class="session-open-btn" data-action="open" data-session-id="${id}" title="開く">📂</button>
+          <button class="session-summarize-btn" data-action="summarize" data-session-id="${id}" title="AIでタイトルと要約を生成">✨</button>
+          <button class="session-rename-btn" data-action="rename" data-session-id="${id}" title="名前変更">✏️</button>
+          <button data-action="pin" data-session-id="${id}" title="${s.pinned ? "ピン留めを外す" : "ピン留め"}">${s.pinned ? "📍" : "📌"}</button>
+          <button data-action="tags" data-session-id="${id}" title="タグを編集">🏷</button>
+          <button data-action="folder" data-session-id="${id}" title="フォルダを設定">📁</button>
+          <button data-action="archive" data-session-id="${id}" title="${s.archived ? "アーカイブから戻す" : "アーカイブ（保存上限の対象外）"}">${s.archived ? "📤" : "🗄"}</button>
+          <button class="session-delete-btn" data-action="delete" data-session-id="${id}" title="ゴミ箱へ移動">🗑</button>`;
+      }
 
-      return `<div class="session-card${activeClass}" data-session-id="${s.id}">
-        <div class="session-card-title" title="${title}">${title}</div>
-        <div class="session-card-meta">${dateStr} / ${msgCount}件</div>
-        <div class="session-card-actions">
-          <button class="session-open-btn" data-action="open" data-session-id="${s.id}" title="開く">📂</button>
-          <button class="session-rename-btn" data-action="rename" data-session-id="${s.id}" title="名前変更">✏️</button>
-          <button class="session-delete-btn" data-action="delete" data-session-id="${s.id}" title="削除">🗑</button>
+      return `<div class="session-card${activeClass}${pinnedClass}" data-session-id="${id}">
+        <div class="session-card-main">
+          <div class="session-card-title" title="${escapeAttr(titleText)}">${s.pinned && !inTrash ? "📌 " : ""}${title}</div>
+          ${labels ? `<div class="session-card-labels">${labels}</div>` : ""}
+          ${summary ? `<div class="session-card-summary" title="${summaryAttr}">${summary}</div>` : ""}
+        </div>
+        <div class="session-card-meta">${meta}</div>
+        <div class="session-card-actions">${actions}
         </div>
       </div>`;
     }).join("");
   }
 
   // ---------------------------------------------------------------------------
-  // v1.8.0: Keyboard Shortcuts Modal
+  // v1.9.0: Per-session Settings（会話ごとのモデル・プロンプト・パラメータ）
   // ---------------------------------------------------------------------------
 
+  /** セッションごとに記憶する設定項目 */
+  const SESSION_SETTING_KEYS = Object.freeze([
+    "model",
+    "systemPrompt",
+    "temperature",
+    "maxTokens",
+    "reasoningEffort",
+    "sampling",
+    "responseStyle",
+    "responseLanguage",
+    "hideThinking",
+    "enableQwen3Thinking",
+  ]);
+
   /**
-   * キーボードショートカットモーダルの表示/非表示をトグルする
+   * 設定オブジェクトからセッション単位の項目だけを取り出す
+   * @param {Object} src
+   * @returns {Object}
    */
-  function toggleShortcutsModal() {
-    if (!el.shortcutsModal) return;
-    const isVisible = el.shortcutsModal.style.display === "flex";
-    el.shortcutsModal.style.display = isVisible ? "none" : "flex";
+  function pickSessionSettings(src) {
+    const out = {};
+    for (const k of SESSION_SETTING_KEYS) {
+      if (src && src[k] !== undefined) out[k] = src[k];
+    }
+    return out;
   }
 
-  // ---------------------------------------------------------------------------
-  // Chat UI
-  // ---------------------------------------------------------------------------
-
-  // ---------------------------------------------------------------------------
-  // v1.8.0: Welcome Screen
-  // ---------------------------------------------------------------------------
-
-  function showWelcomeScreen() {
-    // 設定で非表示の場合はスキップ
-    if (settings && settings.showWelcome === false) return;
-    // 既に表示中なら何もしない
-    if (el.chat.querySelector(".welcome-screen")) return;
-
-    const welcome = document.createElement("div");
-    welcome.className = "welcome-screen";
-    welcome.innerHTML = `
-      <div class="welcome-logo">💬</div>
-      <h2 class="welcome-title">Local LLM Chat</h2>
-      <p class="welcome-version">JRC2026 Edition</p>
-      <p class="welcome-description">ローカルLLMとプライベートに対話できるチャットアプリ</p>
-      <div class="welcome-tips">
-        <div class="welcome-tip">
-          <span class="welcome-tip-icon">🤖</span>
-          <span class="welcome-tip-text"><strong>モデル選択</strong>上部のドロップダウンからモデルを選択</span>
-        </div>
-        <div class="welcome-tip">
-          <span class="welcome-tip-icon">📎</span>
-          <span class="welcome-tip-text"><strong>ファイル添付</strong>画像・PDF・テキストを添付可能</span>
-        </div>
-        <div class="welcome-tip">
-          <span class="welcome-tip-icon">⚖️</span>
-          <span class="welcome-tip-text"><strong>比較モード</strong>⚖️ボタンで2つのモデルの回答を並べて比較</span>
-        </div>
-        <div class="welcome-tip">
-          <span class="welcome-tip-icon">⚙️</span>
-          <span class="welcome-tip-text"><strong>設定カスタマイズ</strong>右上の⚙️で応答スタイルやプロンプトを調整</span>
-        </div>
-      </div>
-    `;
-    el.chat.appendChild(welcome);
-  }
+  /**
+   * 現在のUI設定を現在のセッションに記憶する
+   * @returns {boolean} セッション専用の設定として保存した場合 true（グローバル設定を使うセッションでは false）
+   */
+  function captureSessionSettings() {
+    const session = sessions.find(s => s.id === currentSessionId);
+    if (!session || session.useGlobalSettings) return false;
 
-  function hideWelcomeScreen() {
-    const welcome = el.chat.querySelector(".welcome-screen");
-    if (welcome) welcome.remove();
+    const snapshot = {
+      ...pickSessionSettings(settings),
+      systemPromptPreset: el.systemPromptPresetSelect?.value || "",
+    };
+    if (JSON.stringify(session.settingsSnapshot) !== JSON.stringify(snapshot)) {
+      session.settingsSnapshot = snapshot;
+      persistSessions();
+    }
+    return true;
   }
 
   /**
-   * チャットにメッセージを描画し、必要なら履歴へ保存する
-   * @param {Role} role
-   * @param {string} content
-   * @param {{save?:boolean, imageData?:string|null}=} opts
+   * セッションの設定をUIへ復元する
+   * グローバル設定を使うセッションは保存済みのグローバル設定を、設定を持たない旧セッションは現在の設定をそのまま使う
+   * @param {Object|undefined} session
    */
-  function appendMessage(role, content, opts = {}) {
-    if (role !== "system") { hideWelcomeScreen(); hideHelpPanel(); }
-    const { save = true, imageData = null, imageDataList = null, msgId = null } = opts;
-
-    const id = msgId || generateMsgId();
+  function applySessionSettings(session) {
+    if (el.useGlobalSettingsToggle) {
+      el.useGlobalSettingsToggle.checked = Boolean(session?.useGlobalSettings);
+    }
+    if (!session) return;
 
-    const container = document.createElement("div");
-    container.classList.add("message", role);
+    const snapshot = session.useGlobalSettings ? loadSettings() : session.settingsSnapshot;
+    if (!snapshot) return;
 
-    // メッセージID・本文を埋め込み
-    container.dataset.msgId = id;
-    container.dataset.content = content;
-    if (imageData) container.dataset.imageData = imageData;
+    const { model, ...rest } = pickSessionSettings(snapshot);
+    Object.assign(settings, rest);
+    applySettingsToUI();
 
-    // user画像添付はメッセージ内にも表示（複数画像対応）
-    if (role === "user") {
-      const imagesToRender = imageDataList || (imageData ? [imageData] : []);
-      if (imagesToRender.length > 0) {
-        const thumbsDiv = document.createElement("div");
-        thumbsDiv.classList.add("image-thumbnails");
-        for (const imgSrc of imagesToRender) {
-          const img = document.createElement("img");
-          img.classList.add("image-in-message");
-          if (imgSrc.startsWith("idb:")) {
-            img.alt = "読込中…";
-            const idbKey = imgSrc.slice(4);
-            getImageFromIdb(idbKey).then(data => {
-              if (data) img.src = data;
-              else img.alt = "画像が見つかりません";
-            }).catch(() => { img.alt = "画像読込エラー"; });
-          } else {
-            img.src = imgSrc;
-          }
-          img.addEventListener("click", () => {
-            if (img.src) showImageLightbox(img.src);
-          });
-          thumbsDiv.appendChild(img);
-        }
-        container.appendChild(thumbsDiv);
-      }
+    if (el.systemPromptPresetSelect) {
+      const preset = session.useGlobalSettings ? "" : (snapshot.systemPromptPreset || "");
+      const exists = Array.from(el.systemPromptPresetSelect.options).some(o => o.value === preset);
+      el.systemPromptPresetSelect.value = exists ? preset : "";
     }
 
-    // 本文（assistantは markdown + thinking対応）
-    const body = document.createElement("div");
-    body.classList.add("message-content");
-    if (role === "assistant") {
-      const { thinking, main, isPartial } = extractThinkingBlocks(content);
-      const thinkingHtml = renderThinkingHtml(thinking, isPartial);
-      body.innerHTML = thinkingHtml + safeMarkdown(main);
+    if (!model || model === el.modelSelect.value) return;
+    if (el.modelSelect.options.length === 0) {
+      // モデル一覧の取得前（起動時）: refreshModels() が settings.model を優先して選択する
+      settings.model = model;
+      return;
+    }
+    if (Array.from(el.modelSelect.options).some(o => o.value === model)) {
+      // 通常のモデル切替と同じ処理（自動ロード/アンロード）を通す
+      el.modelSelect.value = model;
+      el.modelSelect.dispatchEvent(new Event("change"));
     } else {
-      body.textContent = content;
+      notify(`⚠️ この会話のモデル ${model.replace(/^.*\//, "")} が見つかりません（現在のモデルを使用します）`);
     }
-    container.appendChild(body);
+  }
 
-    // system 以外はアクションボタン表示
-    if (role !== "system") {
-      container.appendChild(buildMessageActions(container, role));
-    }
-
-    el.chat.appendChild(container);
-    scrollToBottom();
+  /**
+   * 現在のセッションで「グローバル設定を使用」を切り替える
+   * @param {boolean} useGlobal
+   */
+  function setSessionUseGlobalSettings(useGlobal) {
+    const session = sessions.find(s => s.id === currentSessionId);
+    if (!session) return;
 
-    if (save) {
-      messages.push({ id, role, content, imageData: imageData || undefined, imageDataList: imageDataList || undefined });
-      persistHistory();
+    if (useGlobal) {
+      session.useGlobalSettings = true;
+      delete session.settingsSnapshot;
+      applySessionSettings(session);
+      notify("🌐 この会話ではグローバル設定を使用します");
+    } else {
+      delete session.useGlobalSettings;
+      captureSessionSettings();
+      notify("📌 この会話の設定を記憶しました");
     }
-
-    return id;
+    persistSessions();
   }
 
-  /** ライトボックス: 画像クリックで拡大表示 */
-  function showImageLightbox(src) {
-    const overlay = document.createElement("div");
-    overlay.classList.add("image-lightbox-overlay");
-    overlay.addEventListener("click", () => overlay.remove());
-    const img = document.createElement("img");
-    img.src = src;
-    img.classList.add("image-lightbox-img");
-    overlay.appendChild(img);
-    document.body.appendChild(overlay);
-  }
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Sampling Parameters / Profiles（詳細パラメータとモデル別プロファイル）
+  // ---------------------------------------------------------------------------
 
   /**
-   * Copy/Delete/Edit/Regenerate のUIを作る（systemは呼ばれない）
-   * @param {HTMLDivElement} msgDiv
-   * @param {Role} role
+   * @typedef {Object} SamplingProfile
+   * @property {string} name
+   * @property {string} modelId - 紐付けたモデルID（"" = 紐付けなし）
+   * @property {number} temperature
+   * @property {number} maxTokens
+   * @property {string} reasoningEffort
+   * @property {SamplingParams} sampling
    */
-  function buildMessageActions(msgDiv, role) {
-    const actions = document.createElement("div");
-    actions.classList.add("msg-actions");
-
-    const copyBtn = document.createElement("button");
-    copyBtn.classList.add("msg-btn");
-    copyBtn.textContent = "📋 Copy";
-    copyBtn.onclick = async () => {
-      await navigator.clipboard.writeText(msgDiv.dataset.content || "");
-      notify("✅ コピーしました");
-    };
-
-    const deleteBtn = document.createElement("button");
-    deleteBtn.classList.add("msg-btn");
-    deleteBtn.textContent = "🗑 Delete";
-    deleteBtn.onclick = () => {
-      const msgId = msgDiv.dataset.msgId;
-      const idx = msgId
-        ? messages.findIndex(m => m.id === msgId)
-        : messages.findIndex(m => m.role === role && m.content === (msgDiv.dataset.content || ""));
-      if (idx !== -1) {
-        messages.splice(idx, 1);
-        persistHistory();
-      }
-      msgDiv.remove();
-      notify("✅ メッセージを削除しました");
-    };
-
-    actions.append(copyBtn, deleteBtn);
-
-    // Edit（userのみ）
-    if (role === "user") {
-      const editBtn = document.createElement("button");
-      editBtn.classList.add("msg-btn");
-      editBtn.textContent = "✏️ Edit";
-      editBtn.onclick = () => editUserMessage(msgDiv);
-      actions.appendChild(editBtn);
-    }
 
-    // Regenerate（assistantのみ）
-    if (role === "assistant") {
-      const regenBtn = document.createElement("button");
-      regenBtn.classList.add("msg-btn");
-      regenBtn.textContent = "🔄 Regenerate";
-      regenBtn.onclick = () => regenerateLastAssistant(msgDiv);
-      actions.appendChild(regenBtn);
+  /**
+   * 詳細パラメータの定義（key: settings.sampling のキー, param: リクエストのキー, input: el のキー）
+   * ollamaOnly: Ollama ネイティブAPIの options でのみ送信する
+   */
+  const SAMPLING_FIELDS = Object.freeze([
+    { key: "topP", param: "top_p", input: "samplingTopP", integer: false },
+    { key: "topK", param: "top_k", input: "samplingTopK", integer: true },
+    { key: "minP", param: "min_p", input: "samplingMinP", integer: false },
+    { key: "repeatPenalty", param: "repeat_penalty", input: "samplingRepeatPenalty", integer: false },
+    { key: "presencePenalty", param: "presence_penalty", input: "samplingPresencePenalty", integer: false },
+    { key: "frequencyPenalty", param: "frequency_penalty", input: "samplingFrequencyPenalty", integer: false },
+    { key: "seed", param: "seed", input: "samplingSeed", integer: true },
+    { key: "numCtx", param: "num_ctx", input: "samplingNumCtx", integer: true, ollamaOnly: true },
+  ]);
 
-      // 医学用語チェックボタン（v1.7.2）
-      const termCheckBtn = document.createElement("button");
-      termCheckBtn.classList.add("msg-btn");
-      termCheckBtn.textContent = "🏥 Check";
-      termCheckBtn.title = "医学用語をチェック";
-      termCheckBtn.onclick = () => {
-        const content = msgDiv.dataset.content || "";
-        if (!content.trim()) {
-          notify("⚠️ チェックする内容がありません");
-          return;
-        }
-        performPostResponseTermCheck(content);
-      };
-      actions.appendChild(termCheckBtn);
+  /**
+   * 保存値を詳細パラメータの形に正規化する（不正な値は null = サーバーの既定値）
+   * @param {any} src
+   * @returns {SamplingParams}
+   */
+  function normalizeSampling(src) {
+    const out = /** @type {SamplingParams} */ ({ stop: [] });
+    for (const f of SAMPLING_FIELDS) {
+      const v = src?.[f.key];
+      out[f.key] = (typeof v === "number" && Number.isFinite(v)) ? (f.integer ? Math.round(v) : v) : null;
     }
+    if (Array.isArray(src?.stop)) out.stop = src.stop.filter(s => typeof s === "string" && s.length > 0);
+    return out;
+  }
 
-    return actions;
+  /**
+   * stop 入力欄のテキストを配列にする（1行に1つ、"\n" は改行として扱う）
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function parseStopSequences(text) {
+    return (text || "")
+      .split(/\r?\n/)
+      .filter(line => line.length > 0)
+      .map(line => line.replace(/\\n/g, "\n"));
   }
 
   /**
-   * ユーザーメッセージを編集モードにする
-   * - メッセージ内容を入力欄に戻す
-   * - そのメッセージ以降の履歴を削除
-   * @param {HTMLDivElement} msgDiv
+   * @param {string[]} stop
+   * @returns {string}
    */
-  function editUserMessage(msgDiv) {
-    const msgContent = msgDiv.dataset.content || "";
-    const msgId = msgDiv.dataset.msgId;
+  function formatStopSequences(stop) {
+    return (stop || []).map(s => s.replace(/\n/g, "\\n")).join("\n");
+  }
 
-    // 確認ダイアログ
-    if (!confirm("このメッセージを編集しますか？\n\n※ このメッセージ以降の会話は削除されます。")) {
-      return;
+  /** @returns {SamplingParams} */
+  function readSamplingFromUI() {
+    const src = {};
+    for (const f of SAMPLING_FIELDS) {
+      const raw = el[f.input]?.value?.trim();
+      src[f.key] = raw ? Number(raw) : null;
     }
+    src.stop = parseStopSequences(el.samplingStop?.value || "");
+    return normalizeSampling(src);
+  }
 
-    // メッセージのインデックスをIDで探す（フォールバック: role+content）
-    let idx = msgId
-      ? messages.findIndex(m => m.id === msgId)
-      : -1;
-    if (idx === -1) {
-      for (let i = messages.length - 1; i >= 0; i--) {
-        if (messages[i].role === "user" && messages[i].content === msgContent) {
-          idx = i;
-          break;
-        }
-      }
+  /** @param {SamplingParams} sampling */
+  function applySamplingToUI(sampling) {
+    const s = normalizeSampling(sampling);
+    for (const f of SAMPLING_FIELDS) {
+      if (el[f.input]) el[f.input].value = s[f.key] === null ? "" : String(s[f.key]);
     }
-    if (idx === -1) {
-      notify("⚠️ メッセージが見つかりません");
-      return;
-    }
-
-    // このメッセージ以降をすべて削除（履歴から）
-    const removedCount = messages.length - idx;
-    messages.splice(idx);
-    persistHistory();
+    if (el.samplingStop) el.samplingStop.value = formatStopSequences(s.stop);
+  }
 
-    // DOM上でも該当メッセージ以降を削除
-    const allMessages = Array.from(el.chat.querySelectorAll(".message"));
-    const msgIndex = allMessages.indexOf(msgDiv);
-    if (msgIndex !== -1) {
-      for (let i = allMessages.length - 1; i >= msgIndex; i--) {
-        allMessages[i].remove();
-      }
+  /**
+   * 詳細パラメータをリクエストボディ用に変換する（未設定の項目は送信しない）
+   * @returns {Object}
+   */
+  function buildSamplingParams() {
+    const s = normalizeSampling(settings.sampling);
+    const params = {};
+    for (const f of SAMPLING_FIELDS) {
+      if (s[f.key] !== null && !f.ollamaOnly) params[f.param] = s[f.key];
     }
+    if (s.stop.length > 0) params.stop = s.stop;
+    if (settings.reasoningEffort) params.reasoning_effort = settings.reasoningEffort;
+    return params;
+  }
 
-    // 入力欄にメッセージ内容を復元
-    el.prompt.value = msgContent;
-    autoResizeTextarea(el.prompt);
-    el.prompt.focus();
-    el.prompt.setSelectionRange(el.prompt.value.length, el.prompt.value.length);
+  /** @returns {SamplingProfile[]} */
+  function loadSamplingProfiles() {
+    const raw = localStorage.getItem(STORAGE_KEYS.SAMPLING_PROFILES) || "[]";
+    const arr = safeJSONParse(raw, []);
+    if (!Array.isArray(arr)) return [];
+    return arr
+      .filter(p => p && typeof p.name === "string" && p.name)
+      .map(p => ({
+        name: p.name,
+        modelId: typeof p.modelId === "string" ? p.modelId : "",
+        temperature: typeof p.temperature === "number" ? p.temperature : DEFAULT_SETTINGS.temperature,
+        maxTokens: typeof p.maxTokens === "number" ? p.maxTokens : DEFAULT_SETTINGS.maxTokens,
+        reasoningEffort: typeof p.reasoningEffort === "string" ? p.reasoningEffort : "",
+        sampling: normalizeSampling(p.sampling),
+      }));
+  }
 
-    notify(`✏️ 編集モード（${removedCount}件のメッセージを削除）`);
+  /** @param {SamplingProfile[]} profiles */
+  function saveSamplingProfiles(profiles) {
+    localStorage.setItem(STORAGE_KEYS.SAMPLING_PROFILES, JSON.stringify(profiles));
   }
 
   /**
-   * 再生成: 最後のassistantメッセージを消して、対応するuserメッセージを再送。
-   * ストリーミングエラー時も対応（UI上のメッセージを参照）。
-   * @param {HTMLDivElement} msgDiv
+   * プロファイルのドロップダウンを更新する
+   * @param {string} [selected] - 選択状態にするプロファイル名（省略時は現在の選択を維持）
    */
-  function regenerateLastAssistant(msgDiv) {
-    const assistantMsgId = msgDiv.dataset.msgId;
+  function renderSamplingProfileSelect(selected) {
+    if (!el.samplingProfileSelect) return;
+    const current = selected ?? el.samplingProfileSelect.value;
+    const profiles = loadSamplingProfiles();
 
-    // アシスタントメッセージを履歴から削除（IDで検索、フォールバック: role+content）
-    const idx = assistantMsgId
-      ? messages.findIndex(m => m.id === assistantMsgId)
-      : messages.findIndex(m => m.role === "assistant" && m.content === (msgDiv.dataset.content || ""));
-    if (idx !== -1) {
-      messages.splice(idx, 1);
-      persistHistory();
+    el.samplingProfileSelect.innerHTML = '<option value="">-- プロファイルを選択 --</option>';
+    for (const p of profiles) {
+      const opt = document.createElement("option");
+      opt.value = p.name;
+      opt.textContent = p.modelId ? `${p.name}（🔗 ${p.modelId.replace(/^.*\//, "")}）` : p.name;
+      el.samplingProfileSelect.appendChild(opt);
     }
+    el.samplingProfileSelect.value = profiles.some(p => p.name === current) ? current : "";
+  }
 
-    // UI上の直前のユーザーメッセージを探す（ストリーミングエラー時に必要）
-    let lastUserDiv = null;
-    let prevSibling = msgDiv.previousElementSibling;
-    while (prevSibling) {
-      if (prevSibling.classList.contains("message") && prevSibling.classList.contains("user")) {
-        lastUserDiv = prevSibling;
-        break;
-      }
-      prevSibling = prevSibling.previousElementSibling;
-    }
+  /**
+   * プロファイルのパラメータをUIと設定に反映する
+   * @param {SamplingProfile} profile
+   */
+  function applySamplingProfile(profile) {
+    el.temperature.value = String(profile.temperature);
+    el.tempValue.textContent = String(profile.temperature);
+    el.maxTokens.value = String(profile.maxTokens);
+    if (el.reasoningEffort) el.reasoningEffort.value = profile.reasoningEffort;
+    applySamplingToUI(profile.sampling);
+    saveSettingsFromUI();
+    renderSamplingProfileSelect(profile.name);
+  }
 
-    // アシスタントメッセージをUIから削除
-    msgDiv.remove();
+  /**
+   * モデルに紐付いたプロファイルがあれば適用する（ユーザーがモデルを切り替えたとき）
+   * @param {string} modelId
+   * @returns {boolean} 適用した場合 true
+   */
+  function applyModelSamplingProfile(modelId) {
+    const profile = loadSamplingProfiles().find(p => p.modelId === modelId);
+    if (!profile) return false;
+    applySamplingProfile(profile);
+    notify(`🎛 プロファイル「${profile.name}」を適用しました`);
+    return true;
+  }
 
-    // ユーザーメッセージのコンテンツとIDを取得
-    let userContent = "";
-    let userMsgId = "";
-    if (lastUserDiv) {
-      userContent = lastUserDiv.dataset.content || "";
-      userMsgId = lastUserDiv.dataset.msgId || "";
-    }
+  /**
+   * 現在のパラメータをプロファイルとして保存する（同名は上書き）
+   * 「モデルへ紐付け」がONなら選択中のモデルに紐付け、同じモデルに紐付いた他のプロファイルは解除する
+   */
+  function saveCurrentAsSamplingProfile() {
+    const name = prompt("プロファイル名を入力してください:", el.samplingProfileSelect?.value || "");
+    if (!name || !name.trim()) return;
+    const trimmedName = name.trim();
 
-    // UI上のユーザーメッセージがない場合、履歴から探す
-    if (!userContent) {
-      for (let i = messages.length - 1; i >= 0; i--) {
-        if (messages[i].role === "user") {
-          userContent = messages[i].content;
-          userMsgId = messages[i].id || "";
-          break;
-        }
-      }
+    saveSettingsFromUI();
+    const bind = Boolean(el.samplingProfileBindToggle?.checked);
+    const modelId = bind ? (el.modelSelect.value || "") : "";
+    if (bind && !modelId) {
+      notify("⚠️ モデルが選択されていないため紐付けできません");
+      return;
     }
 
-    if (!userContent) {
-      notify("⚠️ 再生成するユーザーメッセージがありません");
+    /** @type {SamplingProfile} */
+    const profile = {
+      name: trimmedName,
+      modelId,
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+      reasoningEffort: settings.reasoningEffort || "",
+      sampling: normalizeSampling(settings.sampling),
+    };
+    const profiles = loadSamplingProfiles()
+      .filter(p => p.name !== trimmedName)
+      .map(p => (modelId && p.modelId === modelId ? { ...p, modelId: "" } : p));
+    profiles.push(profile);
+    saveSamplingProfiles(profiles);
+    renderSamplingProfileSelect(trimmedName);
+    notify(modelId
+      ? `✅ プロファイル「${trimmedName}」を保存し、${modelId.replace(/^.*\//, "")} に紐付けました`
+      : `✅ プロファイル「${trimmedName}」を保存しました`);
+  }
+
+  /**
+   * 選択中のプロファイルを削除する
+   */
+  function deleteSelectedSamplingProfile() {
+    const selected = el.samplingProfileSelect?.value;
+    if (!selected) {
+      notify("⚠️ 削除するプロファイルを選択してください");
       return;
     }
+    if (!confirm(`プロファイル「${selected}」を削除しますか？`)) return;
+    saveSamplingProfiles(loadSamplingProfiles().filter(p => p.name !== selected));
+    renderSamplingProfileSelect("");
+    notify(`🗑 プロファイル「${selected}」を削除しました`);
+  }
 
-    // 履歴からユーザーメッセージを削除（IDで検索、フォールバック: role+content）
-    const userIdx = userMsgId
-      ? messages.findIndex(m => m.id === userMsgId)
-      : messages.findIndex(m => m.role === "user" && m.content === userContent);
-    if (userIdx !== -1) {
-      messages.splice(userIdx, 1);
-      persistHistory();
+  function wireSamplingEvents() {
+    for (const f of SAMPLING_FIELDS) {
+      if (el[f.input]) el[f.input].onchange = saveSettingsFromUI;
     }
+    if (el.samplingStop) el.samplingStop.onchange = saveSettingsFromUI;
 
-    // UI上のユーザーメッセージを削除
-    if (lastUserDiv) {
-      lastUserDiv.remove();
-    } else {
-      // 履歴から見つけた場合は最後のユーザーメッセージを削除
-      const userDivs = el.chat.querySelectorAll(".message.user");
-      if (userDivs.length > 0) {
-        userDivs[userDivs.length - 1].remove();
-      }
+    if (el.samplingProfileSelect) {
+      el.samplingProfileSelect.onchange = () => {
+        const profile = loadSamplingProfiles().find(p => p.name === el.samplingProfileSelect.value);
+        if (!profile) return;
+        applySamplingProfile(profile);
+        notify(`🎛 プロファイル「${profile.name}」を適用しました`);
+      };
     }
-
-    // プロンプト入力欄にテキストをセットして送信
-    el.prompt.value = userContent;
-    el.sendBtn.click();
+    if (el.samplingProfileSaveBtn) el.samplingProfileSaveBtn.onclick = saveCurrentAsSamplingProfile;
+    if (el.samplingProfileDeleteBtn) el.samplingProfileDeleteBtn.onclick = deleteSelectedSamplingProfile;
+    renderSamplingProfileSelect();
   }
 
   // ---------------------------------------------------------------------------
-  // System prompt composition
+  // v1.9.0: LLM Session Title / Summary
   // ---------------------------------------------------------------------------
 
-  /** 応答スタイルの追加指示 */
-  function getResponseStyleInstruction() {
-    const style = el.responseStyle.value || "standard";
-    const map = {
-      concise: "\n\n【応答スタイル】簡潔に要点のみを述べてください。冗長な説明は避け、核心的な情報のみを提供してください。",
-      standard: "",
-      detailed: "\n\n【応答スタイル】詳細な説明を心がけてください。背景情報、理由、具体例などを含めて丁寧に説明してください。",
-      professional: "\n\n【応答スタイル】専門的で技術的な詳細を重視してください。学術的な正確性を保ち、専門用語を適切に使用し、エビデンスや根拠を明示してください。",
-    };
-
-    let instruction = map[style] || "";
-
-    // 応答言語の指定
-    const lang = el.responseLanguage?.value || "";
-    if (lang) {
-      const langMap = {
-        ja: "日本語",
-        en: "English",
-        zh: "中文",
-        ko: "한국어",
-      };
-      instruction += `\n\n【応答言語】必ず${langMap[lang] || lang}で回答してください。`;
-    }
-
-    // 深掘りモードが有効な場合は追加指示
-    if (deepDiveMode) {
-      instruction += "\n\n【深掘りモード】回答する前に、まず問題を多角的に分析してください。以下の点を考慮して深く掘り下げた回答を提供してください：\n" +
-        "1. 根本的な原因や背景は何か\n" +
-        "2. 異なる視点や解釈の可能性\n" +
-        "3. 関連する概念や理論との繋がり\n" +
-        "4. 潜在的な問題点や限界\n" +
-        "5. 実践的な応用や次のステップ\n" +
-        "回答は構造化し、思考プロセスを明示してください。";
-    }
+  const SESSION_TITLE_PROMPT = `以下の会話に、短いタイトルと要約を付けてください。
 
-    return instruction;
-  }
+【出力形式】
+JSONのみを出力してください（説明文は不要）:
+{"title": "20文字以内のタイトル", "summary": "2〜3行の要約"}
 
-  /** ユーザープロフィール（任意） */
-  function getUserProfileInstruction() {
-    const name = el.userName.value.trim();
-    const level = el.userLevel.value;
-    const profession = el.userProfession.value.trim();
-    const interests = el.userInterests.value.trim();
-    if (!name && !level && !profession && !interests) return "";
+【会話】
+{TEXT}`;
 
-    let out = "\n\n【ユーザー情報】";
+  /** タイトル生成に渡す1メッセージあたりの最大文字数（添付PDF等で長くなるため） */
+  const SESSION_TITLE_MAX_CHARS = 2000;
 
-    if (name) out += `\n- ユーザーを「${name}」と呼んでください。`;
+  /** 生成中のセッションID（二重リクエスト防止） */
+  const titleGenerationInFlight = new Set();
 
-    const levelMap = {
-      beginner: "ユーザーは初心者です。専門用語を避け、基礎から丁寧に説明してください。",
-      intermediate: "ユーザーは中級者です。基本的な知識は持っているものとして、適度な専門用語を使用して説明してください。",
-      advanced: "ユーザーは上級者です。専門的な内容を深く掘り下げて説明してください。",
-      expert: "ユーザーは専門家です。高度な専門知識を前提とし、最新の研究や詳細な技術的議論を含めてください。",
-    };
+  /**
+   * LLMの応答テキストからJSONオブジェクトを取り出す
+   * （```json ... ``` でラップされている場合や前後に説明文がある場合も対応）
+   * @param {string} content
+   * @returns {any}
+   */
+  function parseJsonFromLlm(content) {
+    let jsonStr = content;
+    const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (jsonMatch) {
+      jsonStr = jsonMatch[1];
+    }
 
-    if (level && levelMap[level]) out += `\n- ${levelMap[level]}`;
-    if (profession) out += `\n- 職業/専門分野: ${profession}`;
-    if (interests) out += `\n- 興味・関心: ${interests}`;
+    // JSONの開始位置を探す
+    const jsonStart = jsonStr.indexOf("{");
+    const jsonEnd = jsonStr.lastIndexOf("}");
+    if (jsonStart !== -1 && jsonEnd !== -1) {
+      jsonStr = jsonStr.slice(jsonStart, jsonEnd + 1);
+    }
 
-    return out;
+    return JSON.parse(jsonStr);
   }
 
   /**
-   * 話題リセット後にLLMへ送るユーザー自己紹介メッセージを構築
-   * プロフィール設定がなければ空文字を返す
+   * 現在のモデルに非ストリーミングで問い合わせる（思考部分は除去）
+   * @param {Array<{role:string, content:any}>} messages
+   * @param {{temperature?: number, maxTokens?: number, signal?: AbortSignal, extraBody?: Object}} [opts] - extraBody: response_format 等の追加パラメータ
+   * @returns {Promise<{content: string|null, status: number, error?: string}>} 通信エラー時は status 0 / error: 失敗時の応答本文
    */
-  function buildUserProfileContext() {
-    const name = el.userName.value.trim();
-    const level = el.userLevel.value;
-    const profession = el.userProfession.value.trim();
-    const interests = el.userInterests.value.trim();
-    if (!name && !level && !profession && !interests) return "";
+  async function requestChatCompletion(messages, opts = {}) {
+    const model = el.modelSelect.value || settings.model;
+    if (!model) return { content: null, status: 0 };
 
-    const parts = [];
-    if (name) parts.push(`${name}です`);
-    if (profession) parts.push(`職業は${profession}です`);
-    const levelLabel = { beginner: "初心者", intermediate: "中級者", advanced: "上級者", expert: "専門家" };
-    if (level && levelLabel[level]) parts.push(`専門レベルは${levelLabel[level]}です`);
-    if (interests) parts.push(`${interests}に関心があります`);
+    const requestBody = buildChatBody(model, messages, {
+      temperature: opts.temperature ?? 0.3,
+      maxTokens: opts.maxTokens ?? 512,
+      extraBody: opts.extraBody,
+    });
 
-    return parts.join("。") + "。よろしくお願いします。";
+    try {
+      const { provider, conn } = getModelProvider(model);
+      const { content, status, error } = await provider.chatOnce(conn, requestBody, opts.signal);
+      if (content === null) {
+        console.error("Completion request failed:", status);
+        return { content: null, status, error };
+      }
+      return { content: extractThinkingBlocks(content).main, status };
+    } catch (e) {
+      if (e?.name === "AbortError") throw e;
+      console.error("Completion request error:", e);
+      return { content: null, status: 0 };
+    }
   }
 
   /**
-   * API送信用の messages を作る（system先頭、交互、末尾assistantは除外）
-   * 画像添付は Vision API形式（content配列）に変換。
-   *
-   * NOTE: system が slice で落ちないように、必ず system + 最後のN-1件に整形する。
-   * @returns {Array<{role:string, content:any}>}
+   * 現在のモデルに1回だけ問い合わせ、応答本文を返す（非ストリーミング・思考部分は除去）
+   * @param {string} prompt
+   * @param {{temperature?: number, maxTokens?: number, signal?: AbortSignal}} [opts]
+   * @returns {Promise<string|null>} 失敗時は null
    */
-  function buildConversation() {
-    let sysPrompt;
+  async function requestCompletionText(prompt, opts = {}) {
+    try {
+      const { content } = await requestChatCompletion([{ role: "user", content: prompt }], opts);
+      return content;
+    } catch {
+      // 中断（AbortError）
+      return null;
+    }
+  }
 
-    // ヘルプモードの場合は専用のシステムプロンプトを使用
-    if (helpMode) {
-      const manual = _manualContentCache || HELP_MANUAL_FALLBACK;
-      sysPrompt = `あなたは「Local LLM Chat」アプリのヘルプアシスタントです。
-以下のアプリマニュアルを参照して、ユーザーの質問に日本語で丁寧に回答してください。
-マニュアルに記載されていない内容については「マニュアルに記載がありません」と伝えてください。
+  /**
+   * 会話をプロンプト用のテキストに変換する（1メッセージあたり SESSION_TITLE_MAX_CHARS で切り詰め）
+   * @param {StoredMessage[]} turns
+   * @returns {string}
+   */
+  function formatTurnsForPrompt(turns) {
+    return turns.map(m => {
+      const body = m.role === "assistant" ? extractThinkingBlocks(m.content || "").main : (m.content || "");
+      const clipped = body.length > SESSION_TITLE_MAX_CHARS ? body.slice(0, SESSION_TITLE_MAX_CHARS) + "…" : body;
+      return `${m.role === "user" ? "ユーザー" : "アシスタント"}: ${clipped}`;
+    }).join("\n\n");
+  }
 
----
-${manual}
----
+  /**
+   * 会話の先頭部分からタイトルと要約を生成する（非ストリーミング）
+   * @param {StoredMessage[]} history
+   * @returns {Promise<{title: string, summary: string}|null>}
+   */
+  async function requestSessionTitle(history) {
+    const turns = history.filter(m => m.role === "user" || m.role === "assistant").slice(0, 4);
+    if (turns.length === 0) return null;
 
-上記のマニュアル内容を基に、ユーザーの質問に回答してください。`;
-    } else {
-      const baseSysPrompt = el.systemPrompt.value || settings.systemPrompt;
-      sysPrompt = baseSysPrompt + getResponseStyleInstruction() + getUserProfileInstruction();
+    const content = await requestCompletionText(SESSION_TITLE_PROMPT.replace("{TEXT}", formatTurnsForPrompt(turns)));
+    if (!content) return null;
+    try {
+      const result = parseJsonFromLlm(content);
+      const title = typeof result?.title === "string" ? result.title.trim().slice(0, 40) : "";
+      const summary = typeof result?.summary === "string" ? result.summary.trim() : "";
+      if (!title && !summary) return null;
+      return { title, summary };
+    } catch (e) {
+      console.error("Session title parse error:", e);
+      return null;
     }
+  }
 
-    /** @type {Array<{role:string, content:any}>} */
-    const conv = [{ role: "system", content: sysPrompt }];
+  /**
+   * セッションのタイトルと要約を生成して保存する
+   * renameSession() でユーザーが付けたタイトルは上書きしない（要約のみ更新）
+   * @param {string} sessionId
+   * @param {{silent?: boolean}} [opts] - silent: 自動生成時は通知しない
+   */
+  async function generateSessionTitle(sessionId, opts = {}) {
+    if (titleGenerationInFlight.has(sessionId)) return;
+    syncCurrentSession();
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session || !session.history || session.history.length === 0) {
+      if (!opts.silent) notify("ℹ️ 要約する会話がありません");
+      return;
+    }
 
-    // 話題リセット後はユーザー基本情報を会話冒頭に再注入
-    if (topicStartIndex > 0) {
-      const profile = buildUserProfileContext();
-      if (profile) {
-        conv.push({ role: "user", content: profile });
-        conv.push({ role: "assistant", content: "承知しました。引き続きよろしくお願いします。" });
+    titleGenerationInFlight.add(sessionId);
+    if (!opts.silent) notify("✨ タイトルと要約を生成中...");
+    try {
+      const result = await requestSessionTitle(session.history);
+      // 生成中に削除・改名されている可能性があるため再取得して判定
+      const target = sessions.find(s => s.id === sessionId);
+      if (!result || !target) {
+        if (!opts.silent) notify("⚠️ タイトルと要約を生成できませんでした");
+        return;
       }
+      if (result.title && target.titleSource !== "user") {
+        target.title = result.title;
+        target.titleSource = "llm";
+      }
+      if (result.summary) target.summary = result.summary;
+      persistSessions();
+      renderSessionList();
+      if (!opts.silent) notify("✨ タイトルと要約を更新しました");
+    } finally {
+      titleGenerationInFlight.delete(sessionId);
     }
+  }
+
+  /**
+   * 最初のアシスタント応答の完了後に、設定が有効ならバックグラウンドで生成する
+   */
+  function maybeAutoGenerateSessionTitle() {
+    if (!settings.autoSessionTitle) return;
+    const session = sessions.find(s => s.id === currentSessionId);
+    if (!session || session.summary) return;
+    if (messages.filter(m => m.role === "assistant").length !== 1) return;
+    generateSessionTitle(session.id, { silent: true });
+  }
 
-    // topicStartIndex 以降のメッセージのみをAPIに送信
-    const relevantMessages = messages.slice(topicStartIndex);
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Structured Output（JSON Schema による構造化出力）
+  //   response_format: json_schema に対応したサーバーではそれを使い、
+  //   非対応なら「スキーマをプロンプトで指示 → JSONを抽出 → 検証 → 修正依頼」で代替する
+  // ---------------------------------------------------------------------------
 
-    let last = conv.at(-1)?.role || "system";
-    for (const m of relevantMessages) {
-      if (!["user", "assistant"].includes(m.role)) continue;
-      if (m.role === last) continue;
+  /**
+   * @typedef {Object} StructuredOutputDef
+   * @property {string} name - response_format.json_schema.name（英数字と _ のみ）
+   * @property {string} label - UI表示名
+   * @property {Object} schema - JSON Schema（title はMarkdown表示の見出しに使用）
+   */
 
-      // Vision API形式に変換（user画像のみ、idb:参照はスキップ）
-      const imgList = m.imageDataList || (m.imageData ? [m.imageData] : []);
-      const validImgs = imgList.filter(d => d && !d.startsWith("idb:"));
-      if (m.role === "user" && validImgs.length > 0) {
-        const contentArray = [];
-        if (m.content) contentArray.push({ type: "text", text: m.content });
-        for (const imgUrl of validImgs) {
-          contentArray.push({ type: "image_url", image_url: { url: imgUrl } });
-        }
-        conv.push({ role: "user", content: contentArray });
-      } else {
-        conv.push({ role: m.role, content: m.content });
+  /** 構造化出力のスキーマ定義 */
+  const STRUCTURED_OUTPUTS = Object.freeze({
+    termCheck: {
+      name: "medical_term_check",
+      label: "医学用語チェック",
+      schema: {
+        type: "object",
+        properties: {
+          hasIssues: { type: "boolean", title: "問題あり" },
+          issues: {
+            type: "array",
+            title: "指摘",
+            items: {
+              type: "object",
+              properties: {
+                original: { type: "string", title: "誤った用語・表現" },
+                suggested: { type: "string", title: "修正案" },
+                reason: { type: "string", title: "理由" },
+              },
+              required: ["original", "suggested", "reason"],
+              additionalProperties: false,
+            },
+          },
+        },
+        required: ["hasIssues", "issues"],
+        additionalProperties: false,
+      },
+    },
+    ddx: {
+      name: "differential_diagnosis",
+      label: "鑑別診断",
+      schema: {
+        type: "object",
+        properties: {
+          differentials: {
+            type: "array",
+            title: "鑑別診断",
+            minItems: 1,
+            maxItems: 5,
+            items: {
+              type: "object",
+              properties: {
+                diagnosis: { type: "string", title: "診断" },
+                confidence: { type: "integer", minimum: 0, maximum: 100, title: "自信度" },
+                rationale: { type: "string", title: "根拠" },
+              },
+              required: ["diagnosis", "confidence", "rationale"],
+              additionalProperties: false,
+            },
+          },
+          dark_horse: {
+            type: "object",
+            title: "大穴",
+            properties: {
+              diagnosis: { type: "string", title: "診断" },
+              rationale: { type: "string", title: "根拠" },
+            },
+            required: ["diagnosis", "rationale"],
+            additionalProperties: false,
+          },
+        },
+        required: ["differentials", "dark_horse"],
+        additionalProperties: false,
+      },
+    },
+    review: {
+      name: "peer_review",
+      label: "論文査読",
+      schema: {
+        type: "object",
+        properties: {
+          summary: { type: "string", title: "要旨" },
+          strengths: {
+            type: "array",
+            title: "Strengths",
+            maxItems: 3,
+            items: {
+              type: "object",
+              properties: { point: { type: "string", title: "内容" }, suggestion: { type: "string", title: "改善提案" } },
+              required: ["point", "suggestion"],
+              additionalProperties: false,
+            },
+          },
+          weaknesses: {
+            type: "array",
+            title: "Weaknesses",
+            maxItems: 3,
+            items: {
+              type: "object",
+              properties: { point: { type: "string", title: "内容" }, suggestion: { type: "string", title: "改善提案" } },
+              required: ["point", "suggestion"],
+              additionalProperties: false,
+            },
+          },
+          ratings: {
+            type: "object",
+            title: "評価（5段階）",
+            properties: {
+              novelty: { type: "integer", minimum: 1, maximum: 5, title: "新規性" },
+              clinical_significance: { type: "integer", minimum: 1, maximum: 5, title: "臨床的意義" },
+              methodology: { type: "integer", minimum: 1, maximum: 5, title: "方法論" },
+              statistics: { type: "integer", minimum: 1, maximum: 5, title: "統計" },
+              reproducibility: { type: "integer", minimum: 1, maximum: 5, title: "再現性" },
+            },
+            required: ["novelty", "clinical_significance", "methodology", "statistics", "reproducibility"],
+            additionalProperties: false,
+          },
+          major_revisions: { type: "array", title: "主要修正点", maxItems: 3, items: { type: "string" } },
+          decision: { type: "string", title: "判定", enum: ["Accept", "Minor Revision", "Major Revision", "Reject"] },
+        },
+        required: ["summary", "strengths", "weaknesses", "ratings", "major_revisions", "decision"],
+        additionalProperties: false,
+      },
+    },
+  });
+
+  /** 検証失敗時の修正依頼の最大回数 */
+  const STRUCTURED_MAX_RETRIES = 2;
+
+  /** @type {Map<string, boolean>} 接続先ごとの response_format: json_schema 対応可否（refreshModels でリセット） */
+  const jsonSchemaSupport = new Map();
+
+  /**
+   * JSON Schema のサブセット（type / properties / required / additionalProperties / items / enum /
+   * minimum / maximum / minItems / maxItems / minLength / maxLength）で値を検証する
+   * @param {any} value
+   * @param {Object} schema
+   * @param {string} [path="$"]
+   * @returns {string[]} エラーメッセージ（空なら妥当）
+   */
+  function validateJsonSchema(value, schema, path = "$") {
+    const errors = [];
+    if (!schema || typeof schema !== "object") return errors;
+
+    const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : typeof v);
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const actual = typeOf(value);
+      const ok = types.some(t => t === actual || (t === "integer" && Number.isInteger(value)) || (t === "number" && actual === "number" && Number.isFinite(value)));
+      if (!ok) {
+        errors.push(`${path}: expected ${types.join("|")}, got ${actual}`);
+        return errors;
+      }
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(e => e === value)) {
+      errors.push(`${path}: must be one of ${schema.enum.map(e => JSON.stringify(e)).join(", ")}`);
+    }
+    if (typeof value === "number") {
+      if (typeof schema.minimum === "number" && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+      if (typeof schema.maximum === "number" && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+    if (typeof value === "string") {
+      if (typeof schema.minLength === "number" && value.length < schema.minLength) errors.push(`${path}: too short (min ${schema.minLength})`);
+      if (typeof schema.maxLength === "number" && value.length > schema.maxLength) errors.push(`${path}: too long (max ${schema.maxLength})`);
+    }
+    if (Array.isArray(value)) {
+      if (typeof schema.minItems === "number" && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`);
+      if (typeof schema.maxItems === "number" && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items`);
+      if (schema.items) value.forEach((v, i) => errors.push(...validateJsonSchema(v, schema.items, `${path}[${i}]`)));
+    }
+    if (typeOf(value) === "object") {
+      const props = schema.properties || {};
+      for (const k of schema.required || []) {
+        if (!(k in value)) errors.push(`${path}: missing required property "${k}"`);
+      }
+      for (const [k, v] of Object.entries(value)) {
+        if (props[k]) errors.push(...validateJsonSchema(v, props[k], `${path}.${k}`));
+        else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property "${k}"`);
       }
+    }
+    return errors;
+  }
 
-      last = m.role;
+  /**
+   * 最後のユーザーメッセージにスキーマの指示を追記したコピーを返す（json_schema 非対応サーバー用）
+   * @param {Array<{role:string, content:any}>} messages
+   * @param {StructuredOutputDef} def
+   * @returns {Array<{role:string, content:any}>}
+   */
+  function withSchemaInstruction(messages, def) {
+    const instruction = `\n\n【出力形式】次の JSON Schema に従う JSON のみを出力してください（説明文やコードブロックは不要）:\n${JSON.stringify(def.schema)}`;
+    const out = messages.map(m => ({ ...m }));
+    const last = out[out.length - 1];
+    if (last && last.role === "user") {
+      last.content = Array.isArray(last.content)
+        ? [...last.content, { type: "text", text: instruction }]
+        : (last.content || "") + instruction;
+    } else {
+      out.push({ role: "user", content: instruction.trim() });
     }
+    return out;
+  }
 
-    // 末尾を整理: 新しいuserMessageが後に追加されるため、
-    // 履歴は ...user, assistant で終わるのが正しい。
-    // もし末尾が user で終わっている場合（削除操作等）のみ除去する。
-    if (conv.length > 1 && conv.at(-1).role === "user") conv.pop();
+  /**
+   * エラー応答が response_format（json_schema）の拒否によるものか
+   * @param {number} status
+   * @param {string} [error] - エラー応答の本文
+   * @returns {boolean}
+   */
+  function isResponseFormatRejected(status, error) {
+    return (status === 400 || status === 422) && /response_format|json_schema/i.test(error || "");
+  }
 
-    // systemは常に残し、まず絶対上限でスライス
-    const tail = conv.slice(1).slice(-LIMITS.MAX_HISTORY_UPPER_BOUND);
+  /**
+   * スキーマに沿った JSON をモデルから取得する（検証に失敗したら理由を伝えて再生成を依頼）
+   * @param {Array<{role:string, content:any}>} messages
+   * @param {StructuredOutputDef} def
+   * @param {{temperature?: number, maxTokens?: number, signal?: AbortSignal, extraBody?: Object}} [opts]
+   * @returns {Promise<{data: any, nativeSchema: boolean, attempts: number}|null>}
+   */
+  async function requestStructuredOutput(messages, def, opts = {}) {
+    const { base } = getModelEndpoint(el.modelSelect.value || settings.model);
+    const responseFormat = { type: "json_schema", json_schema: { name: def.name, strict: true, schema: def.schema } };
 
-    // 動的コンテキストトリミング: モデルのmax_context_lengthに基づき調整
-    const contextLength = getModelContextLength();
-    const maxTokens = parseInt(el.maxTokens.value, 10) || 2048;
+    let useNative = jsonSchemaSupport.get(base) !== false;
+    let conversation = useNative ? messages : withSchemaInstruction(messages, def);
 
-    if (contextLength) {
-      const budget = contextLength - maxTokens - 200; // 200 = safety margin
-      const sysTokens = estimateTokens(conv[0].content);
-      let sumTail = 0;
-      for (const m of tail) sumTail += estimateTokens(m.content);
+    for (let attempt = 1; attempt <= STRUCTURED_MAX_RETRIES + 1; attempt++) {
+      const { content, status, error } = await requestChatCompletion(conversation, {
+        ...opts,
+        extraBody: useNative ? { ...opts.extraBody, response_format: responseFormat } : opts.extraBody,
+      });
 
-      let trimmed = false;
-      while (tail.length > 0 && (sysTokens + sumTail) > budget) {
-        sumTail -= estimateTokens(tail[0].content);
-        tail.shift();
-        trimmed = true;
-      }
-      if (trimmed) {
-        notify("⚠️ コンテキスト長に合わせて古い会話を省略しました");
+      // response_format を受け付けないサーバー（400/422 で response_format / json_schema に言及）は
+      // プロンプト指示に切り替えてやり直す（認証エラーやコンテキスト長超過では切り替えない）
+      if (content === null && useNative && isResponseFormatRejected(status, error)) {
+        jsonSchemaSupport.set(base, false);
+        useNative = false;
+        conversation = withSchemaInstruction(messages, def);
+        attempt--;
+        continue;
       }
-    } else {
-      // フォールバック: max_context_length不明 → 従来の6ターン制限
-      while (tail.length > (LIMITS.MAX_HISTORY_FOR_API - 1)) {
-        tail.shift();
+      if (content === null) return null;
+      if (useNative) jsonSchemaSupport.set(base, true);
+
+      let data;
+      let errors;
+      try {
+        // まずそのまま、失敗したらコードブロックや前後の説明文を除いて解析
+        data = safeJSONParse(content.trim(), undefined);
+        if (data === undefined) data = parseJsonFromLlm(content);
+        errors = validateJsonSchema(data, def.schema);
+      } catch {
+        errors = ["output is not valid JSON"];
       }
+      if (errors.length === 0) return { data, nativeSchema: useNative, attempts: attempt };
+
+      console.warn(`[Structured] ${def.name} 検証エラー (試行${attempt}):`, errors);
+      conversation = [
+        ...conversation,
+        { role: "assistant", content },
+        { role: "user", content: `前回の出力はスキーマに適合しませんでした:\n- ${errors.slice(0, 10).join("\n- ")}\nスキーマに従う JSON のみを出力し直してください。` },
+      ];
     }
+    return null;
+  }
 
-    // tailが assistant で始まる場合、対応するuserが欠落しているので除去
-    if (tail.length > 0 && tail[0].role === "assistant") tail.shift();
+  /** 構造化出力で送信するプリセット（プリセットキー → STRUCTURED_OUTPUTS のキー） */
+  const PRESET_STRUCTURED_OUTPUTS = Object.freeze({
+    ddx: "ddx",
+    review: "review",
+  });
+
+  /** @type {string|null} 次の送信で使う構造化出力（STRUCTURED_OUTPUTS のキー）。送信すると解除 */
+  let pendingStructuredOutput = null;
+
+  /**
+   * 次の送信の構造化出力モードを設定/解除し、入力欄上のバッジを更新する
+   * @param {string|null} key
+   */
+  function setStructuredOutputMode(key) {
+    pendingStructuredOutput = key && STRUCTURED_OUTPUTS[key] ? key : null;
+    if (!el.structuredModeBadge) return;
+    el.structuredModeBadge.style.display = pendingStructuredOutput ? "" : "none";
+    if (el.structuredModeLabel && pendingStructuredOutput) {
+      el.structuredModeLabel.textContent = `🧩 構造化出力: ${STRUCTURED_OUTPUTS[pendingStructuredOutput].label}`;
+    }
+  }
+
+  function wireStructuredOutputEvents() {
+    if (el.structuredModeCancel) {
+      el.structuredModeCancel.onclick = () => {
+        setStructuredOutputMode(null);
+        notify("ℹ️ 構造化出力を解除しました（通常の応答で送信します）");
+      };
+    }
+  }
+
+  /**
+   * Markdown の表のセル用にエスケープする
+   * @param {any} v
+   * @returns {string}
+   */
+  function toMarkdownCell(v) {
+    const s = v === null || v === undefined ? "" : (typeof v === "object" ? JSON.stringify(v) : String(v));
+    return s.replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+  }
+
+  /**
+   * 検証済みの構造化データを Markdown に変換する
+   * オブジェクトの配列は表、オブジェクトは「見出し: 値」のフォーム形式、文字列の配列は箇条書き
+   * @param {any} data
+   * @param {Object} schema
+   * @returns {string}
+   */
+  function structuredToMarkdown(data, schema) {
+    const props = schema?.properties || {};
+    const title = (key, sub) => sub?.title || key;
+
+    const renderArray = (arr, sub) => {
+      const itemProps = sub?.items?.properties;
+      if (arr.length === 0) return "（なし）";
+      if (itemProps) {
+        const cols = Object.keys(itemProps);
+        return [
+          `| ${cols.map(c => toMarkdownCell(title(c, itemProps[c]))).join(" | ")} |`,
+          `| ${cols.map(() => "---").join(" | ")} |`,
+          ...arr.map(row => `| ${cols.map(c => toMarkdownCell(row?.[c])).join(" | ")} |`),
+        ].join("\n");
+      }
+      return arr.map(v => `- ${toMarkdownCell(v)}`).join("\n");
+    };
+
+    const renderObject = (obj, objSchema) => {
+      const objProps = objSchema?.properties || {};
+      return Object.keys(obj).map(k => `- **${title(k, objProps[k])}**: ${toMarkdownCell(obj[k])}`).join("\n");
+    };
 
-    return [conv[0], ...tail];
+    const blocks = [];
+    const inline = [];
+    for (const key of Object.keys(data || {})) {
+      const v = data[key];
+      const sub = props[key];
+      if (Array.isArray(v)) blocks.push(`**${title(key, sub)}**\n\n${renderArray(v, sub)}`);
+      else if (v && typeof v === "object") blocks.push(`**${title(key, sub)}**\n\n${renderObject(v, sub)}`);
+      else inline.push(`- **${title(key, sub)}**: ${toMarkdownCell(v)}`);
+    }
+    return [inline.join("\n"), ...blocks].filter(Boolean).join("\n\n");
   }
 
   // ---------------------------------------------------------------------------
-  // LM Studio v1 API (Model Management) - v1.7.0
+  // v1.9.0: Session Export / Import (JSON / Markdown / HTML)
   // ---------------------------------------------------------------------------
 
+  /** エクスポートJSONの識別子とスキーマバージョン */
+  const EXPORT_FORMAT = "localLLMChat.sessions";
+  const EXPORT_VERSION = 1;
+
+  const ROLE_LABELS = Object.freeze({
+    user: "👤 ユーザー",
+    assistant: "🤖 アシスタント",
+    system: "⚙️ システム",
+  });
+
   /**
-   * Base URLから /v1 を除去してAPIベースURLを取得
+   * エクスポート対象のセッションを取得する
+   * @param {"current"|"all"} scope
+   * @returns {Array<Object>}
+   */
+  function getSessionsForExport(scope) {
+    syncCurrentSession();
+    if (scope === "all") return sessions.filter(s => !s.deletedAt);
+    const current = sessions.find(s => s.id === currentSessionId);
+    return current ? [current] : [];
+  }
+
+  /**
+   * エクスポートファイル名を生成する（例: chat_history_all_20260301_1530.json）
+   * @param {"current"|"all"} scope
+   * @param {string} ext
    * @returns {string}
    */
-  function getApiBaseUrl() {
-    const base = trimTrailingSlashes(settings.baseUrl || el.baseUrl.value.trim());
-    return base.replace(/\/v1$/, "");
+  function buildExportFilename(scope, ext) {
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, "0");
+    const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}_${pad(d.getHours())}${pad(d.getMinutes())}`;
+    return `chat_history_${scope}_${stamp}.${ext}`;
   }
 
   /**
-   * LM Studio v1 API が利用可能かチェック
-   * @returns {Promise<boolean>}
+   * 文字列をファイルとしてダウンロードさせる
+   * @param {string} filename
+   * @param {string} content
+   * @param {string} mimeType
+   */
+  function downloadTextFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * セッションの履歴を IndexedDB の画像込みで復元したコピーを返す
+   * @param {Object} session
+   * @returns {Promise<Object>}
+   */
+  async function hydrateSessionForExport(session) {
+    const history = await rehydrateImagesFromIdb(session.history || []);
+    const branches = await rehydrateImagesFromIdb(session.branches || []);
+    return {
+      id: session.id,
+      title: session.title || getSessionSummary(history),
+      titleSource: session.titleSource,
+      summary: session.summary,
+      folder: session.folder || undefined,
+      tags: session.tags?.length ? session.tags : undefined,
+      pinned: session.pinned || undefined,
+      archived: session.archived || undefined,
+      settingsSnapshot: session.settingsSnapshot,
+      useGlobalSettings: session.useGlobalSettings || undefined,
+      topicBreaks: session.topicBreaks?.length ? session.topicBreaks : undefined,
+      rollingSummary: session.rollingSummary,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      history,
+      branches,
+    };
+  }
+
+  /**
+   * バージョン付きJSONバンドルを作成する（画像はDataURLとして同梱）
+   * @param {Array<Object>} targetSessions
+   * @returns {Promise<Object>}
+   */
+  async function buildExportBundle(targetSessions) {
+    const out = [];
+    for (const s of targetSessions) {
+      out.push(await hydrateSessionForExport(s));
+    }
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      sessions: out,
+    };
+  }
+
+  /**
+   * インポートした比較ターン（v1.9.0）を検証する。不正な場合は通常の応答として扱う
+   * @param {Object} m
+   * @returns {Partial<StoredMessage>}
+   */
+  function normalizeCompareTurn(m) {
+    if (m.role !== "assistant" || !Array.isArray(m.compare)) return {};
+    const compare = m.compare
+      .filter(r => r && typeof r.model === "string" && typeof r.content === "string")
+      .slice(0, LIMITS.MAX_COMPARE_MODELS)
+      .map(r => ({
+        model: r.model,
+        content: r.content,
+        elapsedMs: typeof r.elapsedMs === "number" ? r.elapsedMs : undefined,
+        usage: r.usage && typeof r.usage === "object" ? r.usage : undefined,
+        status: ["stopped", "error"].includes(r.status) ? r.status : undefined,
+        error: typeof r.error === "string" ? r.error : undefined,
+        params: normalizeSweepParams(r.params),
+      }));
+    if (compare.length < 2) return {};
+    const selected = Number.isInteger(m.compareSelected) && compare[m.compareSelected] ? m.compareSelected : 0;
+    return {
+      compare,
+      compareSelected: selected,
+      blind: m.blind && typeof m.blind === "object"
+        ? { revealed: m.blind.revealed === true, winner: typeof m.blind.winner === "string" ? m.blind.winner : undefined }
+        : undefined,
+    };
+  }
+
+  /**
+   * セッションを読みやすいMarkdownに変換する（画像は枚数のみ記載）
+   * @param {Array<Object>} targetSessions
+   * @returns {string}
+   */
+  function buildMarkdownTranscript(targetSessions) {
+    return targetSessions.map(s => {
+      const lines = [
+        `# ${s.title || getSessionSummary(s.history)}`,
+        "",
+        `- 作成: ${formatSessionDate(s.createdAt)}`,
+        `- 更新: ${formatSessionDate(s.updatedAt || s.createdAt)}`,
+        "",
+      ];
+      for (const m of s.history || []) {
+        lines.push("---", "", `### ${ROLE_LABELS[m.role] || m.role}`, "");
+        const imgCount = Array.isArray(m.imageDataList) ? m.imageDataList.length : (m.imageData ? 1 : 0);
+        if (imgCount > 0) lines.push(`🖼️ 画像 ${imgCount} 枚`, "");
+        if (m.role === "assistant" && Array.isArray(m.compare)) {
+          // v1.9.0: 比較ターンは全モデルの応答を並べる（✅ = 会話に使用した応答）
+          m.compare.forEach((r, i) => {
+            const mark = i === (m.compareSelected ?? 0) ? " ✅" : "";
+            const params = r.params ? ` [${formatSweepLabel(r.params)}]` : "";
+            lines.push(`#### ${r.model}${params}${mark}`, "", extractThinkingBlocks(r.content || r.error || "").main, "");
+          });
+        } else if (m.role === "assistant") {
+          const { thinking, main } = extractThinkingBlocks(m.content || "");
+          if (thinking) {
+            lines.push("<details><summary>思考プロセス</summary>", "", thinking, "", "</details>", "");
+          }
+          lines.push(main, "");
+        } else {
+          lines.push(m.content || "", "");
+        }
+      }
+      return lines.join("\n");
+    }).join("\n\n");
+  }
+
+  /** スタンドアロンHTML用の最小スタイル */
+  const EXPORT_HTML_STYLE = `
+body{font-family:system-ui,-apple-system,"Hiragino Sans","Noto Sans JP",sans-serif;max-width:860px;margin:24px auto;padding:0 16px;color:#222;line-height:1.6}
+h1{font-size:1.4em;border-bottom:2px solid #007bff;padding-bottom:6px;margin-top:40px}
+.meta{color:#888;font-size:0.85em;margin-bottom:16px}
+.message{border-radius:10px;padding:10px 14px;margin:10px 0}
+.message.user{background:#e7f5ff}
+.message.assistant{background:#f8f9fa;border:1px solid #e9ecef}
+.message.system{background:#fff3cd;font-size:0.9em}
+.role{font-weight:bold;font-size:0.85em;color:#555;margin-bottom:4px}
+.message.user .message-content{white-space:pre-wrap}
+.image-thumbnails img{max-width:240px;max-height:240px;border-radius:6px;margin:4px 4px 4px 0}
+pre{background:#272822;color:#f8f8f2;padding:10px;border-radius:6px;overflow-x:auto}
+code{font-family:ui-monospace,Menlo,Consolas,monospace}
+table{border-collapse:collapse}th,td{border:1px solid #ccc;padding:4px 8px}
+.thinking-block{background:#f1f3f5;border-radius:6px;padding:6px 10px;margin-bottom:8px;font-size:0.9em}
+.thinking-content{white-space:pre-wrap;color:#666}`;
+
+  /**
+   * セッションを単一の自己完結HTMLに変換する（safeMarkdownで描画、画像は埋め込み）
+   * @param {Array<Object>} targetSessions - 画像復元済みのセッション
+   * @returns {string}
+   */
+  function buildStandaloneHtml(targetSessions) {
+    const body = targetSessions.map(s => {
+      const msgs = (s.history || []).map(m => {
+        const imgs = Array.isArray(m.imageDataList) ? m.imageDataList : (m.imageData ? [m.imageData] : []);
+        // インポートしたJSONの値をそのまま属性に埋め込むため、base64 の画像データURLのみ許可する
+        // （escapeHtml は引用符をエスケープしないため、形式で検証する）
+        const imgHtml = imgs
+          .filter(src => typeof src === "string" && /^data:image\/[\w.+-]+;base64,[A-Za-z0-9+/=]+$/.test(src))
+          .map(src => `<img src="${src}" alt="">`)
+          .join("");
+        let contentHtml;
+        if (m.role === "assistant") {
+          const { thinking, main } = extractThinkingBlocks(m.content || "");
+          contentHtml = renderThinkingHtml(thinking, false) + safeMarkdown(main);
+        } else {
+          contentHtml = escapeHtml(m.content || "");
+        }
+        return `<div class="message ${escapeHtml(m.role)}">
+<div class="role">${ROLE_LABELS[m.role] || escapeHtml(m.role)}</div>
+${imgHtml ? `<div class="image-thumbnails">${imgHtml}</div>` : ""}
+<div class="message-content">${contentHtml}</div>
+</div>`;
+      }).join("\n");
+      return `<h1>${escapeHtml(s.title || getSessionSummary(s.history))}</h1>
+<div class="meta">作成: ${escapeHtml(formatSessionDate(s.createdAt))} / 更新: ${escapeHtml(formatSessionDate(s.updatedAt || s.createdAt))}</div>
+${msgs}`;
+    }).join("\n");
+
+    const docTitle = targetSessions.length === 1
+      ? (targetSessions[0].title || "Local LLM Chat")
+      : `Local LLM Chat (${targetSessions.length}件)`;
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(docTitle)}</title>
+<style>${EXPORT_HTML_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+  }
+
+  /**
+   * 指定形式でエクスポートを実行する
+   * @param {"json"|"markdown"|"html"} format
    */
-  async function checkLmstudioV1Api() {
-    const apiBase = getApiBaseUrl();
-    const key = settings.apiKey || el.apiKey?.value?.trim() || DEFAULT_SETTINGS.apiKey;
+  async function exportSessions(format) {
+    const scope = /** @type {"current"|"all"} */ (el.exportScope?.value || "current");
+    const targets = getSessionsForExport(scope);
+    if (targets.length === 0 || targets.every(s => !s.history || s.history.length === 0)) {
+      notify("ℹ️ エクスポートする会話がありません");
+      return;
+    }
 
     try {
-      const res = await fetch(`${apiBase}${LMSTUDIO_V1_API.MODELS}`, {
-        headers: { Authorization: `Bearer ${key}` },
-      });
-      return res.ok;
-    } catch {
-      return false;
+      if (format === "json") {
+        const bundle = await buildExportBundle(targets);
+        downloadTextFile(buildExportFilename(scope, "json"), JSON.stringify(bundle, null, 2), "application/json");
+      } else if (format === "markdown") {
+        downloadTextFile(buildExportFilename(scope, "md"), buildMarkdownTranscript(targets), "text/markdown");
+      } else {
+        const hydrated = [];
+        for (const s of targets) hydrated.push(await hydrateSessionForExport(s));
+        downloadTextFile(buildExportFilename(scope, "html"), buildStandaloneHtml(hydrated), "text/html");
+      }
+      notify(`📤 ${targets.length}件の会話をエクスポートしました`);
+    } catch (e) {
+      console.error("[Export] 失敗:", e);
+      notify(`⚠️ エクスポートに失敗しました: ${e?.message || e}`);
     }
   }
 
   /**
-   * LM Studio v1 API で全ダウンロード済みモデルを取得
-   * @returns {Promise<Array<{id:string, state:string, quantization?:string, max_context_length?:number}>>}
+   * インポートデータのスキーマを検証する
+   * 旧形式（メッセージ配列のみ）は1セッションとして受け付ける
+   * @param {unknown} data
+   * @returns {{sessions: Array<Object>}|{error: string}}
    */
-  async function fetchAllModelsV1() {
-    const apiBase = getApiBaseUrl();
-    const authKey = settings.apiKey || el.apiKey?.value?.trim() || DEFAULT_SETTINGS.apiKey;
+  function validateImportData(data) {
+    if (Array.isArray(data)) {
+      data = { format: EXPORT_FORMAT, version: 1, sessions: [{ title: "", history: data }] };
+    }
+    if (!data || typeof data !== "object") return { error: "JSONの形式が不正です" };
+    if (data.format !== EXPORT_FORMAT) return { error: "Local LLM Chat のエクスポートファイルではありません" };
+    if (typeof data.version !== "number" || data.version > EXPORT_VERSION) {
+      return { error: `未対応のバージョンです (version: ${data.version})` };
+    }
+    if (!Array.isArray(data.sessions)) return { error: "sessions が見つかりません" };
 
-    const res = await fetch(`${apiBase}${LMSTUDIO_V1_API.MODELS}`, {
-      headers: { Authorization: `Bearer ${authKey}` },
+    for (let i = 0; i < data.sessions.length; i++) {
+      const s = data.sessions[i];
+      if (!s || typeof s !== "object" || !Array.isArray(s.history)) {
+        return { error: `セッション${i + 1}の history が不正です` };
+      }
+      if (s.branches !== undefined && !Array.isArray(s.branches)) {
+        return { error: `セッション${i + 1}の branches が不正です` };
+      }
+      for (const m of [...s.history, ...(s.branches || [])]) {
+        if (!m || !["user", "assistant", "system"].includes(m.role) || typeof m.content !== "string") {
+          return { error: `セッション${i + 1}に不正なメッセージが含まれています` };
+        }
+      }
+    }
+    return { sessions: data.sessions };
+  }
+
+  /**
+   * インポートした1セッションを正規化する（メッセージIDの再採番・画像のIDBオフロード）
+   * @param {Object} src
+   * @param {Set<string>} existingIds - 既存セッションID（衝突時は新IDを採番）
+   * @returns {Promise<Object>}
+   */
+  async function normalizeImportedSession(src, existingIds) {
+    // 旧ID → 新ID の対応表（分岐の parentId を付け替えるため）
+    const srcBranches = Array.isArray(src.branches) ? src.branches : [];
+    const historyIds = src.history.map(() => generateMsgId());
+    const branchIds = srcBranches.map(() => generateMsgId());
+    const idMap = new Map();
+    src.history.forEach((m, i) => { if (typeof m.id === "string") idMap.set(m.id, historyIds[i]); });
+    srcBranches.forEach((m, i) => { if (typeof m.id === "string") idMap.set(m.id, branchIds[i]); });
+
+    const normalize = (m, newId, fallbackParentId) => ({
+      id: newId,
+      parentId: (typeof m.parentId === "string" && idMap.has(m.parentId)) ? idMap.get(m.parentId) : fallbackParentId,
+      role: m.role,
+      content: m.content,
+      imageData: typeof m.imageData === "string" ? m.imageData : undefined,
+      imageDataList: Array.isArray(m.imageDataList) ? m.imageDataList.filter(d => typeof d === "string") : undefined,
+      createdAt: typeof m.createdAt === "number" ? m.createdAt : undefined,
+      toolCalls: Array.isArray(m.toolCalls)
+        ? m.toolCalls
+          .filter(c => c && typeof c.name === "string")
+          .map(c => ({ name: c.name, arguments: String(c.arguments ?? ""), result: String(c.result ?? ""), error: c.error === true || undefined }))
+        : undefined,
+      structuredOutput: typeof m.structuredOutput === "string" && STRUCTURED_OUTPUTS[m.structuredOutput] ? m.structuredOutput : undefined,
+      structured: m.structured && typeof m.structured.schema === "string" && STRUCTURED_OUTPUTS[m.structured.schema]
+        ? { schema: m.structured.schema, data: m.structured.data }
+        : undefined,
+      ...normalizeCompareTurn(m),
     });
+    // 旧形式（parentIdなし）の履歴は直前のメッセージを親とみなす
+    const history = src.history.map((m, i) => normalize(m, historyIds[i], i > 0 ? historyIds[i - 1] : null));
+    const branches = srcBranches.map((m, i) => normalize(m, branchIds[i], null));
+    const offloaded = await offloadImagesToIdb(history);
+    const offloadedBranches = await offloadImagesToIdb(branches);
+    const now = new Date().toISOString();
+    const id = (typeof src.id === "string" && SESSION_ID_PATTERN.test(src.id) && !existingIds.has(src.id)) ? src.id : generateSessionId();
+    existingIds.add(id);
+    return {
+      id,
+      title: (typeof src.title === "string" && src.title) ? src.title : getSessionSummary(offloaded),
+      titleSource: ["auto", "llm", "user"].includes(src.titleSource) ? src.titleSource : undefined,
+      summary: typeof src.summary === "string" && src.summary ? src.summary : undefined,
+      folder: typeof src.folder === "string" && src.folder ? src.folder : undefined,
+      tags: Array.isArray(src.tags) ? src.tags.filter(t => typeof t === "string" && t) : undefined,
+      pinned: src.pinned === true || undefined,
+      archived: src.archived === true || undefined,
+      settingsSnapshot: src.settingsSnapshot && typeof src.settingsSnapshot === "object"
+        ? { ...pickSessionSettings(src.settingsSnapshot), systemPromptPreset: String(src.settingsSnapshot.systemPromptPreset || "") }
+        : undefined,
+      useGlobalSettings: src.useGlobalSettings === true || undefined,
+      topicBreaks: Array.isArray(src.topicBreaks)
+        ? src.topicBreaks
+          .filter(b => b && idMap.has(b.afterMsgId))
+          .map(b => ({ afterMsgId: idMap.get(b.afterMsgId), createdAt: Number(b.createdAt) || Date.now(), disabled: b.disabled === true || undefined }))
+        : undefined,
+      rollingSummary: (src.rollingSummary && typeof src.rollingSummary.text === "string" && idMap.has(src.rollingSummary.upToMsgId))
+        ? {
+          text: src.rollingSummary.text,
+          upToMsgId: idMap.get(src.rollingSummary.upToMsgId),
+          updatedAt: src.rollingSummary.updatedAt || now,
+          edited: src.rollingSummary.edited === true || undefined,
+        }
+        : undefined,
+      history: offloaded,
+      branches: offloadedBranches,
+      createdAt: src.createdAt || now,
+      updatedAt: src.updatedAt || now,
+    };
+  }
 
-    if (!res.ok) throw new Error(`API error: ${res.status}`);
+  /**
+   * JSONファイルからセッションをインポートし、既存セッションに追加する（上書きしない）
+   * @param {File} file
+   */
+  async function importSessionsFromFile(file) {
+    try {
+      const text = /** @type {string} */ (await readTextFile(file));
+      const result = validateImportData(safeJSONParse(text, null));
+      if ("error" in result) {
+        notify(`⚠️ インポートできません: ${result.error}`);
+        return;
+      }
 
-    const data = await res.json();
+      syncCurrentSession();
+      const existingIds = new Set(sessions.map(s => s.id));
+      let count = 0;
+      for (const src of result.sessions) {
+        sessions.push(await normalizeImportedSession(src, existingIds));
+        count++;
+      }
+      persistSessions();
+      renderSessionList();
+      notify(`📥 ${count}件の会話をインポートしました`);
+    } catch (e) {
+      console.error("[Import] 失敗:", e);
+      notify(`⚠️ インポートに失敗しました: ${e?.message || e}`);
+    }
+  }
 
-    // LM Studio v1 API のレスポンス構造に対応
-    // - models 配列にモデル情報が格納
-    // - key がモデルID
-    // - loaded_instances が空配列なら未ロード
-    const rawModels = data.models || data.data || [];
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Full-text Search（全セッション横断検索）
+  //   日本語は空白で区切られないため、文字2-gramの転置インデックスで候補を絞り込み、
+  //   部分一致で確定させる
+  // ---------------------------------------------------------------------------
 
-    return rawModels.map(m => ({
-      id: m.key || m.id,
-      state: (m.loaded_instances && m.loaded_instances.length > 0) ? MODEL_STATE.LOADED : MODEL_STATE.NOT_LOADED,
-      quantization: m.quantization?.name || m.quantization || null,
-      max_context_length: m.max_context_length || null,
-      type: m.type || "llm",
-      capabilities: m.capabilities || {},
-    }));
+  /**
+   * @typedef {Object} SearchDoc
+   * @property {string} sessionId
+   * @property {string} msgId
+   * @property {Role} role
+   * @property {string} text - 表示・スニペット用の原文
+   * @property {string} norm - 正規化済みテキスト（検索用）
+   * @property {number} updatedAt - セッション更新時刻（ms）
+   */
+
+  /** @type {{docs: SearchDoc[], postings: Map<string, Set<number>>}|null} */
+  let searchIndex = null;
+
+  /** セッションが更新されたらインデックスを作り直す */
+  let searchIndexDirty = true;
+
+  const SEARCH_MAX_RESULTS = 50;
+  const SEARCH_SNIPPET_RADIUS = 40;
+
+  /**
+   * 検索用にテキストを正規化する（全角英数→半角、大文字→小文字）
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalizeForSearch(text) {
+    return String(text || "").normalize("NFKC").toLowerCase();
+  }
+
+  /**
+   * 文字2-gramを列挙する（空白は区切りとして扱う）
+   * @param {string} norm - 正規化済みテキスト
+   * @returns {Set<string>}
+   */
+  function charBigrams(norm) {
+    const grams = new Set();
+    for (const chunk of norm.split(/\s+/)) {
+      const chars = Array.from(chunk);
+      for (let i = 0; i < chars.length - 1; i++) {
+        grams.add(chars[i] + chars[i + 1]);
+      }
+    }
+    return grams;
+  }
+
+  /**
+   * メッセージから添付ファイル名を取得する（旧形式は本文のラベルから抽出）
+   * @param {StoredMessage} m
+   * @returns {string[]}
+   */
+  function getAttachmentNames(m) {
+    if (Array.isArray(m.attachmentNames)) return m.attachmentNames;
+    const names = [];
+    const re = /📄 \*\*添付(?:PDF|ファイル): (.+?)\*\*/g;
+    let match;
+    while ((match = re.exec(m.content || "")) !== null) names.push(match[1]);
+    return names;
+  }
+
+  /**
+   * 全セッションの履歴から検索インデックスを構築する
+   */
+  function buildSearchIndex() {
+    syncCurrentSession();
+    /** @type {SearchDoc[]} */
+    const docs = [];
+    /** @type {Map<string, Set<number>>} */
+    const postings = new Map();
+
+    for (const s of sessions) {
+      if (s.deletedAt) continue;  // ゴミ箱は検索対象外
+      const updatedAt = new Date(s.updatedAt || s.createdAt).getTime() || 0;
+      for (const m of s.history || []) {
+        if (m.role !== "user" && m.role !== "assistant") continue;
+        const names = getAttachmentNames(m);
+        const text = (m.content || "") + (names.length > 0 ? `\n📎 ${names.join(", ")}` : "");
+        const norm = normalizeForSearch(text);
+        const docId = docs.length;
+        docs.push({ sessionId: s.id, msgId: m.id, role: m.role, text, norm, updatedAt });
+        for (const gram of charBigrams(norm)) {
+          let set = postings.get(gram);
+          if (!set) { set = new Set(); postings.set(gram, set); }
+          set.add(docId);
+        }
+      }
+    }
+
+    searchIndex = { docs, postings };
+    searchIndexDirty = false;
+  }
+
+  /**
+   * インデックスを検索し、スコア順の結果を返す
+   * スコア: 各キーワードの出現回数（対数） + セッションタイトル一致ボーナス + 新しさ
+   * @param {string} query
+   * @returns {Array<{doc: SearchDoc, score: number}>}
+   */
+  function searchSessions(query) {
+    if (!searchIndex || searchIndexDirty) buildSearchIndex();
+    const terms = normalizeForSearch(query).split(/\s+/).filter(t => t.length > 0);
+    if (terms.length === 0 || !searchIndex) return [];
+
+    // 2-gram の積集合で候補を絞る（1文字の語は全件を候補にする）
+    /** @type {Set<number>|null} */
+    let candidates = null;
+    for (const term of terms) {
+      for (const gram of charBigrams(term)) {
+        const set = searchIndex.postings.get(gram);
+        if (!set) return [];
+        candidates = candidates
+          ? new Set([...candidates].filter(id => set.has(id)))
+          : new Set(set);
+      }
+    }
+    const ids = candidates ? [...candidates] : searchIndex.docs.map((_, i) => i);
+
+    const now = Date.now();
+    const titles = new Map(sessions.map(s => [s.id, normalizeForSearch(s.title || "")]));
+    const results = [];
+    for (const id of ids) {
+      const doc = searchIndex.docs[id];
+      let score = 0;
+      let matchedAll = true;
+      for (const term of terms) {
+        const count = doc.norm.split(term).length - 1;
+        if (count === 0) { matchedAll = false; break; }
+        score += 1 + Math.log(count);
+        if ((titles.get(doc.sessionId) || "").includes(term)) score += 1;
+      }
+      if (!matchedAll) continue;
+      // 新しい会話ほどわずかに優先（30日で半減）
+      const ageDays = Math.max(0, (now - doc.updatedAt) / 86400000);
+      score += 0.5 * Math.pow(0.5, ageDays / 30);
+      results.push({ doc, score });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, SEARCH_MAX_RESULTS);
+  }
+
+  /**
+   * 最初に一致した位置の前後を切り出したスニペットを返す
+   * @param {string} text
+   * @param {string} query
+   * @returns {string}
+   */
+  function buildSearchSnippet(text, query) {
+    const flat = text.replace(/\s+/g, " ");
+    const lower = normalizeForSearch(flat);
+    const first = normalizeForSearch(query).split(/\s+/).find(t => t.length > 0) || "";
+    // NFKC で長さが変わる文字があるため、位置は目安として扱う
+    const pos = Math.max(0, lower.indexOf(first));
+    const start = Math.max(0, pos - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(flat.length, pos + first.length + SEARCH_SNIPPET_RADIUS);
+    return (start > 0 ? "…" : "") + flat.slice(start, end) + (end < flat.length ? "…" : "");
+  }
+
+  /**
+   * 検索を実行して結果一覧を描画する
+   * @param {string} query
+   */
+  function executeSessionSearch(query) {
+    if (!el.searchResults) return;
+    const trimmed = query.trim();
+    if (!trimmed) {
+      el.searchResults.innerHTML = "";
+      return;
+    }
+
+    const results = searchSessions(trimmed);
+    if (results.length === 0) {
+      el.searchResults.innerHTML = `<div class="help-search-no-result">「${escapeHtml(trimmed)}」を含む会話は見つかりませんでした。</div>`;
+      return;
+    }
+
+    const sessionMap = new Map(sessions.map(s => [s.id, s]));
+    el.searchResults.innerHTML = results.map(({ doc }) => {
+      const session = sessionMap.get(doc.sessionId);
+      const title = escapeHtml(session?.title || getSessionSummary(session?.history));
+      const dateStr = formatSessionDate(session?.updatedAt || session?.createdAt || "");
+      const roleIcon = doc.role === "user" ? "👤" : "🤖";
+      const snippet = highlightKeywords(buildSearchSnippet(doc.text, trimmed), trimmed);
+      return `<div class="search-result" data-session-id="${escapeAttr(doc.sessionId)}" data-msg-id="${escapeAttr(doc.msgId)}">
+        <div class="search-result-title">${title}<span class="search-result-meta">${dateStr}</span></div>
+        <div class="search-result-snippet">${roleIcon} ${snippet}</div>
+      </div>`;
+    }).join("");
+  }
+
+  /**
+   * 検索結果のセッションを開き、該当メッセージまでスクロールする
+   * @param {string} sessionId
+   * @param {string} msgId
+   */
+  function openSearchHit(sessionId, msgId) {
+    closeSearchModal();
+    if (sessionId !== currentSessionId) switchSession(sessionId);
+
+    const target = el.chat.querySelector(`[data-msg-id="${msgId}"]`);
+    if (!target) {
+      notify("⚠️ メッセージが見つかりません（削除された可能性があります）");
+      return;
+    }
+    target.scrollIntoView({ behavior: "smooth", block: "center" });
+    target.classList.add("search-hit");
+    setTimeout(() => target.classList.remove("search-hit"), 2500);
+  }
+
+  function openSearchModal() {
+    if (!el.searchModal) return;
+    el.searchModal.style.display = "flex";
+    searchIndexDirty = true;
+    if (el.searchInput) {
+      el.searchInput.focus();
+      el.searchInput.select();
+      if (el.searchInput.value.trim()) executeSessionSearch(el.searchInput.value);
+    }
+  }
+
+  function closeSearchModal() {
+    if (el.searchModal) el.searchModal.style.display = "none";
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.8.0: Keyboard Shortcuts Modal
+  // ---------------------------------------------------------------------------
+
+  /**
+   * キーボードショートカットモーダルの表示/非表示をトグルする
+   */
+  function toggleShortcutsModal() {
+    if (!el.shortcutsModal) return;
+    const isVisible = el.shortcutsModal.style.display === "flex";
+    el.shortcutsModal.style.display = isVisible ? "none" : "flex";
+  }
+
+  // ---------------------------------------------------------------------------
+  // Chat UI
+  // ---------------------------------------------------------------------------
+
+  // ---------------------------------------------------------------------------
+  // v1.8.0: Welcome Screen
+  // ---------------------------------------------------------------------------
+
+  function showWelcomeScreen() {
+    // 設定で非表示の場合はスキップ
+    if (settings && settings.showWelcome === false) return;
+    // 既に表示中なら何もしない
+    if (el.chat.querySelector(".welcome-screen")) return;
+
+    const welcome = document.createElement("div");
+    welcome.className = "welcome-screen";
+    welcome.innerHTML = `
+      <div class="welcome-logo">💬</div>
+      <h2 class="welcome-title">Local LLM Chat</h2>
+      <p class="welcome-version">JRC2026 Edition</p>
+      <p class="welcome-description">ローカルLLMとプライベートに対話できるチャットアプリ</p>
+      <div class="welcome-tips">
+        <div class="welcome-tip">
+          <span class="welcome-tip-icon">🤖</span>
+          <span class="welcome-tip-text"><strong>モデル選択</strong>上部のドロップダウンからモデルを選択</span>
+        </div>
+        <div class="welcome-tip">
+          <span class="welcome-tip-icon">📎</span>
+          <span class="welcome-tip-text"><strong>ファイル添付</strong>画像・PDF・テキストを添付可能</span>
+        </div>
+        <div class="welcome-tip">
+          <span class="welcome-tip-icon">⚖️</span>
+          <span class="welcome-tip-text"><strong>比較モード</strong>⚖️ボタンで2つのモデルの回答を並べて比較</span>
+        </div>
+        <div class="welcome-tip">
+          <span class="welcome-tip-icon">⚙️</span>
+          <span class="welcome-tip-text"><strong>設定カスタマイズ</strong>右上の⚙️で応答スタイルやプロンプトを調整</span>
+        </div>
+      </div>
+    `;
+    el.chat.appendChild(welcome);
+  }
+
+  function hideWelcomeScreen() {
+    const welcome = el.chat.querySelector(".welcome-screen");
+    if (welcome) welcome.remove();
+  }
+
+  /**
+   * チャットにメッセージを描画し、必要なら履歴へ保存する
+   * @param {Role} role
+   * @param {string} content
+   * @param {{save?:boolean, imageData?:string|null, compare?:CompareResponse[]|null, compareSelected?:number, blind?:StoredMessage["blind"]}=} opts - compare: 比較ターンとして列で表示（v1.9.0）
+   */
+  function appendMessage(role, content, opts = {}) {
+    if (role !== "system") { hideWelcomeScreen(); hideHelpPanel(); }
+    const { save = true, imageData = null, imageDataList = null, msgId = null, toolCalls = null, truncated = null, compare = null } = opts;
+
+    const id = msgId || generateMsgId();
+
+    const container = document.createElement("div");
+    container.classList.add("message", role);
+
+    // メッセージID・本文を埋め込み
+    container.dataset.msgId = id;
+    container.dataset.content = content;
+    if (imageData) container.dataset.imageData = imageData;
+
+    // user画像添付はメッセージ内にも表示（複数画像対応）
+    if (role === "user") {
+      const imagesToRender = imageDataList || (imageData ? [imageData] : []);
+      if (imagesToRender.length > 0) {
+        const thumbsDiv = document.createElement("div");
+        thumbsDiv.classList.add("image-thumbnails");
+        for (const imgSrc of imagesToRender) {
+          const img = document.createElement("img");
+          img.classList.add("image-in-message");
+          if (imgSrc.startsWith("idb:")) {
+            img.alt = "読込中…";
+            const idbKey = imgSrc.slice(4);
+            getImageFromIdb(idbKey).then(data => {
+              if (data) img.src = data;
+              else img.alt = "画像が見つかりません";
+            }).catch(() => { img.alt = "画像読込エラー"; });
+          } else {
+            img.src = imgSrc;
+          }
+          img.addEventListener("click", () => {
+            if (img.src) showImageLightbox(img.src);
+          });
+          thumbsDiv.appendChild(img);
+        }
+        container.appendChild(thumbsDiv);
+      }
+    }
+
+    // 本文（assistantは markdown + thinking対応）
+    if (role === "assistant" && compare) {
+      // v1.9.0: 比較ターンは全モデルの応答を列で表示
+      container.classList.add("compare-turn");
+      renderCompareTurn(container, { id, role, content, compare, compareSelected: opts.compareSelected, blind: opts.blind });
+    } else {
+      const body = document.createElement("div");
+      body.classList.add("message-content");
+      if (role === "assistant") {
+        const { thinking, main, isPartial } = extractThinkingBlocks(content);
+        const thinkingHtml = renderThinkingHtml(thinking, isPartial);
+        body.innerHTML = renderToolCallsHtml(toolCalls) + thinkingHtml + safeMarkdown(main);
+      } else {
+        body.textContent = content;
+      }
+      container.appendChild(body);
+    }
+
+    // system 以外は分岐ナビ + アクションボタン表示
+    if (role !== "system") {
+      const nav = buildBranchNav(id);
+      if (nav) container.appendChild(nav);
+      container.appendChild(buildMessageActions(container, role));
+    }
+    if (role === "assistant" && truncated) renderTruncationNotice(container, truncated);
+
+    el.chat.appendChild(container);
+    scrollToBottom();
+
+    if (save) {
+      pushMessage({ id, role, content, imageData: imageData || undefined, imageDataList: imageDataList || undefined });
+      persistHistory();
+    }
+
+    return id;
+  }
+
+  /** ライトボックス: 画像クリックで拡大表示 */
+  function showImageLightbox(src) {
+    const overlay = document.createElement("div");
+    overlay.classList.add("image-lightbox-overlay");
+    overlay.addEventListener("click", () => overlay.remove());
+    const img = document.createElement("img");
+    img.src = src;
+    img.classList.add("image-lightbox-img");
+    overlay.appendChild(img);
+    document.body.appendChild(overlay);
+  }
+
+  /**
+   * Copy/Delete/Edit/Regenerate のUIを作る（systemは呼ばれない）
+   * @param {HTMLDivElement} msgDiv
+   * @param {Role} role
+   */
+  function buildMessageActions(msgDiv, role) {
+    const actions = document.createElement("div");
+    actions.classList.add("msg-actions");
+
+    const copyBtn = document.createElement("button");
+    copyBtn.classList.add("msg-btn");
+    copyBtn.textContent = "📋 Copy";
+    copyBtn.onclick = async () => {
+      await navigator.clipboard.writeText(msgDiv.dataset.content || "");
+      notify("✅ コピーしました");
+    };
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.classList.add("msg-btn");
+    deleteBtn.textContent = "🗑 Delete";
+    deleteBtn.onclick = () => {
+      const msgId = msgDiv.dataset.msgId;
+      const idx = msgId
+        ? messages.findIndex(m => m.id === msgId)
+        : messages.findIndex(m => m.role === role && m.content === (msgDiv.dataset.content || ""));
+      const prevId = idx > 0 ? messages[idx - 1].id : "";
+      if (idx !== -1) {
+        removeMessageNode(idx);
+        persistHistory();
+      }
+      msgDiv.remove();
+      // 削除したメッセージに付いていた区切り線を直前のメッセージへ移す
+      if (msgId) el.chat.querySelector(`.topic-divider[data-after-msg-id="${msgId}"]`)?.remove();
+      if (prevId) renderTopicDividerAfter(prevId);
+      notify("✅ メッセージを削除しました");
+    };
+
+    actions.append(copyBtn, deleteBtn);
+
+    // Edit（userのみ）
+    if (role === "user") {
+      const editBtn = document.createElement("button");
+      editBtn.classList.add("msg-btn");
+      editBtn.textContent = "✏️ Edit";
+      editBtn.onclick = () => editUserMessage(msgDiv);
+      actions.appendChild(editBtn);
+    }
+
+    // Regenerate（assistantのみ）
+    if (role === "assistant") {
+      const regenBtn = document.createElement("button");
+      regenBtn.classList.add("msg-btn");
+      regenBtn.textContent = "🔄 Regenerate";
+      regenBtn.onclick = () => regenerateLastAssistant(msgDiv);
+      actions.appendChild(regenBtn);
+
+      // 医学用語チェックボタン（v1.7.2）
+      const termCheckBtn = document.createElement("button");
+      termCheckBtn.classList.add("msg-btn");
+      termCheckBtn.textContent = "🏥 Check";
+      termCheckBtn.title = "医学用語をチェック";
+      termCheckBtn.onclick = () => {
+        const content = msgDiv.dataset.content || "";
+        if (!content.trim()) {
+          notify("⚠️ チェックする内容がありません");
+          return;
+        }
+        performPostResponseTermCheck(content);
+      };
+      actions.appendChild(termCheckBtn);
+    }
+
+    return actions;
+  }
+
+  /**
+   * ユーザーメッセージを編集モードにする
+   * - メッセージ内容を入力欄に戻す
+   * - 送信時にこのメッセージの兄弟分岐を作成（元の会話は分岐として保持）
+   * @param {HTMLDivElement} msgDiv
+   */
+  function editUserMessage(msgDiv) {
+    if (isStreaming) {
+      notify("⚠️ 応答の生成中は編集できません");
+      return;
+    }
+    const msgId = msgDiv.dataset.msgId;
+    if (!msgId || !messages.some(m => m.id === msgId)) {
+      notify("⚠️ メッセージが見つかりません");
+      return;
+    }
+
+    cancelPendingEdit();
+    pendingEditMsgId = msgId;
+    msgDiv.classList.add("editing");
+
+    // 入力欄にメッセージ内容を復元
+    el.prompt.value = msgDiv.dataset.content || "";
+    autoResizeTextarea(el.prompt);
+    el.prompt.focus();
+    el.prompt.setSelectionRange(el.prompt.value.length, el.prompt.value.length);
+
+    notify("✏️ 編集モード: 送信すると新しい分岐として保存されます（元の会話は ‹ › で切り替え / Escでキャンセル）");
+  }
+
+  /**
+   * 編集モードを解除する
+   * @param {boolean} [clearPrompt=false] - 入力欄もクリアする
+   */
+  function cancelPendingEdit(clearPrompt = false) {
+    if (!pendingEditMsgId) return;
+    const div = el.chat.querySelector(`[data-msg-id="${pendingEditMsgId}"]`);
+    if (div) div.classList.remove("editing");
+    pendingEditMsgId = null;
+    if (clearPrompt) {
+      el.prompt.value = "";
+      clearDraft();
+      autoResizeTextarea(el.prompt);
+    }
+  }
+
+  /**
+   * 編集モード中の送信: 編集対象以降をアクティブパスから退避し、再描画する
+   * 直後に送信されるユーザーメッセージが編集対象の兄弟分岐になる
+   */
+  function applyPendingEdit() {
+    if (!pendingEditMsgId) return;
+    const idx = messages.findIndex(m => m.id === pendingEditMsgId);
+    pendingEditMsgId = null;
+    if (idx === -1) return;
+    stashTail(idx);
+    persistHistory();
+    renderChatFromMessages();
+  }
+
+  /**
+   * 再生成: 元の応答を分岐として残し、同じユーザーメッセージに対する新しい応答を生成する。
+   * ストリーミングエラー時（応答が履歴に未保存）も対応（UI上のメッセージを参照）。
+   * @param {HTMLDivElement} msgDiv
+   */
+  function regenerateLastAssistant(msgDiv) {
+    if (isStreaming) {
+      notify("⚠️ 応答の生成中は再生成できません");
+      return;
+    }
+    const assistantMsgId = msgDiv.dataset.msgId;
+    const idx = assistantMsgId ? messages.findIndex(m => m.id === assistantMsgId) : -1;
+
+    if (idx > 0 && messages[idx - 1].role === "user") {
+      // 元の応答（以降の会話を含む）を分岐として退避 → 兄弟応答を生成
+      stashTail(idx);
+      persistHistory();
+      renderChatFromMessages();
+      handleSend({ regenerate: true });
+      return;
+    }
+
+    // 履歴に保存されていない応答: UI上の直前のユーザーメッセージを探す
+    let lastUserDiv = msgDiv.previousElementSibling;
+    while (lastUserDiv && !(lastUserDiv.classList.contains("message") && lastUserDiv.classList.contains("user"))) {
+      lastUserDiv = lastUserDiv.previousElementSibling;
+    }
+    msgDiv.remove();
+
+    // ユーザーメッセージが履歴の末尾にあれば、そのまま応答だけ生成
+    if (messages.length > 0 && messages[messages.length - 1].role === "user") {
+      handleSend({ regenerate: true });
+      return;
+    }
+
+    const userContent = lastUserDiv?.dataset.content || "";
+    if (!userContent) {
+      notify("⚠️ 再生成するユーザーメッセージがありません");
+      return;
+    }
+
+    // 未保存のユーザーメッセージはUIから消して再送
+    lastUserDiv.remove();
+    el.prompt.value = userContent;
+    el.sendBtn.click();
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Conversation Branching（編集・再生成を兄弟分岐として保持）
+  // ---------------------------------------------------------------------------
+
+  /**
+   * parentId のない（旧形式の）履歴に直前メッセージを親として付与する
+   * @param {StoredMessage[]} list - アクティブパス
+   */
+  function linkParentIds(list) {
+    for (let i = 0; i < list.length; i++) {
+      if (list[i].parentId === undefined) {
+        list[i].parentId = i > 0 ? list[i - 1].id : null;
+      }
+    }
+  }
+
+  /**
+   * アクティブパスの末尾にメッセージを追加する（parentId を自動設定）
+   * @param {StoredMessage} m
+   * @returns {StoredMessage}
+   */
+  function pushMessage(m) {
+    m.parentId = messages.length > 0 ? messages[messages.length - 1].id : null;
+    if (!m.createdAt) m.createdAt = Date.now();
+    messages.push(m);
+    return m;
+  }
+
+  /**
+   * アクティブパスからメッセージを1件削除し、子ノードを削除ノードの親に付け替える
+   * @param {number} idx
+   */
+  function removeMessageNode(idx) {
+    reanchorTopicBreaks(idx);
+    const [removed] = messages.splice(idx, 1);
+    if (!removed) return;
+    for (const m of [...messages, ...branchNodes]) {
+      if (m.parentId === removed.id) m.parentId = removed.parentId ?? null;
+    }
+  }
+
+  /**
+   * アクティブパスの idx 以降を分岐ノードとして退避する
+   * @param {number} idx
+   */
+  function stashTail(idx) {
+    const tail = messages.splice(idx);
+    const now = Date.now();
+    for (const m of tail) m.stashedAt = now;
+    branchNodes.push(...tail);
+  }
+
+  /**
+   * 同じ親・同じroleを持つ兄弟ノード（自身を含む）を作成順で返す
+   * @param {StoredMessage} msg
+   * @returns {StoredMessage[]}
+   */
+  function getSiblings(msg) {
+    const parentId = msg.parentId ?? null;
+    return [...messages, ...branchNodes]
+      .filter(m => (m.parentId ?? null) === parentId && m.role === msg.role)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+
+  /**
+   * 指定メッセージを兄弟分岐に切り替える
+   * 切り替え先の子孫は、最後にアクティブだった分岐を辿って復元する
+   * @param {string} msgId - アクティブパス上のメッセージID
+   * @param {number} offset - -1: 前の分岐 / +1: 次の分岐
+   */
+  function switchBranch(msgId, offset) {
+    if (isStreaming) {
+      notify("⚠️ 応答の生成中は分岐を切り替えられません");
+      return;
+    }
+    const idx = messages.findIndex(m => m.id === msgId);
+    if (idx === -1) return;
+    const siblings = getSiblings(messages[idx]);
+    const target = siblings[siblings.findIndex(m => m.id === msgId) + offset];
+    if (!target) return;
+
+    cancelPendingEdit();
+    stashTail(idx);
+
+    /** @type {StoredMessage|undefined} */
+    let node = target;
+    while (node) {
+      const current = node;
+      branchNodes = branchNodes.filter(m => m.id !== current.id);
+      delete current.stashedAt;
+      messages.push(current);
+      node = branchNodes
+        .filter(m => m.parentId === current.id)
+        .sort((a, b) => (b.stashedAt || 0) - (a.stashedAt || 0))[0];
+    }
+
+    persistHistory();
+    renderChatFromMessages();
+  }
+
+  /**
+   * 分岐ナビ（‹ 2/3 ›）を生成する。兄弟分岐がなければ null
+   * @param {string} msgId
+   * @returns {HTMLDivElement|null}
+   */
+  function buildBranchNav(msgId) {
+    const msg = messages.find(m => m.id === msgId);
+    if (!msg) return null;
+    const siblings = getSiblings(msg);
+    if (siblings.length < 2) return null;
+    const pos = siblings.findIndex(m => m.id === msgId);
+
+    const nav = document.createElement("div");
+    nav.className = "branch-nav";
+
+    const prevBtn = document.createElement("button");
+    prevBtn.className = "branch-nav-btn";
+    prevBtn.textContent = "‹";
+    prevBtn.title = "前の分岐";
+    prevBtn.disabled = pos <= 0;
+    prevBtn.onclick = () => switchBranch(msgId, -1);
+
+    const label = document.createElement("span");
+    label.className = "branch-nav-label";
+    label.textContent = `${pos + 1} / ${siblings.length}`;
+
+    const nextBtn = document.createElement("button");
+    nextBtn.className = "branch-nav-btn";
+    nextBtn.textContent = "›";
+    nextBtn.title = "次の分岐";
+    nextBtn.disabled = pos >= siblings.length - 1;
+    nextBtn.onclick = () => switchBranch(msgId, 1);
+
+    nav.append(prevBtn, label, nextBtn);
+    return nav;
+  }
+
+  /**
+   * メッセージDOMの分岐ナビを最新状態に更新する（保存直後に呼ぶ）
+   * @param {HTMLElement|null} msgDiv
+   */
+  function refreshBranchNav(msgDiv) {
+    if (!msgDiv) return;
+    const existing = msgDiv.querySelector(".branch-nav");
+    if (existing) existing.remove();
+    const nav = buildBranchNav(msgDiv.dataset.msgId || "");
+    if (nav) msgDiv.insertBefore(nav, msgDiv.querySelector(".msg-actions"));
+  }
+
+  /**
+   * messages（アクティブパス）からチャット画面を再描画する
+   */
+  function renderChatFromMessages() {
+    el.chat.innerHTML = "";
+    if (messages.length === 0) {
+      showWelcomeScreen();
+      return;
+    }
+    messages.forEach(m => {
+      appendMessage(m.role, m.content, { save: false, imageData: m.imageData || null, imageDataList: m.imageDataList || null, msgId: m.id, toolCalls: m.toolCalls || null, truncated: m.truncated || null, compare: m.compare || null, compareSelected: m.compareSelected, blind: m.blind });
+      const b = topicBreaks.find(t => t.afterMsgId === m.id);
+      if (b) el.chat.appendChild(createTopicDivider(b));
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Topic Boundaries（話題の区切り）
+  //   区切りは直前メッセージのIDで保持するため、編集・分岐・削除でずれない
+  // ---------------------------------------------------------------------------
+
+  /**
+   * 最後の有効な区切りの直後の位置（この位置以降のメッセージのみAPIに送信）
+   * アクティブパス上にない区切り（分岐先のメッセージに付いたもの）は無視する
+   * @returns {number}
+   */
+  function getTopicStartIndex() {
+    let start = 0;
+    for (const b of topicBreaks) {
+      if (b.disabled) continue;
+      const idx = messages.findIndex(m => m.id === b.afterMsgId);
+      if (idx + 1 > start) start = idx + 1;
+    }
+    return start;
+  }
+
+  /**
+   * 区切り線の要素を作成する
+   * @param {TopicBreak} b
+   * @returns {HTMLDivElement}
+   */
+  function createTopicDivider(b) {
+    const divider = document.createElement("div");
+    divider.className = "topic-divider" + (b.disabled ? " topic-disabled" : "");
+    divider.dataset.afterMsgId = b.afterMsgId;
+
+    const label = document.createElement("span");
+    label.textContent = b.disabled ? "── 話題の区切り（解除中） ──" : "── 新しい話題 ──";
+    divider.appendChild(label);
+
+    const toggle = document.createElement("button");
+    toggle.className = "topic-divider-toggle";
+    toggle.textContent = b.disabled ? "区切る" : "前の話題も含める";
+    toggle.title = b.disabled
+      ? "この位置で再び話題を区切ります"
+      : "この区切りを解除し、前の話題もAIに送信します";
+    toggle.onclick = () => toggleTopicBreak(b.afterMsgId);
+    divider.appendChild(toggle);
+
+    return divider;
+  }
+
+  /**
+   * 指定メッセージの直後に区切り線を描画する（既にあれば置き換え）
+   * @param {string} msgId
+   */
+  function renderTopicDividerAfter(msgId) {
+    const b = topicBreaks.find(t => t.afterMsgId === msgId);
+    const existing = el.chat.querySelector(`.topic-divider[data-after-msg-id="${msgId}"]`);
+    if (!b) {
+      existing?.remove();
+      return;
+    }
+    const divider = createTopicDivider(b);
+    if (existing) {
+      existing.replaceWith(divider);
+      return;
+    }
+    const msgDiv = el.chat.querySelector(`[data-msg-id="${msgId}"]`);
+    if (msgDiv) msgDiv.after(divider);
+  }
+
+  /**
+   * 現在の会話の末尾で新しい話題を開始する（表示はそのまま、AIの文脈のみリセット）
+   */
+  function startNewTopic() {
+    const last = messages.at(-1);
+    if (!last) {
+      notify("ℹ️ 会話履歴がありません");
+      return;
+    }
+    const existing = topicBreaks.find(b => b.afterMsgId === last.id);
+    if (existing && !existing.disabled) {
+      notify("ℹ️ すでに新しい話題が始まっています");
+      return;
+    }
+    if (existing) {
+      existing.disabled = false;
+    } else {
+      topicBreaks.push({ afterMsgId: last.id, createdAt: Date.now() });
+    }
+    syncCurrentSession();
+
+    renderTopicDividerAfter(last.id);
+    el.chat.querySelector(`.topic-divider[data-after-msg-id="${last.id}"]`)?.scrollIntoView({ behavior: "smooth" });
+    notify("🆕 AIの文脈をリセットしました（表示はそのまま）");
+  }
+
+  /**
+   * 区切りの有効/無効を切り替える（無効にすると前の話題も再びAPIに含める）
+   * @param {string} afterMsgId
+   */
+  function toggleTopicBreak(afterMsgId) {
+    const b = topicBreaks.find(t => t.afterMsgId === afterMsgId);
+    if (!b) return;
+    b.disabled = !b.disabled;
+    syncCurrentSession();
+    renderTopicDividerAfter(afterMsgId);
+    notify(b.disabled ? "🔗 前の話題もAIに送信します" : "🆕 この位置で話題を区切りました");
+  }
+
+  /**
+   * メッセージ削除時、そのメッセージに付いた区切りを直前のメッセージへ付け替える
+   * @param {number} idx - 削除するメッセージの位置（削除前）
+   */
+  function reanchorTopicBreaks(idx) {
+    const removed = messages[idx];
+    if (!removed) return;
+    const prev = messages[idx - 1];
+    topicBreaks = topicBreaks
+      .map(b => (b.afterMsgId === removed.id ? (prev ? { ...b, afterMsgId: prev.id } : null) : b))
+      .filter(Boolean)
+      // 付け替えで同じ位置に重なった区切りは1つにまとめる
+      .filter((b, i, arr) => arr.findIndex(o => o.afterMsgId === b.afterMsgId) === i);
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Rolling Summary（コンテキストから溢れた古い会話の要約）
+  //   省略されるメッセージを現在のモデルで要約し、セッションに保存してsystemに追記する
+  // ---------------------------------------------------------------------------
+
+  const ROLLING_SUMMARY_PROMPT = `以下は長い会話の古い部分です。「これまでの要約」と「追加の会話」を1つの要約に統合してください。
+
+【ルール】
+- 今後の会話の文脈として必要な情報（ユーザーの目的・前提条件・決定事項・固有名詞や数値・未解決の質問）を残す
+- 箇条書きで簡潔に（最大20行）
+- 要約のみを出力（前置きや説明は不要）
+
+【これまでの要約】
+{SUMMARY}
+
+【追加の会話】
+{TEXT}`;
+
+  /**
+   * 現在のセッションのローリング要約のうち、アクティブパス上で有効なものを返す
+   * 要約の終端が現在の話題より前、または別の分岐にある場合は使用しない
+   * @returns {{text: string, endIndex: number}|null} endIndex: 要約に含まれる最後のメッセージの位置
+   */
+  function getActiveRollingSummary() {
+    if (!settings.rollingSummary || helpMode) return null;
+    const rs = sessions.find(s => s.id === currentSessionId)?.rollingSummary;
+    if (!rs || !rs.text) return null;
+    const endIndex = messages.findIndex(m => m.id === rs.upToMsgId);
+    if (endIndex < getTopicStartIndex()) return null;
+    return { text: rs.text, endIndex };
+  }
+
+  /**
+   * 送信前に、コンテキストから省略されるメッセージを要約に取り込む
+   * 要約をsystemに追記するとさらに省略が発生する場合があるため、数回まで繰り返す
+   * @param {AbortSignal} [signal]
+   */
+  async function ensureRollingSummary(signal) {
+    if (!settings.rollingSummary || helpMode) return;
+    const session = sessions.find(s => s.id === currentSessionId);
+    if (!session) return;
+
+    let updated = false;
+    for (let i = 0; i < 3; i++) {
+      const { dropped } = planConversation();
+      if (dropped.length === 0) break;
+
+      notify("🧾 古い会話を要約しています...");
+      const prev = getActiveRollingSummary();
+      const text = await requestCompletionText(
+        ROLLING_SUMMARY_PROMPT
+          .replace("{SUMMARY}", () => prev?.text || "（なし）")
+          .replace("{TEXT}", () => formatTurnsForPrompt(dropped)),
+        { maxTokens: 1024, signal },
+      );
+      if (signal?.aborted) return;
+      if (!text || !text.trim()) {
+        notify("⚠️ 要約に失敗したため、古い会話を省略して送信します");
+        return;
+      }
+      session.rollingSummary = {
+        text: text.trim(),
+        upToMsgId: dropped[dropped.length - 1].id,
+        updatedAt: new Date().toISOString(),
+      };
+      updated = true;
+    }
+    if (updated) {
+      persistSessions();
+      notify("🧾 古い会話を要約しました（設定 → モデル から確認・編集できます）");
+    }
+  }
+
+  function openRollingSummaryModal() {
+    if (!el.rollingSummaryModal) return;
+    const rs = sessions.find(s => s.id === currentSessionId)?.rollingSummary;
+    const endIndex = rs ? messages.findIndex(m => m.id === rs.upToMsgId) : -1;
+
+    if (el.rollingSummaryInfo) {
+      if (!rs) {
+        el.rollingSummaryInfo.textContent = "この会話にはまだ要約がありません（古い会話がコンテキストから溢れると自動で作成されます）";
+      } else {
+        const scope = endIndex >= 0 ? `先頭から${endIndex + 1}件目までのメッセージ` : "現在の分岐にないメッセージ（この要約は使用されません）";
+        el.rollingSummaryInfo.textContent = `${scope}の要約 / 更新 ${formatSessionDate(rs.updatedAt)}${rs.edited ? "（編集済み）" : ""}`;
+      }
+    }
+    if (el.rollingSummaryText) {
+      el.rollingSummaryText.value = rs?.text || "";
+      el.rollingSummaryText.disabled = !rs;
+    }
+    if (el.rollingSummarySaveBtn) el.rollingSummarySaveBtn.disabled = !rs;
+    if (el.rollingSummaryClearBtn) el.rollingSummaryClearBtn.disabled = !rs;
+    el.rollingSummaryModal.style.display = "flex";
+  }
+
+  function closeRollingSummaryModal() {
+    if (el.rollingSummaryModal) el.rollingSummaryModal.style.display = "none";
+  }
+
+  /**
+   * 編集した要約を保存する（以降の更新は編集後の要約に追記される）
+   */
+  function saveRollingSummaryEdit() {
+    const rs = sessions.find(s => s.id === currentSessionId)?.rollingSummary;
+    if (!rs || !el.rollingSummaryText) return;
+    const text = el.rollingSummaryText.value.trim();
+    if (!text) {
+      notify("⚠️ 要約が空です（破棄する場合は「要約を破棄」を使用してください）");
+      return;
+    }
+    rs.text = text;
+    rs.edited = true;
+    rs.updatedAt = new Date().toISOString();
+    persistSessions();
+    closeRollingSummaryModal();
+    notify("💾 要約を保存しました");
+  }
+
+  /**
+   * 要約を破棄する（次回の送信時、省略される会話から作り直す）
+   */
+  function clearRollingSummary() {
+    const session = sessions.find(s => s.id === currentSessionId);
+    if (!session?.rollingSummary) return;
+    if (!confirm("この会話の要約を破棄しますか？\n次回の送信時に、省略される会話から作り直します。")) return;
+    delete session.rollingSummary;
+    persistSessions();
+    closeRollingSummaryModal();
+    notify("🗑 要約を破棄しました");
+  }
+
+  // ---------------------------------------------------------------------------
+  // System prompt composition
+  // ---------------------------------------------------------------------------
+
+  /** 応答スタイルの追加指示 */
+  function getResponseStyleInstruction() {
+    const style = el.responseStyle.value || "standard";
+    const map = {
+      concise: "\n\n【応答スタイル】簡潔に要点のみを述べてください。冗長な説明は避け、核心的な情報のみを提供してください。",
+      standard: "",
+      detailed: "\n\n【応答スタイル】詳細な説明を心がけてください。背景情報、理由、具体例などを含めて丁寧に説明してください。",
+      professional: "\n\n【応答スタイル】専門的で技術的な詳細を重視してください。学術的な正確性を保ち、専門用語を適切に使用し、エビデンスや根拠を明示してください。",
+    };
+
+    let instruction = map[style] || "";
+
+    // 応答言語の指定
+    const lang = el.responseLanguage?.value || "";
+    if (lang) {
+      const langMap = {
+        ja: "日本語",
+        en: "English",
+        zh: "中文",
+        ko: "한국어",
+      };
+      instruction += `\n\n【応答言語】必ず${langMap[lang] || lang}で回答してください。`;
+    }
+
+    // 深掘りモードが有効な場合は追加指示
+    if (deepDiveMode) {
+      instruction += "\n\n【深掘りモード】回答する前に、まず問題を多角的に分析してください。以下の点を考慮して深く掘り下げた回答を提供してください：\n" +
+        "1. 根本的な原因や背景は何か\n" +
+        "2. 異なる視点や解釈の可能性\n" +
+        "3. 関連する概念や理論との繋がり\n" +
+        "4. 潜在的な問題点や限界\n" +
+        "5. 実践的な応用や次のステップ\n" +
+        "回答は構造化し、思考プロセスを明示してください。";
+    }
+
+    return instruction;
+  }
+
+  /** ユーザープロフィール（任意） */
+  function getUserProfileInstruction() {
+    const name = el.userName.value.trim();
+    const level = el.userLevel.value;
+    const profession = el.userProfession.value.trim();
+    const interests = el.userInterests.value.trim();
+    if (!name && !level && !profession && !interests) return "";
+
+    let out = "\n\n【ユーザー情報】";
+
+    if (name) out += `\n- ユーザーを「${name}」と呼んでください。`;
+
+    const levelMap = {
+      beginner: "ユーザーは初心者です。専門用語を避け、基礎から丁寧に説明してください。",
+      intermediate: "ユーザーは中級者です。基本的な知識は持っているものとして、適度な専門用語を使用して説明してください。",
+      advanced: "ユーザーは上級者です。専門的な内容を深く掘り下げて説明してください。",
+      expert: "ユーザーは専門家です。高度な専門知識を前提とし、最新の研究や詳細な技術的議論を含めてください。",
+    };
+
+    if (level && levelMap[level]) out += `\n- ${levelMap[level]}`;
+    if (profession) out += `\n- 職業/専門分野: ${profession}`;
+    if (interests) out += `\n- 興味・関心: ${interests}`;
+
+    return out;
+  }
+
+  /**
+   * 話題リセット後にLLMへ送るユーザー自己紹介メッセージを構築
+   * プロフィール設定がなければ空文字を返す
+   */
+  function buildUserProfileContext() {
+    const name = el.userName.value.trim();
+    const level = el.userLevel.value;
+    const profession = el.userProfession.value.trim();
+    const interests = el.userInterests.value.trim();
+    if (!name && !level && !profession && !interests) return "";
+
+    const parts = [];
+    if (name) parts.push(`${name}です`);
+    if (profession) parts.push(`職業は${profession}です`);
+    const levelLabel = { beginner: "初心者", intermediate: "中級者", advanced: "上級者", expert: "専門家" };
+    if (level && levelLabel[level]) parts.push(`専門レベルは${levelLabel[level]}です`);
+    if (interests) parts.push(`${interests}に関心があります`);
+
+    return parts.join("。") + "。よろしくお願いします。";
+  }
+
+  /**
+   * 保存済みメッセージをAPI送信形式に変換する
+   * user画像は Vision API形式（content配列）に変換（idb:参照はスキップ）
+   * @param {StoredMessage} m
+   * @returns {{role:string, content:any}}
+   */
+  function toApiMessage(m) {
+    const imgList = m.imageDataList || (m.imageData ? [m.imageData] : []);
+    const validImgs = imgList.filter(d => d && !d.startsWith("idb:"));
+    if (m.role === "user" && validImgs.length > 0) {
+      const contentArray = [];
+      if (m.content) contentArray.push({ type: "text", text: m.content });
+      for (const imgUrl of validImgs) {
+        contentArray.push({ type: "image_url", image_url: { url: imgUrl } });
+      }
+      return { role: "user", content: contentArray };
+    }
+    return { role: m.role, content: m.content };
+  }
+
+  /**
+   * 送信に使うシステムプロンプト（ヘルプモード時はマニュアル参照用）
+   * @param {string} [basePrompt] - 設定の System Prompt の代わりに使う文面（v1.9.0: パラメータスイープ）
+   * @returns {string}
+   */
+  function getSystemPromptForSend(basePrompt) {
+    // ヘルプモードの場合は専用のシステムプロンプトを使用
+    if (helpMode) {
+      const manual = _manualContentCache || HELP_MANUAL_FALLBACK;
+      return `あなたは「Local LLM Chat」アプリのヘルプアシスタントです。
+以下のアプリマニュアルを参照して、ユーザーの質問に日本語で丁寧に回答してください。
+マニュアルに記載されていない内容については「マニュアルに記載がありません」と伝えてください。
+
+---
+${manual}
+---
+
+上記のマニュアル内容を基に、ユーザーの質問に回答してください。`;
+    }
+    const baseSysPrompt = basePrompt ?? (el.systemPrompt.value || settings.systemPrompt);
+    return baseSysPrompt + getResponseStyleInstruction() + getUserProfileInstruction() + getToolUseInstruction();
+  }
+
+  /**
+   * 送信する履歴を組み立て、予算内に収まる部分（tail）と省略される部分（dropped）に分ける
+   * ローリング要約が有効な場合は、要約済みのメッセージを除外して要約をsystemに追記する
+   * @returns {{system: {role:string, content:string}, tail: Array<{msg: StoredMessage|null, api: {role:string, content:any}}>, dropped: StoredMessage[], trimmedByBudget: boolean}}
+   */
+  function planConversation() {
+    let sysPrompt = getSystemPromptForSend();
+    const summary = getActiveRollingSummary();
+    if (summary) {
+      sysPrompt += `\n\n【これまでの会話の要約】\n以下は、この会話の古い部分の要約です。文脈として参照してください。\n${summary.text}`;
+    }
+
+    /** @type {Array<{msg: StoredMessage|null, api: {role:string, content:any}}>} */
+    const items = [];
+
+    // 話題リセット後はユーザー基本情報を会話冒頭に再注入
+    const topicStart = getTopicStartIndex();
+    if (topicStart > 0) {
+      const profile = buildUserProfileContext();
+      if (profile) {
+        items.push({ msg: null, api: { role: "user", content: profile } });
+        items.push({ msg: null, api: { role: "assistant", content: "承知しました。引き続きよろしくお願いします。" } });
+      }
+    }
+
+    // 最後の有効な区切り（要約がある場合は要約済みの位置）以降のメッセージのみをAPIに送信
+    const relevantMessages = messages.slice(summary ? summary.endIndex + 1 : topicStart);
+
+    let last = items.at(-1)?.api.role || "system";
+    for (const m of relevantMessages) {
+      if (!["user", "assistant"].includes(m.role)) continue;
+      if (m.role === last) continue;
+
+      items.push({ msg: m, api: toApiMessage(m) });
+      last = m.role;
+    }
+
+    // 末尾を整理: 新しいuserMessageが後に追加されるため、
+    // 履歴は ...user, assistant で終わるのが正しい。
+    // もし末尾が user で終わっている場合（削除操作等）のみ除去する。
+    if (items.length > 0 && items.at(-1).api.role === "user") items.pop();
+
+    // まず絶対上限でスライス
+    const tail = items.slice(-LIMITS.MAX_HISTORY_UPPER_BOUND);
+    const dropped = items.slice(0, items.length - tail.length);
+
+    // 動的コンテキストトリミング: モデルのmax_context_lengthに基づき調整
+    const contextLength = getModelContextLength();
+    const maxTokens = parseInt(el.maxTokens.value, 10) || 2048;
+    let trimmedByBudget = false;
+
+    if (contextLength) {
+      const budget = contextLength - maxTokens - 200; // 200 = safety margin
+      const overhead = TOKEN_ESTIMATE.MESSAGE_OVERHEAD;
+      const sysTokens = estimateTokens(sysPrompt) + overhead;
+      let sumTail = 0;
+      for (const t of tail) sumTail += estimateTokens(t.api.content) + overhead;
+
+      while (tail.length > 0 && (sysTokens + sumTail) > budget) {
+        sumTail -= estimateTokens(tail[0].api.content) + overhead;
+        dropped.push(tail.shift());
+        trimmedByBudget = true;
+      }
+    } else {
+      // フォールバック: max_context_length不明 → 従来の6ターン制限
+      while (tail.length > (LIMITS.MAX_HISTORY_FOR_API - 1)) {
+        dropped.push(tail.shift());
+      }
+    }
+
+    // tailが assistant で始まる場合、対応するuserが欠落しているので除去
+    if (tail.length > 0 && tail[0].api.role === "assistant") dropped.push(tail.shift());
+
+    return {
+      system: { role: "system", content: sysPrompt },
+      tail,
+      dropped: dropped.map(t => t.msg).filter(Boolean),
+      trimmedByBudget,
+    };
+  }
+
+  /**
+   * API送信用の messages を作る（system先頭、交互、末尾assistantは除外）
+   * 画像添付は Vision API形式（content配列）に変換。
+   *
+   * NOTE: system が slice で落ちないように、必ず system + 最後のN-1件に整形する。
+   * @returns {Array<{role:string, content:any}>}
+   */
+  function buildConversation() {
+    const { system, tail, trimmedByBudget } = planConversation();
+    if (trimmedByBudget) {
+      notify("⚠️ コンテキスト長に合わせて古い会話を省略しました");
+    }
+    return [system, ...tail.map(t => t.api)];
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Connections（複数サーバーの接続先とヘルスチェック）
+  //   基本タブの「接続先サーバー」を既定の接続先とし、名前付きの接続先を追加できる。
+  //   モデル一覧は到達可能な全サーバーからまとめ、送信はそのモデルを持つ応答中のサーバーへ行う
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @typedef {Object} ConnectionProfile
+   * @property {string} id
+   * @property {string} name
+   * @property {string} baseUrl - OpenAI互換APIのベースURL（例: http://192.168.0.10:1234/v1）
+   * @property {string} apiKey
+   * @property {"auto"|"lmstudio"|"ollama"|"llamacpp"|"openai"} type - auto: 各サーバー固有のAPIの有無で判定（detectBackend）
+   * @property {boolean} enabled
+   */
+  /**
+   * @typedef {Object} ConnectionStatus
+   * @property {boolean} ok
+   * @property {"lmstudio"|"ollama"|"llamacpp"|"openai"|null} backend - 判定したAPIの種類（PROVIDERS のキー）
+   * @property {number|null} latencyMs
+   * @property {string} error
+   * @property {number} checkedAt
+   */
+
+  const DEFAULT_CONNECTION_ID = "default";
+
+  /** 接続先の種類（表示名） */
+  const CONNECTION_TYPES = Object.freeze({
+    auto: "自動判定",
+    lmstudio: "LM Studio",
+    ollama: "Ollama",
+    llamacpp: "llama.cpp server",
+    openai: "OpenAI互換",
+  });
+
+  const HEALTH_CHECK = Object.freeze({
+    INTERVAL_MS: 30000,
+    TIMEOUT_MS: 5000,
+  });
+
+  /** @type {ConnectionProfile[]} 追加の接続先（既定の接続先は settings.baseUrl） */
+  let connectionProfiles = [];
+
+  /** @type {ReturnType<typeof setInterval>|null} */
+  let healthCheckTimer = null;
+
+  /** @returns {ConnectionProfile[]} */
+  function loadConnectionProfiles() {
+    const raw = localStorage.getItem(STORAGE_KEYS.CONNECTIONS) || "[]";
+    const arr = safeJSONParse(raw, []);
+    if (!Array.isArray(arr)) return [];
+    return arr
+      .filter(c => c && typeof c.id === "string" && c.id !== DEFAULT_CONNECTION_ID)
+      .map(c => ({
+        id: c.id,
+        name: typeof c.name === "string" && c.name.trim() ? c.name.trim() : c.id,
+        baseUrl: typeof c.baseUrl === "string" ? trimTrailingSlashes(c.baseUrl.trim()) : "",
+        apiKey: typeof c.apiKey === "string" ? c.apiKey : "",
+        type: CONNECTION_TYPES[c.type] ? c.type : "auto",
+        enabled: c.enabled !== false,
+      }));
+  }
+
+  function saveConnectionProfiles() {
+    localStorage.setItem(STORAGE_KEYS.CONNECTIONS, JSON.stringify(connectionProfiles));
+  }
+
+  /**
+   * 既定の接続先（基本タブの設定）
+   * @returns {ConnectionProfile}
+   */
+  function getDefaultConnection() {
+    const preset = el.baseUrlPreset.selectedOptions?.[0];
+    return {
+      id: DEFAULT_CONNECTION_ID,
+      name: preset && preset.value !== "custom" ? preset.textContent.trim() : "既定",
+      baseUrl: trimTrailingSlashes(settings.baseUrl || el.baseUrl.value.trim()),
+      apiKey: settings.apiKey || el.apiKey?.value?.trim() || DEFAULT_SETTINGS.apiKey,
+      type: "auto",
+      enabled: true,
+    };
+  }
+
+  /**
+   * 有効な接続先の一覧（既定の接続先が先頭）
+   * @returns {ConnectionProfile[]}
+   */
+  function getConnections() {
+    return [
+      getDefaultConnection(),
+      // APIキー未入力の接続先は既定のキーを送る（空の Bearer を拒否するサーバーがあるため）
+      ...connectionProfiles.filter(c => c.enabled && c.baseUrl).map(c => ({ ...c, apiKey: c.apiKey || DEFAULT_SETTINGS.apiKey })),
+    ];
+  }
+
+  /**
+   * @param {string} id
+   * @returns {ConnectionProfile|undefined}
+   */
+  function getConnectionById(id) {
+    return getConnections().find(c => c.id === id);
+  }
+
+  /**
+   * モデルの送信先の接続先を返す
+   * 同じモデルが複数のサーバーにある場合は、応答中のサーバーを優先する（フェイルオーバー）
+   * @param {string|null|undefined} modelId
+   * @returns {ConnectionProfile}
+   */
+  function getConnectionForModel(modelId) {
+    const origins = (modelId && runtime.modelOrigins.get(modelId)) || [];
+    const candidates = origins.map(getConnectionById).filter(Boolean);
+    return candidates.find(c => runtime.connectionStatus.get(c.id)?.ok !== false)
+      || candidates[0]
+      || getDefaultConnection();
+  }
+
+  /**
+   * モデルの送信先URLとAPIキー
+   * @param {string|null|undefined} modelId
+   * @returns {{base: string, key: string, connection: ConnectionProfile}}
+   */
+  function getModelEndpoint(modelId) {
+    const connection = getConnectionForModel(modelId);
+    return { base: connection.baseUrl, key: connection.apiKey, connection };
+  }
+
+  /**
+   * モデルの提供元のAPIの種類
+   * @param {string|null|undefined} modelId
+   * @returns {"lmstudio"|"ollama"|"llamacpp"|"openai"|null}
+   */
+  function getModelBackend(modelId) {
+    return runtime.connectionStatus.get(getConnectionForModel(modelId).id)?.backend || null;
+  }
+
+  /**
+   * モデルの提供元がロード/アンロードに対応しているか
+   * @param {string} modelId
+   * @returns {boolean}
+   */
+  function supportsModelManagement(modelId) {
+    return Boolean(getModelProvider(modelId).provider.load);
+  }
+
+  /**
+   * 接続先の応答を確認する（/models を短いタイムアウトで取得）
+   * @param {ConnectionProfile} conn
+   * @returns {Promise<ConnectionStatus>}
+   */
+  async function checkConnectionHealth(conn) {
+    const prev = runtime.connectionStatus.get(conn.id);
+    const started = performance.now();
+    /** @type {ConnectionStatus} */
+    let status;
+    try {
+      const res = await fetch(`${conn.baseUrl}/models`, {
+        headers: { Authorization: `Bearer ${conn.apiKey}` },
+        signal: AbortSignal.timeout(HEALTH_CHECK.TIMEOUT_MS),
+      });
+      status = {
+        ok: res.ok,
+        backend: prev?.backend || null,
+        latencyMs: Math.round(performance.now() - started),
+        error: res.ok ? "" : `HTTP ${res.status}`,
+        checkedAt: Date.now(),
+      };
+    } catch (e) {
+      status = {
+        ok: false,
+        backend: prev?.backend || null,
+        latencyMs: null,
+        error: e?.name === "TimeoutError" ? "タイムアウト" : "接続できません",
+        checkedAt: Date.now(),
+      };
+    }
+    runtime.connectionStatus.set(conn.id, status);
+    return status;
+  }
+
+  /**
+   * 全接続先のヘルスチェックを行い、状態が変わったサーバーがあればモデル一覧を取り直す
+   */
+  async function runHealthChecks() {
+    const connections = getConnections();
+    const before = new Map(connections.map(c => [c.id, runtime.connectionStatus.get(c.id)?.ok]));
+    await Promise.all(connections.map(checkConnectionHealth));
+    renderConnectionStatus();
+
+    const changed = connections.filter(c => before.get(c.id) !== undefined && before.get(c.id) !== runtime.connectionStatus.get(c.id)?.ok);
+    for (const c of changed) {
+      notify(runtime.connectionStatus.get(c.id)?.ok
+        ? `🟢 サーバー「${c.name}」に再接続しました`
+        : `🔴 サーバー「${c.name}」に接続できません`);
+    }
+    // 生成中はモデル一覧を作り直さない（次回のチェックで反映）
+    if (changed.length > 0 && !isStreaming) await refreshModels();
+  }
+
+  /**
+   * 定期ヘルスチェックを（再）開始する。タブが非表示の間はスキップ
+   */
+  function startHealthChecks() {
+    if (healthCheckTimer) clearInterval(healthCheckTimer);
+    healthCheckTimer = setInterval(() => {
+      if (document.hidden) return;
+      runHealthChecks();
+    }, HEALTH_CHECK.INTERVAL_MS);
+  }
+
+  /**
+   * 送信時の通信エラーを接続先の状態に反映する（次の送信から別のサーバーへ切り替える）
+   * @param {string} modelId
+   */
+  function reportConnectionFailure(modelId) {
+    const conn = getConnectionForModel(modelId);
+    const prev = runtime.connectionStatus.get(conn.id);
+    runtime.connectionStatus.set(conn.id, {
+      ok: false,
+      backend: prev?.backend || null,
+      latencyMs: null,
+      error: "接続できません",
+      checkedAt: Date.now(),
+    });
+    renderConnectionStatus();
+
+    const next = getConnectionForModel(modelId);
+    if (next.id !== conn.id) {
+      notify(`🔀 サーバー「${conn.name}」に接続できないため、次の送信から「${next.name}」を使用します`);
+    }
+  }
+
+  /**
+   * ヘッダーの接続状態表示を更新する
+   */
+  function renderConnectionStatus() {
+    if (!el.connectionStatus) return;
+    const connections = getConnections();
+    el.connectionStatus.innerHTML = connections.map(c => {
+      const st = runtime.connectionStatus.get(c.id);
+      const cls = !st ? "status-unknown" : st.ok ? "status-ok" : "status-down";
+      const detail = !st ? "未確認" : st.ok ? `接続OK${st.latencyMs !== null ? `（${st.latencyMs}ms）` : ""}` : st.error;
+      const backend = st?.backend ? ` [${PROVIDERS[st.backend].label}]` : "";
+      const label = connections.length > 1 ? ` ${escapeHtml(c.name)}` : "";
+      return `<span class="connection-chip ${cls}" title="${escapeAttr(`${c.name}: ${c.baseUrl}${backend}\n${detail}`)}"><span class="connection-dot">●</span>${label}</span>`;
+    }).join("");
+    renderConnectionList();
+  }
+
+  /**
+   * 設定パネルの接続先一覧を描画する
+   * @param {boolean} [force=false] - 入力中でも作り直す（追加・削除時）
+   */
+  function renderConnectionList(force = false) {
+    if (!el.connectionList) return;
+    // 入力中の欄は作り直さない（ヘルスチェックの再描画で入力が消えるのを防ぐ）
+    if (!force && el.connectionList.contains(document.activeElement)) return;
+
+    if (connectionProfiles.length === 0) {
+      el.connectionList.innerHTML = '<div class="connection-empty">追加の接続先はありません</div>';
+      return;
+    }
+    el.connectionList.innerHTML = connectionProfiles.map(c => {
+      const st = runtime.connectionStatus.get(c.id);
+      const cls = !c.enabled || !st ? "status-unknown" : st.ok ? "status-ok" : "status-down";
+      const typeOptions = Object.entries(CONNECTION_TYPES)
+        .map(([v, label]) => `<option value="${v}"${v === c.type ? " selected" : ""}>${label}</option>`)
+        .join("");
+      return `<div class="connection-row" data-conn-id="${escapeAttr(c.id)}">
+        <span class="connection-chip ${cls}" title="${escapeAttr(st ? (st.ok ? "接続OK" : st.error) : "未確認")}"><span class="connection-dot">●</span></span>
+        <input type="checkbox" data-field="enabled"${c.enabled ? " checked" : ""} title="有効" />
+        <input type="text" data-field="name" value="${escapeAttr(c.name)}" placeholder="名前" style="width:110px" />
+        <input type="text" data-field="baseUrl" value="${escapeAttr(c.baseUrl)}" placeholder="http://192.168.0.10:1234/v1" style="width:220px" />
+        <input type="password" data-field="apiKey" value="${escapeAttr(c.apiKey)}" placeholder="APIキー（任意）" style="width:110px" autocomplete="off" />
+        <select data-field="type">${typeOptions}</select>
+        <button data-action="delete" title="削除" style="background:#dc3545;padding:4px 10px">🗑</button>
+      </div>`;
+    }).join("");
+  }
+
+  /**
+   * 接続先を追加する
+   */
+  function addConnectionProfile() {
+    connectionProfiles.push({
+      id: "conn_" + generateMsgId(),
+      name: `サーバー${connectionProfiles.length + 2}`,
+      baseUrl: "",
+      apiKey: "",
+      type: "auto",
+      enabled: true,
+    });
+    saveConnectionProfiles();
+    renderConnectionList(true);
+    el.connectionList.querySelector('.connection-row:last-child [data-field="baseUrl"]')?.focus();
+  }
+
+  function wireConnectionEvents() {
+    connectionProfiles = loadConnectionProfiles();
+    renderConnectionStatus();
+
+    if (el.addConnectionBtn) el.addConnectionBtn.onclick = addConnectionProfile;
+    if (el.checkConnectionsBtn) {
+      el.checkConnectionsBtn.onclick = async () => {
+        await runHealthChecks();
+        notify("🩺 接続先を確認しました");
+      };
+    }
+    if (el.connectionList) {
+      el.connectionList.onchange = (e) => {
+        const input = /** @type {HTMLInputElement} */ (e.target);
+        const row = input.closest(".connection-row");
+        const conn = connectionProfiles.find(c => c.id === row?.dataset.connId);
+        if (!conn || !input.dataset.field) return;
+
+        const field = input.dataset.field;
+        if (field === "enabled") conn.enabled = input.checked;
+        else if (field === "baseUrl") conn.baseUrl = trimTrailingSlashes(input.value.trim());
+        else if (field === "name") conn.name = input.value.trim() || conn.id;
+        else if (field === "apiKey") conn.apiKey = input.value.trim();
+        else if (field === "type") conn.type = /** @type {any} */ (CONNECTION_TYPES[input.value] ? input.value : "auto");
+        saveConnectionProfiles();
+        runtime.connectionStatus.delete(conn.id);
+        refreshModels();
+      };
+      el.connectionList.onclick = (e) => {
+        const btn = /** @type {HTMLElement} */ (e.target).closest('[data-action="delete"]');
+        if (!btn) return;
+        const id = btn.closest(".connection-row")?.dataset.connId;
+        const conn = connectionProfiles.find(c => c.id === id);
+        if (!conn || !confirm(`接続先「${conn.name}」を削除しますか？`)) return;
+        connectionProfiles = connectionProfiles.filter(c => c.id !== id);
+        runtime.connectionStatus.delete(id);
+        saveConnectionProfiles();
+        renderConnectionList(true);
+        refreshModels();
+      };
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // LM Studio v1 API (Model Management) - v1.7.0
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Base URLから /v1 を除去してAPIベースURLを取得
+   * @param {ConnectionProfile} [conn] - 省略時は選択中のモデルの接続先（v1.9.0）
+   * @returns {string}
+   */
+  function getApiBaseUrl(conn = getConnectionForModel(getCurrentModelId())) {
+    return trimTrailingSlashes(conn.baseUrl).replace(/\/v1$/, "");
+  }
+
+  /**
+   * LM Studio v1 API が利用可能かチェック
+   * @param {ConnectionProfile} conn
+   * @returns {Promise<boolean>}
+   */
+  async function checkLmstudioV1Api(conn) {
+    const apiBase = getApiBaseUrl(conn);
+    const key = conn.apiKey;
+
+    try {
+      const res = await fetch(`${apiBase}${LMSTUDIO_V1_API.MODELS}`, {
+        headers: { Authorization: `Bearer ${key}` },
+      });
+      return res.ok;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * LM Studio v1 API で全ダウンロード済みモデルを取得
+   * @param {ConnectionProfile} conn
+   * @returns {Promise<Array<{id:string, state:string, quantization?:string, max_context_length?:number}>>}
+   */
+  async function fetchAllModelsV1(conn) {
+    const apiBase = getApiBaseUrl(conn);
+    const authKey = conn.apiKey;
+
+    const res = await fetch(`${apiBase}${LMSTUDIO_V1_API.MODELS}`, {
+      headers: { Authorization: `Bearer ${authKey}` },
+    });
+
+    if (!res.ok) throw new Error(`API error: ${res.status}`);
+
+    const data = await res.json();
+
+    // LM Studio v1 API のレスポンス構造に対応
+    // - models 配列にモデル情報が格納
+    // - key がモデルID
+    // - loaded_instances が空配列なら未ロード
+    const rawModels = data.models || data.data || [];
+
+    return rawModels.map(m => ({
+      id: m.key || m.id,
+      state: (m.loaded_instances && m.loaded_instances.length > 0) ? MODEL_STATE.LOADED : MODEL_STATE.NOT_LOADED,
+      quantization: m.quantization?.name || m.quantization || null,
+      max_context_length: m.max_context_length || null,
+      type: m.type || "llm",
+      capabilities: m.capabilities || {},
+    }));
+  }
+
+  /**
+   * LM Studio v1 API でモデルをロード
+   * @param {ConnectionProfile} conn
+   * @param {string} modelId
+   * @returns {Promise<boolean>}
+   */
+  async function loadModelV1(conn, modelId) {
+    const apiBase = getApiBaseUrl(conn);
+    const key = conn.apiKey;
+
+    try {
+      const res = await fetch(`${apiBase}${LMSTUDIO_V1_API.LOAD}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${key}`,
+        },
+        body: JSON.stringify({ model: modelId }),
+      });
+
+      if (!res.ok) {
+        const text = await res.text().catch(() => "");
+        throw new Error(`Load failed: ${res.status} ${text}`);
+      }
+      return true;
+    } catch (err) {
+      console.error("[Model Load Error]", err);
+      throw err;
+    }
+  }
+
+  /**
+   * LM Studio v1 API でモデルをアンロードする (v1.7.3)
+   * @param {ConnectionProfile} conn
+   * @param {string} modelId
+   * @returns {Promise<boolean>}
+   */
+  async function unloadModelV1(conn, modelId) {
+    const apiBase = getApiBaseUrl(conn);
+    const key = conn.apiKey;
+
+    try {
+      const res = await fetch(`${apiBase}${LMSTUDIO_V1_API.UNLOAD}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${key}`,
+        },
+        body: JSON.stringify({ instance_id: modelId }),
+      });
+
+      if (!res.ok) {
+        const text = await res.text().catch(() => "");
+        console.warn(`[Model Unload] Failed: ${res.status} ${text}`);
+        return false;
+      }
+      return true;
+    } catch (err) {
+      console.warn("[Model Unload Error]", err);
+      return false;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Ollama Native API（モデル詳細・ロード/アンロード・/api/chat）
+  //   OpenAI互換の /v1 では取れないコンテキスト長・Vision対応・量子化を取得し、
+  //   keep_alive によるアンロードと options（num_ctx 等）の指定を行う
+  // ---------------------------------------------------------------------------
+
+  /** Ollama のキープアライブ（0 = 即時アンロード） */
+  const OLLAMA_UNLOAD_KEEP_ALIVE = 0;
+
+  /**
+   * Ollama ネイティブAPIが利用可能かチェック
+   * @param {ConnectionProfile} conn
+   * @returns {Promise<boolean>}
+   */
+  async function checkOllamaApi(conn) {
+    try {
+      const res = await fetch(`${getApiBaseUrl(conn)}${OLLAMA_API.VERSION}`, {
+        headers: { Authorization: `Bearer ${conn.apiKey}` },
+      });
+      if (!res.ok) return false;
+      const data = await res.json();
+      return typeof data?.version === "string";
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * /api/show の model_info からコンテキスト長を取り出す（キーは "<アーキテクチャ>.context_length"）
+   * @param {Object|undefined} modelInfo
+   * @returns {number|null}
+   */
+  function getOllamaContextLength(modelInfo) {
+    for (const [k, v] of Object.entries(modelInfo || {})) {
+      if (k.endsWith(".context_length") && typeof v === "number") return v;
+    }
+    return null;
+  }
+
+  /**
+   * Ollama のモデル一覧を詳細付きで取得する
+   * /api/tags（一覧・量子化）+ /api/ps（ロード状態）+ /api/show（コンテキスト長・capabilities）
+   * @param {ConnectionProfile} conn
+   * @returns {Promise<Array<{id:string, state:string, quantization:string|null, max_context_length:number|null, capabilities:Object}>>}
+   */
+  async function fetchOllamaModels(conn) {
+    const apiBase = getApiBaseUrl(conn);
+    const headers = { "Content-Type": "application/json", Authorization: `Bearer ${conn.apiKey}` };
+
+    const [tagsRes, psRes] = await Promise.all([
+      fetch(`${apiBase}${OLLAMA_API.TAGS}`, { headers }),
+      fetch(`${apiBase}${OLLAMA_API.PS}`, { headers }).catch(() => null),
+    ]);
+    if (!tagsRes.ok) throw new Error(`API error: ${tagsRes.status}`);
+
+    const tags = await tagsRes.json();
+    const ps = psRes?.ok ? await psRes.json().catch(() => ({})) : {};
+    /** @type {Map<string, any>} */
+    const running = new Map((ps.models || []).map(m => [m.model || m.name, m]));
+
+    return Promise.all((tags.models || []).map(async (m) => {
+      const id = m.model || m.name;
+      let show = null;
+      try {
+        const res = await fetch(`${apiBase}${OLLAMA_API.SHOW}`, {
+          method: "POST",
+          headers,
+          body: JSON.stringify({ model: id }),
+        });
+        if (res.ok) show = await res.json();
+      } catch { /* 詳細なしで続行 */ }
+
+      const caps = Array.isArray(show?.capabilities) ? show.capabilities : null;
+      const loaded = running.get(id);
+      return {
+        id,
+        state: loaded ? MODEL_STATE.LOADED : MODEL_STATE.NOT_LOADED,
+        quantization: m.details?.quantization_level || show?.details?.quantization_level || null,
+        // ロード中は実際に確保されたコンテキスト長（num_ctx）を優先
+        max_context_length: loaded?.context_length || getOllamaContextLength(show?.model_info),
+        capabilities: caps ? { vision: caps.includes("vision"), tools: caps.includes("tools") } : {},
+      };
+    }));
+  }
+
+  /**
+   * Ollama でモデルをロードする（プロンプトなしの /api/generate）
+   * @param {ConnectionProfile} conn
+   * @param {string} modelId
+   * @returns {Promise<boolean>}
+   */
+  async function loadModelOllama(conn, modelId) {
+    const res = await fetch(`${getApiBaseUrl(conn)}${OLLAMA_API.GENERATE}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${conn.apiKey}` },
+      body: JSON.stringify({ model: modelId, ...getOllamaLoadOptions() }),
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw new Error(`Load failed: ${res.status} ${text}`);
+    }
+    return true;
+  }
+
+  /**
+   * Ollama でモデルをアンロードする（keep_alive: 0）
+   * @param {ConnectionProfile} conn
+   * @param {string} modelId
+   * @returns {Promise<boolean>}
+   */
+  async function unloadModelOllama(conn, modelId) {
+    try {
+      const res = await fetch(`${getApiBaseUrl(conn)}${OLLAMA_API.GENERATE}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${conn.apiKey}` },
+        body: JSON.stringify({ model: modelId, keep_alive: OLLAMA_UNLOAD_KEEP_ALIVE }),
+      });
+      if (!res.ok) {
+        console.warn(`[Ollama Unload] Failed: ${res.status}`);
+        return false;
+      }
+      return true;
+    } catch (err) {
+      console.warn("[Ollama Unload Error]", err);
+      return false;
+    }
+  }
+
+  /**
+   * ロード時に渡す options（num_ctx を指定している場合のみ）
+   * @returns {{options?: Object}}
+   */
+  function getOllamaLoadOptions() {
+    const numCtx = normalizeSampling(settings.sampling).numCtx;
+    return numCtx ? { options: { num_ctx: numCtx } } : {};
+  }
+
+  /**
+   * OpenAI形式のメッセージを Ollama /api/chat の形式に変換する
+   * - 画像: content 配列の image_url → images（base64、data: 接頭辞なし）
+   * - tool_calls: arguments の JSON 文字列 → オブジェクト
+   * @param {Array<Object>} messages
+   * @returns {Array<Object>}
+   */
+  function toOllamaMessages(messages) {
+    return messages.map(m => {
+      const out = { role: m.role, content: "" };
+      if (Array.isArray(m.content)) {
+        out.content = m.content.filter(c => c.type === "text").map(c => c.text).join("\n");
+        const images = m.content
+          .filter(c => c.type === "image_url" && c.image_url?.url)
+          .map(c => c.image_url.url.replace(/^data:[^,]*,/, ""));
+        if (images.length > 0) out.images = images;
+      } else {
+        out.content = m.content || "";
+      }
+      if (Array.isArray(m.tool_calls)) {
+        out.tool_calls = m.tool_calls.map(c => ({
+          function: { name: c.function.name, arguments: safeJSONParse(c.function.arguments || "{}", {}) },
+        }));
+      }
+      return out;
+    });
+  }
+
+  /**
+   * OpenAI形式のリクエストボディを Ollama /api/chat のボディに変換する
+   * サンプリング系のパラメータは options に、response_format の JSON Schema は format に移す
+   * @param {Object} body - /chat/completions 用のボディ
+   * @returns {Object}
+   */
+  function buildOllamaChatBody(body) {
+    const options = {};
+    const optionKeys = {
+      temperature: "temperature",
+      max_tokens: "num_predict",
+      top_p: "top_p",
+      top_k: "top_k",
+      min_p: "min_p",
+      repeat_penalty: "repeat_penalty",
+      presence_penalty: "presence_penalty",
+      frequency_penalty: "frequency_penalty",
+      seed: "seed",
+      stop: "stop",
+    };
+    for (const [from, to] of Object.entries(optionKeys)) {
+      if (body[from] !== undefined) options[to] = body[from];
+    }
+    Object.assign(options, getOllamaLoadOptions().options);
+
+    const out = {
+      model: body.model,
+      messages: toOllamaMessages(body.messages),
+      stream: body.stream === true,
+      options,
+    };
+    if (Array.isArray(body.tools) && body.tools.length > 0) out.tools = body.tools;
+    if (body.response_format?.json_schema?.schema) out.format = body.response_format.json_schema.schema;
+    // Thinking 無効化（chat_template_kwargs の代わりに think: false）
+    if (body.chat_template_kwargs?.enable_thinking === false) out.think = false;
+    return out;
+  }
+
+  /**
+   * Ollama の応答チャンクの tool_calls を OpenAI 形式の配列に追加する
+   * （Ollama は1回で完結した呼び出しを返すため、断片の結合は不要）
+   * @param {Array<Object>} acc
+   * @param {Array<Object>} calls
+   */
+  function appendOllamaToolCalls(acc, calls) {
+    for (const c of calls) {
+      const args = c.function?.arguments;
+      acc.push({
+        id: "",
+        type: "function",
+        function: {
+          name: c.function?.name || "",
+          arguments: typeof args === "string" ? args : JSON.stringify(args ?? {}),
+        },
+      });
+    }
+  }
+
+  /**
+   * Ollama の完了チャンクの統計を OpenAI の usage 形式に変換する
+   * @param {any} j
+   * @returns {{prompt_tokens:number, completion_tokens:number, total_tokens:number}|null}
+   */
+  function toUsageFromOllama(j) {
+    if (typeof j?.prompt_eval_count !== "number" && typeof j?.eval_count !== "number") return null;
+    const prompt = j.prompt_eval_count || 0;
+    const completion = j.eval_count || 0;
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+  }
+
+  /**
+   * Ollama /api/chat のストリーム（NDJSON）を読み取り、consumeSSE() と同じ形で callback へ渡す
+   * @param {ReadableStreamDefaultReader<Uint8Array>} reader
+   * @param {(delta:string, reasoningDelta:string)=>void} onDelta
+   * @param {(result: StreamResult)=>void} onDone
+   * @param {{timeouts?: StreamTimeouts, toolCalls?: Array<Object>}} [opts]
+   */
+  async function consumeOllamaStream(reader, onDelta, onDone, { timeouts = getStreamTimeouts(), toolCalls = null } = {}) {
+    const decoder = new TextDecoder("utf-8");
+    let buf = "";
+    let started = false;
+    /** @type {StreamResult} */
+    const result = { usage: null, finishReason: null };
+
+    /** @param {string} line @returns {boolean} 完了チャンクなら true */
+    const processLine = (line) => {
+      if (!line.trim()) return false;
+      let j;
+      try {
+        j = JSON.parse(line);
+      } catch {
+        return false;
+      }
+      if (j.error) throw new Error(j.error);
+      const delta = j.message?.content || "";
+      const reasoningDelta = j.message?.thinking || "";
+      if (toolCalls && Array.isArray(j.message?.tool_calls)) appendOllamaToolCalls(toolCalls, j.message.tool_calls);
+      if (delta || reasoningDelta || j.message?.tool_calls) started = true;
+      if (delta || reasoningDelta) onDelta(delta, reasoningDelta);
+      if (j.done) {
+        result.usage = toUsageFromOllama(j);
+        result.finishReason = j.done_reason || "stop";  // "length" = num_predict に達した
+        runtime.lastUsage = result.usage;
+        runtime.lastFinishReason = result.finishReason;
+        return true;
+      }
+      return false;
+    };
+
+    while (true) {
+      // タイムアウト: 最初のトークンまで / トークン間でデータが来なければ TimeoutError
+      const { value, done } = await readWithTimeout(reader, timeouts, started);
+      if (done) break;
+
+      buf += decoder.decode(value, { stream: true });
+      const lines = buf.split("\n");
+      buf = lines.pop() || "";
+      for (const line of lines) {
+        if (processLine(line)) {
+          onDone(result);
+          return;
+        }
+      }
+    }
+
+    processLine(buf);
+    onDone(result);
+  }
+
+  /**
+   * Ollama /api/chat へストリーミングで送信する
+   * @param {ConnectionProfile} conn
+   * @param {Object} body - OpenAI形式のボディ（buildChatBody）
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{res: Response, consume: typeof consumeSSE}>}
+   */
+  async function streamOllamaChat(conn, body, signal) {
+    const res = await postJson(`${getApiBaseUrl(conn)}${OLLAMA_API.CHAT}`, conn, buildOllamaChatBody(body), signal);
+    return { res, consume: consumeOllamaStream };
+  }
+
+  /**
+   * Ollama /api/chat へ非ストリーミングで送信する
+   * @param {ConnectionProfile} conn
+   * @param {Object} body
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{content: string|null, status: number, error?: string}>} error: 失敗時の応答本文
+   */
+  async function requestOllamaChatOnce(conn, body, signal) {
+    const res = await postJson(`${getApiBaseUrl(conn)}${OLLAMA_API.CHAT}`, conn, buildOllamaChatBody(body), signal);
+    if (!res.ok) return { content: null, status: res.status, error: await res.text().catch(() => "") };
+    const data = await res.json();
+    return { content: data?.message?.content || "", status: res.status };
+  }
+
+  /**
+   * モデルを取得（pull）する。進捗は onProgress に { status, completed, total } で渡す
+   * @param {ConnectionProfile} conn
+   * @param {string} modelId
+   * @param {(p: {status: string, completed?: number, total?: number}) => void} onProgress
+   * @returns {Promise<void>}
+   */
+  async function pullOllamaModel(conn, modelId, onProgress) {
+    const res = await fetch(`${getApiBaseUrl(conn)}${OLLAMA_API.PULL}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${conn.apiKey}` },
+      body: JSON.stringify({ model: modelId, stream: true }),
+    });
+    if (!res.ok || !res.body) throw new Error(`Pull failed: ${res.status}`);
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder("utf-8");
+    let buf = "";
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+      const lines = buf.split("\n");
+      buf = lines.pop() || "";
+      for (const line of lines) {
+        const j = safeJSONParse(line, null);
+        if (!j) continue;
+        if (j.error) throw new Error(j.error);
+        onProgress({ status: j.status || "", completed: j.completed, total: j.total });
+      }
+    }
+  }
+
+  /**
+   * 設定パネルから Ollama のモデルを取得する（進捗をボタン横に表示）
+   */
+  async function pullOllamaModelFromUI() {
+    const name = el.ollamaPullName?.value.trim();
+    const conn = getConnections().find(c => runtime.connectionStatus.get(c.id)?.backend === "ollama");
+    if (!name) return;
+    if (!conn) {
+      notify("⚠️ 接続中の Ollama サーバーがありません");
+      return;
+    }
+
+    el.ollamaPullBtn.disabled = true;
+    const show = (text) => { if (el.ollamaPullStatus) el.ollamaPullStatus.textContent = text; };
+    try {
+      await pullOllamaModel(conn, name, ({ status, completed, total }) => {
+        show(total ? `${status} ${Math.floor(((completed || 0) / total) * 100)}%` : status);
+      });
+      show("");
+      notify(`✅ ${name} を取得しました（${conn.name}）`);
+      await refreshModels();
+    } catch (e) {
+      show("");
+      notify(`⚠️ モデルを取得できませんでした: ${e?.message || e}`);
+    } finally {
+      el.ollamaPullBtn.disabled = false;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: llama.cpp server
+  // ---------------------------------------------------------------------------
+
+  /**
+   * llama.cpp server かチェック（/props が既定の生成設定を返す）
+   * @param {ConnectionProfile} conn
+   * @returns {Promise<boolean>}
+   */
+  async function checkLlamaCppApi(conn) {
+    try {
+      const res = await fetch(`${getApiBaseUrl(conn)}${LLAMACPP_API.PROPS}`, {
+        headers: { Authorization: `Bearer ${conn.apiKey}` },
+      });
+      if (!res.ok) return false;
+      const data = await res.json();
+      return Boolean(data?.default_generation_settings);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * llama.cpp server のモデル一覧（常にロード済み）
+   * コンテキスト長は1リクエストあたりの上限であるスロットの n_ctx を優先する（--parallel で全体が分割されるため）
+   * @param {ConnectionProfile} conn
+   * @returns {Promise<Array<{id:string, state:string, quantization:null, max_context_length:number|null, capabilities:Object}>>}
+   */
+  async function fetchLlamaCppModels(conn) {
+    const apiBase = getApiBaseUrl(conn);
+    const headers = { Authorization: `Bearer ${conn.apiKey}` };
+    /** @param {string} path */
+    const getJson = (path) => fetch(`${apiBase}${path}`, { headers })
+      .then(res => (res.ok ? res.json() : null))
+      .catch(() => null);
+
+    // /slots は --no-slots で無効にできるため、取れなければ /props の値を使う
+    const [models, props, slots] = await Promise.all([
+      fetchOpenAiModels(conn),
+      getJson(LLAMACPP_API.PROPS),
+      getJson(LLAMACPP_API.SLOTS),
+    ]);
+    const slotCtx = Array.isArray(slots) ? slots[0]?.n_ctx : null;
+    const nCtx = slotCtx || props?.default_generation_settings?.n_ctx || props?.n_ctx || null;
+    const vision = props?.modalities ? props.modalities.vision === true : null;
+
+    return models.map(m => ({
+      ...m,
+      max_context_length: nCtx,
+      capabilities: vision === null ? {} : { vision },
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Backend Providers（サーバーの種類ごとの差異をここに閉じ込める）
+  //   UI・機能側は getModelProvider() の provider を通してのみサーバーと通信する。
+  //   新しいバックエンドは PROVIDERS にアダプターを追加し、PROVIDER_DETECT_ORDER に判定順を入れる
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @typedef {Object} BackendModel
+   * @property {string} id
+   * @property {string} state - MODEL_STATE
+   * @property {string|null} [quantization]
+   * @property {number|null} [max_context_length]
+   * @property {Object} [capabilities] - { vision?: boolean, tools?: boolean }
+   */
+  /**
+   * @typedef {Object} BackendProvider
+   * @property {string} label
+   * @property {((conn: ConnectionProfile) => Promise<boolean>)|null} detect - 自動判定（null: 判定しない = 最後のフォールバック）
+   * @property {(conn: ConnectionProfile) => Promise<BackendModel[]>} listModels
+   * @property {(conn: ConnectionProfile, body: Object, signal?: AbortSignal) => Promise<{res: Response, consume: typeof consumeSSE}>} chatStream - consume: ストリームの読み取り関数
+   * @property {(conn: ConnectionProfile, body: Object, signal?: AbortSignal) => Promise<{content: string|null, status: number, error?: string}>} chatOnce
+   * @property {((conn: ConnectionProfile, model: string, text: string) => Promise<number|null>)|null} tokenize
+   * @property {((conn: ConnectionProfile, modelId: string) => Promise<boolean>)|null} load
+   * @property {((conn: ConnectionProfile, modelId: string) => Promise<boolean>)|null} unload
+   * @property {boolean} prefill - 末尾のアシスタントの応答をそのまま続けて生成できる（続きの生成で使用）
+   */
+
+  /**
+   * JSON を POST する
+   * @param {string} url
+   * @param {ConnectionProfile} conn
+   * @param {Object} body
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Response>}
+   */
+  function postJson(url, conn, body, signal) {
+    return fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${conn.apiKey}`,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+  }
+
+  /**
+   * OpenAI互換の /models（状態を返さないため、すべてロード済みとして扱う）
+   * @param {ConnectionProfile} conn
+   * @returns {Promise<BackendModel[]>}
+   */
+  async function fetchOpenAiModels(conn) {
+    const res = await fetch(`${conn.baseUrl}/models`, {
+      headers: { Authorization: `Bearer ${conn.apiKey}` },
+    });
+    if (!res.ok) throw new Error(String(res.status));
+
+    const data = await res.json();
+    return (data.data || []).map(m => ({ id: m.id, state: MODEL_STATE.LOADED, quantization: null, max_context_length: null }));
+  }
+
+  /**
+   * OpenAI互換の /chat/completions へストリーミングで送信する
+   * @param {ConnectionProfile} conn
+   * @param {Object} body
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{res: Response, consume: typeof consumeSSE}>}
+   */
+  async function streamOpenAiChat(conn, body, signal) {
+    const res = await postJson(`${conn.baseUrl}/chat/completions`, conn, body, signal);
+    return { res, consume: consumeSSE };
+  }
+
+  /**
+   * OpenAI互換の /chat/completions へ非ストリーミングで送信する
+   * @param {ConnectionProfile} conn
+   * @param {Object} body
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{content: string|null, status: number, error?: string}>} error: 失敗時の応答本文
+   */
+  async function requestOpenAiChatOnce(conn, body, signal) {
+    const res = await postJson(`${conn.baseUrl}/chat/completions`, conn, body, signal);
+    if (!res.ok) return { content: null, status: res.status, error: await res.text().catch(() => "") };
+    const data = await res.json();
+    return { content: data.choices?.[0]?.message?.content || "", status: res.status };
+  }
+
+  /** @type {Readonly<Record<"lmstudio"|"ollama"|"llamacpp"|"openai", BackendProvider>>} */
+  const PROVIDERS = Object.freeze({
+    lmstudio: Object.freeze({
+      label: "LM Studio",
+      detect: checkLmstudioV1Api,
+      listModels: fetchAllModelsV1,
+      chatStream: streamOpenAiChat,
+      chatOnce: requestOpenAiChatOnce,
+      tokenize: tokenizeWithEndpoint,
+      load: loadModelV1,
+      unload: unloadModelV1,
+      prefill: false,
+    }),
+    ollama: Object.freeze({
+      label: "Ollama",
+      detect: checkOllamaApi,
+      listModels: fetchOllamaModels,
+      chatStream: streamOllamaChat,
+      chatOnce: requestOllamaChatOnce,
+      tokenize: null,
+      load: loadModelOllama,
+      unload: unloadModelOllama,
+      prefill: true,
+    }),
+    llamacpp: Object.freeze({
+      label: "llama.cpp",
+      detect: checkLlamaCppApi,
+      listModels: fetchLlamaCppModels,
+      chatStream: streamOpenAiChat,
+      chatOnce: requestOpenAiChatOnce,
+      tokenize: tokenizeWithEndpoint,
+      load: null,
+      unload: null,
+      prefill: true,
+    }),
+    openai: Object.freeze({
+      label: "OpenAI互換",
+      detect: null,
+      listModels: fetchOpenAiModels,
+      chatStream: streamOpenAiChat,
+      chatOnce: requestOpenAiChatOnce,
+      tokenize: tokenizeWithEndpoint,
+      load: null,
+      unload: null,
+      prefill: false,
+    }),
+  });
+
+  /** 自動判定で試す順序（どれにも当てはまらなければ openai） */
+  const PROVIDER_DETECT_ORDER = Object.freeze(["lmstudio", "ollama", "llamacpp"]);
+
+  /**
+   * 接続先のAPIの種類を判定する（接続先の種類が指定されていればそれだけを試す）
+   * @param {ConnectionProfile} conn
+   * @returns {Promise<keyof typeof PROVIDERS>}
+   */
+  async function detectBackend(conn) {
+    for (const id of PROVIDER_DETECT_ORDER) {
+      if ((conn.type === "auto" || conn.type === id) && await PROVIDERS[id].detect(conn)) return id;
+    }
+    return "openai";
+  }
+
+  /**
+   * モデルの提供元の接続先とアダプター（判定前は OpenAI互換として扱う）
+   * @param {string} modelId
+   * @returns {{provider: BackendProvider, conn: ConnectionProfile}}
+   */
+  function getModelProvider(modelId) {
+    const conn = getConnectionForModel(modelId);
+    const backend = runtime.connectionStatus.get(conn.id)?.backend;
+    return { provider: PROVIDERS[backend] || PROVIDERS.openai, conn };
+  }
+
+  /**
+   * チャットのリクエストボディを OpenAI 形式で組み立てる（各アダプターが提供元の形式へ変換する）
+   * @param {string} model
+   * @param {Array<Object>} messages
+   * @param {{stream?: boolean, temperature: number, maxTokens: number, sampling?: boolean, extraBody?: Object}} opts - sampling: 詳細パラメータを含める
+   * @returns {Object}
+   */
+  function buildChatBody(model, messages, { stream = false, temperature, maxTokens, sampling = false, extraBody } = {}) {
+    const body = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(sampling ? buildSamplingParams() : {}),
+      ...extraBody,
+    };
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+    // Thinkingモード無効化（Qwen3はデフォルト無効、その他はトグルに従う）
+    if (shouldDisableThinking()) {
+      body.chat_template_kwargs = { enable_thinking: false };
+    }
+    return body;
+  }
+
+  /**
+   * モデルの提供元へストリーミングで送信する
+   * @param {string} model
+   * @param {Object} body - buildChatBody() の戻り値
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{res: Response, consume: typeof consumeSSE}>}
+   */
+  function streamChat(model, body, signal) {
+    const { provider, conn } = getModelProvider(model);
+    return provider.chatStream(conn, body, signal);
+  }
+
+  /**
+   * モデルをロードする
+   * @param {string} modelId
+   * @returns {Promise<boolean>}
+   */
+  async function loadModelOnServer(modelId) {
+    const { provider, conn } = getModelProvider(modelId);
+    if (!provider.load) return false;
+    return provider.load(conn, modelId);
+  }
+
+  /**
+   * モデルをアンロードする
+   * @param {string} modelId
+   * @returns {Promise<boolean>}
+   */
+  async function unloadModelOnServer(modelId) {
+    const { provider, conn } = getModelProvider(modelId);
+    if (!provider.unload) return false;
+    return provider.unload(conn, modelId);
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Retry / Timeouts（接続エラー・5xx・ロード中の 503 を指数バックオフで自動再試行）
+  //   自動で再試行するのはストリームが始まる前のエラーのみ。
+  //   生成の途中で途切れた応答は「続きを生成」（continueAssistantMessage）で再開する
+  // ---------------------------------------------------------------------------
+
+  /** 自動再試行する HTTP ステータス（503 はモデルのロード中を含む） */
+  const RETRYABLE_STATUS = Object.freeze([408, 429, 500, 502, 503, 504]);
+
+  const RETRY = Object.freeze({
+    MAX_DELAY_MS: 60000,
+    JITTER: 0.2,  // 待ち時間を ±20% ずらし、複数タブ・比較モードの同時再送を分散
+  });
+
+  /** 最初のトークンを待つ間のタイムアウトのメッセージ（トークン間のタイムアウトと区別する） */
+  const FIRST_TOKEN_TIMEOUT_MESSAGE = "First token timeout";
+
+  /**
+   * @typedef {Object} StreamTimeouts
+   * @property {number} firstTokenTimeoutMs - 送信から最初のトークンまで（プロンプト処理・モデルのロードを含む）
+   * @property {number} idleTimeoutMs - 生成開始後のトークン間
+   */
+
+  /**
+   * @typedef {Object} RetryWaitInfo
+   * @property {number} attempt - 何回目の再試行か（1始まり）
+   * @property {number} maxRetries
+   * @property {number} remainingSec - 再試行までの残り秒数（0 = 再試行中）
+   * @property {string} reason
+   */
+
+  /** @returns {StreamTimeouts} */
+  function getStreamTimeouts() {
+    return {
+      firstTokenTimeoutMs: settings.firstTokenTimeoutSec * 1000,
+      idleTimeoutMs: settings.streamIdleTimeoutSec * 1000,
+    };
+  }
+
+  /**
+   * ストリームから1チャンク読む。待ち時間を超えたらストリームを閉じて TimeoutError
+   * @param {ReadableStreamDefaultReader<Uint8Array>} reader
+   * @param {StreamTimeouts} timeouts
+   * @param {boolean} started - 最初のトークンを受信済みか
+   * @returns {Promise<ReadableStreamReadResult<Uint8Array>>}
+   */
+  async function readWithTimeout(reader, timeouts, started) {
+    const ms = started ? timeouts.idleTimeoutMs : timeouts.firstTokenTimeoutMs;
+    const message = started ? "Stream inactivity timeout" : FIRST_TOKEN_TIMEOUT_MESSAGE;
+    let timer;
+    try {
+      return await Promise.race([
+        reader.read(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new DOMException(message, "TimeoutError")), ms);
+        }),
+      ]);
+    } catch (e) {
+      reader.cancel().catch(() => {});
+      throw e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * n 回目の再試行までの待ち時間（指数バックオフ。Retry-After ヘッダーがあればそれに従う）
+   * @param {number} attempt - 1始まり
+   * @param {string|null} [retryAfter] - Retry-After（秒）
+   * @returns {number} ms
+   */
+  function getRetryDelayMs(attempt, retryAfter = null) {
+    const sec = Number(retryAfter);
+    if (retryAfter && Number.isFinite(sec) && sec >= 0) return Math.min(sec * 1000, RETRY.MAX_DELAY_MS);
+    const base = settings.retryBaseDelaySec * 1000 * 2 ** (attempt - 1);
+    const jitter = 1 + (Math.random() * 2 - 1) * RETRY.JITTER;
+    return Math.min(Math.round(base * jitter), RETRY.MAX_DELAY_MS);
+  }
+
+  /**
+   * 残り秒数を1秒ごとに通知しながら待つ（中断されたら AbortError）
+   * @param {number} ms
+   * @param {AbortSignal} signal
+   * @param {(remainingSec: number) => void} onTick
+   * @returns {Promise<void>}
+   */
+  function waitWithCountdown(ms, signal, onTick) {
+    return new Promise((resolve, reject) => {
+      const end = Date.now() + ms;
+      let timer = null;
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException("Retry wait aborted", "AbortError"));
+      };
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort, { once: true });
+
+      const tick = () => {
+        const remaining = end - Date.now();
+        if (remaining <= 0) {
+          signal.removeEventListener("abort", onAbort);
+          resolve();
+          return;
+        }
+        onTick(Math.ceil(remaining / 1000));
+        timer = setTimeout(tick, Math.min(1000, remaining));
+      };
+      tick();
+    });
   }
 
   /**
-   * LM Studio v1 API でモデルをロード
-   * @param {string} modelId
-   * @returns {Promise<boolean>}
+   * 再試行の待ち状態の表示文
+   * @param {RetryWaitInfo} info
+   * @returns {string}
    */
-  async function loadModelV1(modelId) {
-    const apiBase = getApiBaseUrl();
-    const key = settings.apiKey || el.apiKey?.value?.trim() || DEFAULT_SETTINGS.apiKey;
-
-    try {
-      const res = await fetch(`${apiBase}${LMSTUDIO_V1_API.LOAD}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${key}`,
-        },
-        body: JSON.stringify({ model: modelId }),
-      });
-
-      if (!res.ok) {
-        const text = await res.text().catch(() => "");
-        throw new Error(`Load failed: ${res.status} ${text}`);
-      }
-      return true;
-    } catch (err) {
-      console.error("[Model Load Error]", err);
-      throw err;
-    }
+  function formatRetryWait({ attempt, maxRetries, remainingSec, reason }) {
+    return remainingSec > 0
+      ? `⏳ ${reason}。${remainingSec}秒後に再試行します（${attempt}/${maxRetries}）`
+      : `🔄 再試行中…（${attempt}/${maxRetries}）`;
   }
 
   /**
-   * LM Studio v1 API でモデルをアンロードする (v1.7.3)
-   * @param {string} modelId
-   * @returns {Promise<boolean>}
+   * モデルの提供元へストリーミングで送信する（ストリーム開始前のエラーは自動で再試行）
+   * - 再試行の対象: 接続エラー、RETRYABLE_STATUS の応答
+   * - 応答ヘッダーを待つ時間も最初のトークンまでの待ち時間に含め、残りを timeouts として返す
+   * @param {string} model
+   * @param {Object} body - buildChatBody() の戻り値
+   * @param {AbortSignal} signal - Stop で中断するシグナル
+   * @param {(info: RetryWaitInfo) => void} [onRetryWait] - 再試行の待ち状態の通知
+   * @returns {Promise<{res: Response, consume: typeof consumeSSE, timeouts: StreamTimeouts}>} 再試行し尽くした場合は最後の応答（!res.ok）を返すか、最後のエラーを投げる
    */
-  async function unloadModelV1(modelId) {
-    const apiBase = getApiBaseUrl();
-    const key = settings.apiKey || el.apiKey?.value?.trim() || DEFAULT_SETTINGS.apiKey;
+  async function streamChatWithRetry(model, body, signal, onRetryWait = () => {}) {
+    const { firstTokenTimeoutMs, idleTimeoutMs } = getStreamTimeouts();
+    const maxRetries = settings.retryMaxAttempts;
+
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = Date.now();
+      // 応答ヘッダーが届くまでは最初のトークンの待ち時間で打ち切る。Stop はストリームの読み取り中も伝える
+      const attemptController = new AbortController();
+      const forwardAbort = () => attemptController.abort(signal.reason);
+      signal.addEventListener("abort", forwardAbort, { once: true });
+      const timer = setTimeout(
+        () => attemptController.abort(new DOMException(FIRST_TOKEN_TIMEOUT_MESSAGE, "TimeoutError")),
+        firstTokenTimeoutMs
+      );
+
+      let reason;
+      let retryAfter = null;
+      try {
+        const result = await streamChat(model, body, attemptController.signal);
+        const { res } = result;
+        if (res.ok || !RETRYABLE_STATUS.includes(res.status) || attempt >= maxRetries) {
+          const remaining = Math.max(firstTokenTimeoutMs - (Date.now() - startedAt), 1000);
+          return { ...result, timeouts: { firstTokenTimeoutMs: remaining, idleTimeoutMs } };
+        }
+        retryAfter = res.headers.get("Retry-After");
+        reason = res.status === 503
+          ? "サーバーの準備ができていません（モデルのロード中の可能性）"
+          : `サーバーエラー (HTTP ${res.status})`;
+        res.body?.cancel().catch(() => {});
+      } catch (e) {
+        if (!isLikelyServerOffline(e) || attempt >= maxRetries) throw e;
+        reason = "サーバーに接続できません";
+      } finally {
+        clearTimeout(timer);
+      }
 
-    try {
-      const res = await fetch(`${apiBase}${LMSTUDIO_V1_API.UNLOAD}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${key}`,
-        },
-        body: JSON.stringify({ instance_id: modelId }),
+      signal.removeEventListener("abort", forwardAbort);
+      const info = { attempt: attempt + 1, maxRetries, remainingSec: 0, reason };
+      await waitWithCountdown(getRetryDelayMs(attempt + 1, retryAfter), signal, (remainingSec) => {
+        onRetryWait({ ...info, remainingSec });
       });
-
-      if (!res.ok) {
-        const text = await res.text().catch(() => "");
-        console.warn(`[Model Unload] Failed: ${res.status} ${text}`);
-        return false;
-      }
-      return true;
-    } catch (err) {
-      console.warn("[Model Unload Error]", err);
-      return false;
+      onRetryWait(info);
     }
   }
 
@@ -2680,38 +6977,79 @@ ${manual}
   // Models: /v1/models (with LM Studio v1 API support)
   // ---------------------------------------------------------------------------
 
+  /**
+   * 接続先1件のモデル一覧を取得する（接続状態も更新）
+   * - LM Studio v1 API: 全ダウンロード済みモデルを取得（loaded/not-loaded 状態付き）
+   * - v1.9.0: Ollama / llama.cpp server: 各サーバー固有のAPIから詳細付きで取得
+   * - いずれも利用不可の場合: 従来の /v1/models を使用（ロード済みモデルのみ）
+   * @param {ConnectionProfile} conn
+   * @returns {Promise<BackendModel[]>}
+   */
+  async function fetchConnectionModels(conn) {
+    const started = performance.now();
+    try {
+      const backend = await detectBackend(conn);
+      const models = await PROVIDERS[backend].listModels(conn);
+
+      runtime.connectionStatus.set(conn.id, {
+        ok: true,
+        backend,
+        latencyMs: Math.round(performance.now() - started),
+        error: "",
+        checkedAt: Date.now(),
+      });
+      return models;
+    } catch (e) {
+      runtime.connectionStatus.set(conn.id, {
+        ok: false,
+        backend: null,
+        latencyMs: null,
+        error: isLikelyServerOffline(e) ? "接続できません" : `モデル一覧を取得できません (${e?.message || e})`,
+        checkedAt: Date.now(),
+      });
+      throw e;
+    }
+  }
+
   /**
    * モデル一覧を取得して <select> を更新する
-   * - LM Studio v1 API が利用可能な場合: 全ダウンロード済みモデルを取得（loaded/not-loaded 状態付き）
-   * - 利用不可の場合: 従来の /v1/models を使用（ロード済みモデルのみ）
+   * - v1.9.0: 有効な全接続先から並列に取得し、到達できたサーバーのモデルをまとめる
+   * - 同じモデルIDが複数のサーバーにある場合は提供元をすべて記録（送信時に応答中のサーバーを選ぶ）
    * - "embedding系" を除外
    * - 以前の選択 / fallback を考慮して選択を決定
    */
   async function refreshModels() {
     runtime.availableModels.clear();
     runtime.modelDetails.clear();
-
-    const base = trimTrailingSlashes(settings.baseUrl || el.baseUrl.value.trim());
-    const key = settings.apiKey || el.apiKey?.value?.trim() || DEFAULT_SETTINGS.apiKey;
+    runtime.modelOrigins.clear();
+    tokenizer.endpointSupport.clear();  // v1.9.0: 接続先が変わった可能性があるため再判定
+    jsonSchemaSupport.clear();
 
     // UI: Loading...
     el.modelSelect.innerHTML = "<option>Loading...</option>";
 
     try {
-      // v1.7.0: LM Studio v1 API が利用可能かチェック
-      runtime.lmstudioV1Available = await checkLmstudioV1Api();
-
-      let list = [];
-
-      if (runtime.lmstudioV1Available) {
-        // v1 API で全ダウンロード済みモデルを取得
-        const allModels = await fetchAllModelsV1();
-
-        for (const model of allModels) {
+      const connections = getConnections();
+      const results = await Promise.all(connections.map(conn =>
+        fetchConnectionModels(conn).then(models => ({ conn, models, error: null }), error => ({ conn, models: [], error }))
+      ));
+      renderConnectionStatus();
+      // すべてのサーバーに接続できない場合のみエラー扱い
+      if (results.every(r => r.error)) throw results[0].error;
+
+      const list = [];
+      for (const { conn, models } of results) {
+        for (const model of models) {
           const lower = String(model.id).toLowerCase();
           // 埋め込みモデルを除外
           if (EMBEDDING_KEYWORDS.some(k => lower.includes(k))) continue;
 
+          const origins = runtime.modelOrigins.get(model.id) || [];
+          origins.push(conn.id);
+          runtime.modelOrigins.set(model.id, origins);
+          // 詳細は先に見つかったサーバー（既定の接続先が優先）のものを使う
+          if (runtime.modelDetails.has(model.id)) continue;
+
           list.push(model.id);
           runtime.modelDetails.set(model.id, {
             state: model.state || MODEL_STATE.NOT_LOADED,
@@ -2721,27 +7059,8 @@ ${manual}
           });
           runtime.availableModels.add(model.id);
         }
-      } else {
-        // フォールバック: 従来の /v1/models を使用
-        const r = await fetch(`${base}/models`, {
-          headers: { Authorization: `Bearer ${key}` },
-        });
-        if (!r.ok) throw new Error(String(r.status));
-
-        const data = await r.json();
-        const allModels = (data.data || []).map(m => m.id);
-
-        list = allModels.filter(id => {
-          const lower = String(id).toLowerCase();
-          return !EMBEDDING_KEYWORDS.some(k => lower.includes(k));
-        });
-
-        // レガシーモードでは全てロード済みとして扱う
-        for (const id of list) {
-          runtime.modelDetails.set(id, { state: MODEL_STATE.LOADED, quantization: null, max_context_length: null });
-          runtime.availableModels.add(id);
-        }
       }
+      const showOrigin = connections.length > 1;
 
       // v1.8.0: モデル表示フィルターを適用
       const visibleList = getVisibleModels(list);
@@ -2767,6 +7086,11 @@ ${manual}
         if (details?.quantization) {
           label += ` (${details.quantization})`;
         }
+        // v1.9.0: 複数の接続先がある場合は提供元のサーバー名を付ける
+        if (showOrigin) {
+          const origins = (runtime.modelOrigins.get(id) || []).map(cid => getConnectionById(cid)?.name || cid);
+          label += ` @${origins.join(", ")}`;
+        }
 
         opt.textContent = label;
         el.modelSelect.appendChild(opt);
@@ -2806,6 +7130,652 @@ ${manual}
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Tool Calling（関数呼び出し）
+  //   ツールは JSON Schema とローカルの JS ハンドラーの組で登録し、/chat/completions の tools に送る
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @typedef {Object} ToolContext
+   * @property {AbortSignal=} signal
+   * @property {Array<{name: string, text: string}>=} attachments - 送信中のユーザーメッセージに添付されたテキスト/PDF
+   */
+  /**
+   * @typedef {Object} ToolDefinition
+   * @property {string} name - 関数名（英数字と _ のみ）
+   * @property {string} label - UI表示名
+   * @property {string} description - モデルに渡す説明
+   * @property {Object} parameters - 引数の JSON Schema
+   * @property {(args: Object, ctx: ToolContext) => any} handler - 戻り値は文字列またはJSON化可能な値（Promise可）
+   */
+  /**
+   * @typedef {Object} ToolCallRecord - 実行したツール呼び出し（表示・履歴保存用）
+   * @property {string} name
+   * @property {string} arguments - モデルが送った引数（JSON文字列）
+   * @property {string=} result - 未実行の間は undefined
+   * @property {boolean=} error
+   */
+
+  /** @type {Map<string, ToolDefinition>} */
+  const toolRegistry = new Map();
+
+  /**
+   * ツールを登録する（同名のツールは置き換え）
+   * @param {ToolDefinition} def
+   */
+  function registerTool(def) {
+    toolRegistry.set(def.name, Object.freeze(def));
+  }
+
+  /**
+   * リクエストに含める tools（OpenAI形式）。ツール呼び出しが無効なら空配列
+   * @returns {Array<{type:"function", function:{name:string, description:string, parameters:Object}}>}
+   */
+  function getToolsForRequest() {
+    if (!settings.enableTools || helpMode) return [];
+    return Array.from(toolRegistry.values()).map(t => ({
+      type: "function",
+      function: { name: t.name, description: t.description, parameters: t.parameters },
+    }));
+  }
+
+  /**
+   * ツール呼び出しを1件実行する（失敗しても例外は投げず、エラー内容を結果としてモデルに返す）
+   * @param {{function:{name:string, arguments:string}}} call
+   * @param {ToolContext} ctx
+   * @returns {Promise<ToolCallRecord>}
+   */
+  async function runToolCall(call, ctx) {
+    const name = call.function?.name || "";
+    const rawArgs = call.function?.arguments || "";
+    const tool = toolRegistry.get(name);
+    if (!tool) {
+      return { name, arguments: rawArgs, result: `Error: unknown tool "${name}"`, error: true };
+    }
+
+    let args;
+    try {
+      args = rawArgs.trim() ? JSON.parse(rawArgs) : {};
+    } catch {
+      return { name, arguments: rawArgs, result: "Error: arguments must be a valid JSON object", error: true };
+    }
+
+    try {
+      const out = await tool.handler(args, ctx);
+      return { name, arguments: rawArgs, result: typeof out === "string" ? out : JSON.stringify(out) };
+    } catch (e) {
+      return { name, arguments: rawArgs, result: `Error: ${e?.message || e}`, error: true };
+    }
+  }
+
+  /**
+   * ツール呼び出しの折りたたみ表示HTML（renderThinkingHtml と同じ details 形式）
+   * @param {ToolCallRecord[]|undefined} calls
+   * @returns {string}
+   */
+  function renderToolCallsHtml(calls) {
+    if (!calls || calls.length === 0) return "";
+    return calls.map(c => {
+      const label = toolRegistry.get(c.name)?.label || c.name;
+      const pending = c.result === undefined;
+      const status = pending ? "実行中…" : (c.error ? "⚠️ エラー" : "");
+      let args = c.arguments;
+      const parsed = safeJSONParse(c.arguments, null);
+      if (parsed && typeof parsed === "object") args = JSON.stringify(parsed, null, 2);
+      return '<details class="tool-call-block' + (c.error ? " tool-call-error" : "") + '">'
+        + '<summary class="tool-call-summary">🛠 ' + escapeHtml(label) + (status ? ` <span class="tool-call-status">${status}</span>` : "") + "</summary>"
+        + '<div class="tool-call-content">'
+        + '<div class="tool-call-label">引数</div><pre>' + escapeHtml(args || "{}") + "</pre>"
+        + (pending ? "" : '<div class="tool-call-label">結果</div><pre>' + escapeHtml(c.result) + "</pre>")
+        + "</div></details>";
+    }).join("");
+  }
+
+  /**
+   * 設定パネルに登録済みツールの一覧を表示する
+   */
+  function renderToolList() {
+    if (!el.toolList) return;
+    el.toolList.textContent = "利用可能なツール: " + Array.from(toolRegistry.values()).map(t => t.label).join("、");
+  }
+
+  registerTool({
+    name: "get_current_datetime",
+    label: "現在日時",
+    description: "Returns the current local date and time of the user's device (ISO 8601, weekday and time zone).",
+    parameters: { type: "object", properties: {}, additionalProperties: false },
+    handler: () => {
+      const now = new Date();
+      return {
+        iso: now.toISOString(),
+        local: now.toLocaleString("ja-JP"),
+        weekday: now.toLocaleDateString("en-US", { weekday: "long" }),
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      };
+    },
+  });
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Built-in Tools（計算・単位換算・日付計算・添付ファイル検索）
+  //   すべてブラウザ内で完結し、ネットワークを使わない
+  // ---------------------------------------------------------------------------
+
+  /**
+   * ツール有効時にシステムプロンプトへ追加する指示
+   * @returns {string}
+   */
+  function getToolUseInstruction() {
+    if (getToolsForRequest().length === 0) return "";
+    return "\n\n【ツール】数値計算・単位換算・日付計算は暗算せず、必ずツールを使って求めてください。添付ファイルの内容を確認するときは添付ファイル検索ツールを使えます。";
+  }
+
+  /** 計算結果の有効桁数（浮動小数点の誤差 0.1+0.2=0.30000000000000004 等を丸める） */
+  const CALC_SIGNIFICANT_DIGITS = 12;
+
+  /**
+   * @param {number} x
+   * @returns {number}
+   */
+  function roundSignificant(x) {
+    return Number.isFinite(x) ? Number(x.toPrecision(CALC_SIGNIFICANT_DIGITS)) : x;
+  }
+
+  /**
+   * 標準正規分布の累積分布関数（Numerical Recipes の erfcc 近似、相対誤差 < 1.2e-7）
+   * @param {number} z
+   * @returns {number}
+   */
+  function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.5 * x);
+    const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418
+      + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587
+      + t * (-0.82215223 + t * 0.17087277)))))))));
+    return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+  }
+
+  /**
+   * 標準正規分布の分位点（P. J. Acklam のアルゴリズム、相対誤差 < 1.15e-9）
+   * @param {number} p - 0 < p < 1
+   * @returns {number}
+   */
+  function normalQuantile(p) {
+    if (!(p > 0 && p < 1)) throw new Error("qnorm: p must be between 0 and 1");
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const pLow = 0.02425;
+    if (p < pLow) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+      const q = Math.sqrt(-2 * Math.log(1 - p));
+      return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  /** @param {number} n */
+  function factorial(n) {
+    if (!Number.isInteger(n) || n < 0) throw new Error("factorial: n must be a non-negative integer");
+    if (n > 170) return Infinity;
+    let r = 1;
+    for (let i = 2; i <= n; i++) r *= i;
+    return r;
+  }
+
+  /** @param {number} n @param {number} k */
+  function combinations(n, k) {
+    if (!Number.isInteger(n) || !Number.isInteger(k) || k < 0 || n < 0) throw new Error("comb: n and k must be non-negative integers");
+    if (k > n) return 0;
+    k = Math.min(k, n - k);
+    let r = 1;
+    for (let i = 1; i <= k; i++) r = r * (n - k + i) / i;
+    return Math.round(r);
+  }
+
+  /** 電卓で使える関数（引数の個数チェックは各関数で行う） */
+  const CALC_FUNCTIONS = Object.freeze({
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, exp: Math.exp,
+    ln: Math.log, log10: Math.log10, log2: Math.log2,
+    // log(x) は Excel と同じく常用対数、log(x, b) は底 b
+    log: (x, b) => (b === undefined ? Math.log10(x) : Math.log(x) / Math.log(b)),
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    floor: Math.floor, ceil: Math.ceil,
+    round: (x, digits = 0) => { const f = 10 ** digits; return Math.round(x * f) / f; },
+    min: (...xs) => Math.min(...xs),
+    max: (...xs) => Math.max(...xs),
+    sum: (...xs) => xs.reduce((a, b) => a + b, 0),
+    mean: (...xs) => xs.reduce((a, b) => a + b, 0) / xs.length,
+    sd: (...xs) => {
+      if (xs.length < 2) throw new Error("sd: at least 2 values are required");
+      const m = xs.reduce((a, b) => a + b, 0) / xs.length;
+      return Math.sqrt(xs.reduce((a, b) => a + (b - m) ** 2, 0) / (xs.length - 1));
+    },
+    fact: factorial,
+    comb: combinations,
+    perm: (n, k) => combinations(n, k) * factorial(k),
+    pnorm: normalCdf,
+    qnorm: normalQuantile,
+  });
+
+  const CALC_CONSTANTS = Object.freeze({ pi: Math.PI, e: Math.E });
+
+  /**
+   * 数式を安全に評価する（eval を使わない再帰下降パーサー）
+   * 演算子: + - * / % ^（** も可） !（階乗）、括弧、CALC_FUNCTIONS の関数、定数 pi / e
+   * @param {string} expression
+   * @returns {number}
+   */
+  function evaluateExpression(expression) {
+    const src = String(expression || "")
+      .normalize("NFKC")
+      .replace(/[×✕]/g, "*")
+      .replace(/÷/g, "/")
+      .replace(/[−–]/g, "-")
+      .replace(/\*\*/g, "^");
+    const tokens = src.match(/\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[a-z_][a-z0-9_]*|[-+*/%^!(),]|\S/gi) || [];
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (t) => {
+      if (next() !== t) throw new Error(`"${t}" が必要です`);
+    };
+
+    const parseExpr = () => {
+      let v = parseTerm();
+      while (peek() === "+" || peek() === "-") {
+        v = next() === "+" ? v + parseTerm() : v - parseTerm();
+      }
+      return v;
+    };
+    const parseTerm = () => {
+      let v = parseUnary();
+      while (peek() === "*" || peek() === "/" || peek() === "%") {
+        const op = next();
+        const rhs = parseUnary();
+        v = op === "*" ? v * rhs : op === "/" ? v / rhs : v % rhs;
+      }
+      return v;
+    };
+    const parseUnary = () => {
+      if (peek() === "-") { next(); return -parseUnary(); }
+      if (peek() === "+") { next(); return parseUnary(); }
+      return parsePower();
+    };
+    const parsePower = () => {
+      const base = parsePostfix();
+      if (peek() === "^") {
+        next();
+        return base ** parseUnary();  // 右結合
+      }
+      return base;
+    };
+    const parsePostfix = () => {
+      let v = parsePrimary();
+      while (peek() === "!") {
+        next();
+        v = factorial(v);
+      }
+      return v;
+    };
+    const parsePrimary = () => {
+      const t = next();
+      if (t === undefined) throw new Error("式が途中で終わっています");
+      if (t === "(") {
+        const v = parseExpr();
+        expect(")");
+        return v;
+      }
+      if (/^[\d.]/.test(t)) return parseFloat(t);
+      const name = t.toLowerCase();
+      if (/^[a-z_]/.test(name)) {
+        if (peek() === "(") {
+          const fn = CALC_FUNCTIONS[name];
+          if (!fn) throw new Error(`未対応の関数: ${t}`);
+          next();
+          const args = [];
+          if (peek() !== ")") {
+            args.push(parseExpr());
+            while (peek() === ",") { next(); args.push(parseExpr()); }
+          }
+          expect(")");
+          return fn(...args);
+        }
+        if (name in CALC_CONSTANTS) return CALC_CONSTANTS[name];
+        throw new Error(`未対応の名前: ${t}`);
+      }
+      throw new Error(`解釈できない記号: ${t}`);
+    };
+
+    const value = parseExpr();
+    if (pos < tokens.length) throw new Error(`解釈できない記号: ${tokens[pos]}`);
+    // NaN・無限大はモデルに null として返ると数値を補われるおそれがあるため、エラーとして返す
+    if (Number.isNaN(value)) throw new Error("計算結果が数値になりません（定義域外の可能性）");
+    if (!Number.isFinite(value)) throw new Error("計算結果が有限の数になりません（0での除算・桁あふれの可能性）");
+    return value;
+  }
+
+  /**
+   * 単位の定義（factor: SI基準単位への倍率、offset: 温度の原点のずれ）
+   * 吸収線量(Gy)と等価線量(Sv)は放射線加重係数が必要なため別の次元として扱う
+   */
+  const UNIT_DEFINITIONS = (() => {
+    /** @type {Record<string, {dim: string, factor: number, offset?: number}>} */
+    const u = {};
+    const def = (dim, entries) => {
+      for (const [names, factor, offset] of entries) {
+        for (const n of names.split("|")) u[n] = offset === undefined ? { dim, factor } : { dim, factor, offset };
+      }
+    };
+    def("length", [["m", 1], ["km", 1e3], ["cm", 1e-2], ["mm", 1e-3], ["um", 1e-6], ["nm", 1e-9], ["in|inch", 0.0254], ["ft", 0.3048], ["mi|mile", 1609.344]]);
+    def("mass", [["kg", 1], ["g", 1e-3], ["mg", 1e-6], ["ug|mcg", 1e-9], ["ng", 1e-12], ["lb", 0.45359237], ["oz", 0.028349523125]]);
+    def("volume", [["L|l", 1], ["dL|dl", 0.1], ["mL|ml|cc", 1e-3], ["uL|ul", 1e-6], ["m3", 1e3], ["gal", 3.785411784], ["floz", 0.0295735295625]]);
+    def("time", [["s|sec", 1], ["ms", 1e-3], ["min", 60], ["h|hr", 3600], ["d|day", 86400], ["wk|week", 604800], ["y|yr|year", 31557600]]);
+    def("temperature", [["K", 1, 0], ["C|degC", 1, 273.15], ["F|degF", 5 / 9, 273.15 - 32 * 5 / 9]]);
+    def("pressure", [["Pa", 1], ["kPa", 1e3], ["hPa", 100], ["mmHg|Torr|torr", 133.322387415], ["cmH2O", 98.0665], ["atm", 101325], ["bar", 1e5], ["psi", 6894.757293168]]);
+    def("energy", [["J", 1], ["kJ", 1e3], ["cal", 4.184], ["kcal", 4184], ["eV", 1.602176634e-19], ["keV", 1.602176634e-16], ["MeV", 1.602176634e-13]]);
+    def("absorbed_dose", [["Gy", 1], ["mGy", 1e-3], ["cGy", 1e-2], ["uGy", 1e-6], ["rad", 1e-2], ["mrad", 1e-5]]);
+    def("equivalent_dose", [["Sv", 1], ["mSv", 1e-3], ["uSv", 1e-6], ["rem", 1e-2], ["mrem", 1e-5]]);
+    def("activity", [["Bq", 1], ["kBq", 1e3], ["MBq", 1e6], ["GBq", 1e9], ["Ci", 3.7e10], ["mCi", 3.7e7], ["uCi", 3.7e4]]);
+    def("exposure", [["C/kg", 1], ["R", 2.58e-4], ["mR", 2.58e-7]]);
+    def("mass_concentration", [["g/L", 1], ["g/dL", 10], ["mg/dL", 1e-2], ["mg/L|ug/mL", 1e-3], ["mg/mL", 1], ["ug/dL", 1e-5], ["ug/L|ng/mL", 1e-6], ["ng/dL", 1e-8]]);
+    def("molar_concentration", [["mol/L|M", 1], ["mmol/L|mM", 1e-3], ["umol/L|uM", 1e-6], ["nmol/L|nM", 1e-9]]);
+    return Object.freeze(u);
+  })();
+
+  /** 質量濃度 ⇔ モル濃度の換算に使うモル質量 (g/mol) */
+  const MOLAR_MASSES = Object.freeze({
+    glucose: 180.156,
+    cholesterol: 386.654,
+    triglycerides: 885.7,
+    creatinine: 113.12,
+    urea: 60.06,
+    bun: 28.014,        // 尿素窒素（N2として）
+    uric_acid: 168.11,
+    bilirubin: 584.66,
+    calcium: 40.078,
+    magnesium: 24.305,
+    phosphate: 30.974,  // 無機リン（Pとして）
+    iron: 55.845,
+  });
+
+  /**
+   * 単位記号を UNIT_DEFINITIONS のキーに正規化する（µ/μ → u、°C → C、大文字小文字の揺れを許容）
+   * @param {string} unit
+   * @returns {string|null}
+   */
+  function resolveUnit(unit) {
+    const key = String(unit || "").normalize("NFKC").replace(/[μµ]/g, "u").replace(/°/g, "").replace(/\s+/g, "");
+    if (UNIT_DEFINITIONS[key]) return key;
+    const matches = Object.keys(UNIT_DEFINITIONS).filter(k => k.toLowerCase() === key.toLowerCase());
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * 単位を換算する
+   * @param {number} value
+   * @param {string} from
+   * @param {string} to
+   * @param {{substance?: string, molarMass?: number}} [opts] - 質量濃度⇔モル濃度の換算用
+   * @returns {{value: number, from: string, to: string, note?: string}}
+   */
+  function convertUnits(value, from, to, opts = {}) {
+    if (typeof value !== "number" || !Number.isFinite(value)) throw new Error("value must be a finite number");
+    const fromKey = resolveUnit(from);
+    const toKey = resolveUnit(to);
+    if (!fromKey) throw new Error(`unknown unit: ${from}`);
+    if (!toKey) throw new Error(`unknown unit: ${to}`);
+    const f = UNIT_DEFINITIONS[fromKey];
+    const t = UNIT_DEFINITIONS[toKey];
+
+    // SI基準単位へ
+    let base = value * f.factor + (f.offset || 0);
+    let note;
+
+    if (f.dim !== t.dim) {
+      const pair = new Set([f.dim, t.dim]);
+      if (!(pair.has("mass_concentration") && pair.has("molar_concentration"))) {
+        throw new Error(`cannot convert ${f.dim} (${from}) to ${t.dim} (${to})`);
+      }
+      const substance = String(opts.substance || "").toLowerCase().replace(/[\s-]+/g, "_");
+      const molarMass = opts.molarMass || MOLAR_MASSES[substance];
+      if (!molarMass) {
+        throw new Error(`molar_mass (g/mol) or a known substance is required (${Object.keys(MOLAR_MASSES).join(", ")})`);
+      }
+      // g/L ⇔ mol/L
+      base = f.dim === "mass_concentration" ? base / molarMass : base * molarMass;
+      note = `molar mass ${molarMass} g/mol`;
+    }
+
+    const converted = (base - (t.offset || 0)) / t.factor;
+    return { value: roundSignificant(converted), from: fromKey, to: toKey, ...(note ? { note } : {}) };
+  }
+
+  /**
+   * "YYYY-MM-DD"（または "today"）を UTC 0時の Date に変換する（タイムゾーン・夏時間の影響を避ける）
+   * @param {string} s
+   * @returns {Date}
+   */
+  function parseDateOnly(s) {
+    if (!s || s === "today") {
+      const now = new Date();
+      return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+    }
+    const m = String(s).normalize("NFKC").trim().match(/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?$/);
+    if (!m) throw new Error(`invalid date (use YYYY-MM-DD): ${s}`);
+    const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    if (d.getUTCMonth() !== Number(m[2]) - 1) throw new Error(`invalid date: ${s}`);
+    return d;
+  }
+
+  /** @param {Date} d */
+  function formatDateOnly(d) {
+    return d.toISOString().slice(0, 10);
+  }
+
+  /**
+   * 月単位の加算（月末を超える場合はその月の末日に丸める: 1/31 + 1か月 = 2/28 or 2/29）
+   * @param {Date} d
+   * @param {number} months
+   * @returns {Date}
+   */
+  function addMonthsClamped(d, months) {
+    const y = d.getUTCFullYear();
+    const m = d.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(y, m, Math.min(d.getUTCDate(), lastDay)));
+  }
+
+  /**
+   * 日付の情報（曜日・年内の通算日・ISO週番号）
+   * @param {Date} d
+   */
+  function describeDate(d) {
+    const weekdays = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+    const startOfYear = Date.UTC(d.getUTCFullYear(), 0, 1);
+    const dayOfYear = Math.round((d.getTime() - startOfYear) / 86400000) + 1;
+    // ISO 8601 週番号: その週の木曜日が属する年で数える
+    const thursday = new Date(d.getTime() + (3 - ((d.getUTCDay() + 6) % 7)) * 86400000);
+    const isoWeek = Math.floor((thursday.getTime() - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / (7 * 86400000)) + 1;
+    return { date: formatDateOnly(d), weekday: weekdays[d.getUTCDay()], dayOfYear, isoWeek };
+  }
+
+  /**
+   * 日付計算（加算・差分・情報）
+   * @param {{operation: "add"|"diff"|"info", date?: string, end_date?: string, years?: number, months?: number, weeks?: number, days?: number}} args
+   * @returns {Object}
+   */
+  function calculateDate(args) {
+    const start = parseDateOnly(args.date || "today");
+
+    if (args.operation === "add") {
+      let d = addMonthsClamped(start, (Number(args.years) || 0) * 12 + (Number(args.months) || 0));
+      d = new Date(d.getTime() + ((Number(args.weeks) || 0) * 7 + (Number(args.days) || 0)) * 86400000);
+      return describeDate(d);
+    }
+
+    if (args.operation === "diff") {
+      const end = parseDateOnly(args.end_date || "today");
+      const sign = end >= start ? 1 : -1;
+      const [a, b] = sign > 0 ? [start, end] : [end, start];
+      const totalDays = Math.round((b.getTime() - a.getTime()) / 86400000);
+
+      // 暦の上での 年・月・日
+      let months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+      if (addMonthsClamped(a, months) > b) months--;
+      const restDays = Math.round((b.getTime() - addMonthsClamped(a, months).getTime()) / 86400000);
+
+      return {
+        from: formatDateOnly(start),
+        to: formatDateOnly(end),
+        days: sign * totalDays,
+        weeks: { weeks: sign * Math.floor(totalDays / 7), days: sign * (totalDays % 7) },
+        calendar: { years: sign * Math.floor(months / 12), months: sign * (months % 12), days: sign * restDays },
+      };
+    }
+
+    if (args.operation === "info") return describeDate(start);
+    throw new Error(`unknown operation: ${args.operation}`);
+  }
+
+  /** 添付ファイル検索で1件として返す行数 */
+  const ATTACHMENT_SEARCH_WINDOW_LINES = 6;
+
+  /**
+   * 添付ファイルのテキストをキーワードで検索し、行番号付きの抜粋を返す
+   * 文字2-gram（全セッション検索と同じ正規化）の一致数でランキングする
+   * @param {Array<{name: string, text: string}>} files
+   * @param {string} query
+   * @param {number} [maxResults=5]
+   * @returns {Object}
+   */
+  function searchAttachmentTexts(files, query, maxResults = 5) {
+    if (files.length === 0) return { error: "No text attachments in the current message." };
+    const listing = files.map(f => ({ file: f.name, lines: f.text.split("\n").length, chars: f.text.length }));
+    const normQuery = normalizeForSearch(query).trim();
+    if (!normQuery) return { files: listing };
+
+    const terms = normQuery.split(/\s+/);
+    const queryGrams = charBigrams(normQuery);
+    const hits = [];
+    for (const f of files) {
+      const lines = f.text.split("\n");
+      // 半分ずつ重ねた窓で走査（窓が末尾に達したら終了）
+      for (let start = 0; start < lines.length; start += Math.ceil(ATTACHMENT_SEARCH_WINDOW_LINES / 2)) {
+        const window = lines.slice(start, start + ATTACHMENT_SEARCH_WINDOW_LINES).join("\n");
+        const norm = normalizeForSearch(window);
+        let score = 0;
+        for (const term of terms) if (norm.includes(term)) score += 10;
+        if (queryGrams.size > 0) {
+          const grams = charBigrams(norm);
+          let common = 0;
+          for (const g of queryGrams) if (grams.has(g)) common++;
+          score += (common / queryGrams.size) * 5;
+        }
+        const end = Math.min(lines.length, start + ATTACHMENT_SEARCH_WINDOW_LINES);
+        if (score > 2.5) hits.push({ file: f.name, start: start + 1, end, score, text: window });
+        if (end >= lines.length) break;
+      }
+    }
+
+    // スコア順に、既に選んだ抜粋と重なる窓を除いて選ぶ
+    hits.sort((a, b) => b.score - a.score);
+    const limit = Math.min(Math.max(1, Number(maxResults) || 5), 20);
+    const picked = [];
+    for (const h of hits) {
+      if (picked.length >= limit) break;
+      if (picked.some(p => p.file === h.file && p.start <= h.end && h.start <= p.end)) continue;
+      picked.push(h);
+    }
+    return {
+      files: listing,
+      results: picked.map(h => ({ file: h.file, lines: `${h.start}-${h.end}`, text: h.text })),
+    };
+  }
+
+  registerTool({
+    name: "calculate",
+    label: "電卓",
+    description: "Evaluates an arithmetic expression precisely (double-precision, rounded to 12 significant digits; use instead of mental math). Operators: + - * / % ^ ! and parentheses. "
+      + "Functions: sqrt, cbrt, abs, exp, ln, log10, log2, log(x) (=log10), log(x, base), sin, cos, tan, asin, acos, atan (radians), "
+      + "round(x, digits), floor, ceil, min, max, sum, mean, sd (sample SD), fact, comb(n,k), perm(n,k), "
+      + "pnorm(z) (standard normal CDF), qnorm(p) (standard normal quantile, e.g. qnorm(0.975)=1.96). Constants: pi, e.",
+    parameters: {
+      type: "object",
+      properties: {
+        expression: { type: "string", description: "e.g. \"2*(qnorm(0.975)+qnorm(0.8))^2*10^2/5^2\"" },
+      },
+      required: ["expression"],
+    },
+    handler: (args) => ({ expression: args.expression, result: roundSignificant(evaluateExpression(args.expression)) }),
+  });
+
+  registerTool({
+    name: "convert_units",
+    label: "単位換算",
+    description: "Converts a value between units. Supports length, mass, volume, time, temperature (C/F/K), pressure (mmHg, cmH2O, kPa), "
+      + "energy (J, kcal, keV, MeV), absorbed dose (Gy, mGy, cGy, rad), equivalent dose (Sv, mSv, rem), activity (Bq, MBq, GBq, Ci, mCi), "
+      + "exposure (C/kg, R), mass concentration (mg/dL, g/L, ug/mL, ng/mL) and molar concentration (mmol/L, umol/L). "
+      + "Mass <-> molar concentration needs `substance` or `molar_mass`. Gy and Sv cannot be converted into each other.",
+    parameters: {
+      type: "object",
+      properties: {
+        value: { type: "number" },
+        from: { type: "string", description: "source unit, e.g. \"mCi\"" },
+        to: { type: "string", description: "target unit, e.g. \"MBq\"" },
+        substance: { type: "string", enum: Object.keys(MOLAR_MASSES) },
+        molar_mass: { type: "number", description: "g/mol, for substances not in the list" },
+      },
+      required: ["value", "from", "to"],
+    },
+    handler: (args) => convertUnits(Number(args.value), args.from, args.to, { substance: args.substance, molarMass: Number(args.molar_mass) || undefined }),
+  });
+
+  registerTool({
+    name: "date_calc",
+    label: "日付計算",
+    description: "Date arithmetic on calendar dates (YYYY-MM-DD, or \"today\"). "
+      + "operation=add: date + years/months/weeks/days (negative to subtract; month ends are clamped). "
+      + "operation=diff: interval from date to end_date in days, weeks+days and calendar years/months/days. "
+      + "operation=info: weekday, day of year and ISO week number.",
+    parameters: {
+      type: "object",
+      properties: {
+        operation: { type: "string", enum: ["add", "diff", "info"] },
+        date: { type: "string", description: "start date, YYYY-MM-DD or \"today\"" },
+        end_date: { type: "string", description: "for diff" },
+        years: { type: "number" },
+        months: { type: "number" },
+        weeks: { type: "number" },
+        days: { type: "number" },
+      },
+      required: ["operation"],
+    },
+    handler: (args) => calculateDate(args),
+  });
+
+  registerTool({
+    name: "search_attachments",
+    label: "添付ファイル検索",
+    description: "Searches the text files/PDFs attached to the current user message and returns matching excerpts with line numbers. "
+      + "Call with an empty query to list the attached files.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "keywords separated by spaces" },
+        max_results: { type: "integer", minimum: 1, maximum: 20 },
+      },
+      required: ["query"],
+    },
+    handler: (args, ctx) => searchAttachmentTexts(ctx.attachments || [], args.query || "", args.max_results),
+  });
+
   // ---------------------------------------------------------------------------
   // Send / streaming
   // ---------------------------------------------------------------------------
@@ -2818,69 +7788,141 @@ ${manual}
     return runtime.availableModels.size > 0 && runtime.availableModels.has(modelId);
   }
 
+  /**
+   * 添付ファイル1件を API 送信用テキストのブロックに変換する
+   * @param {{name: string, data: string}} f
+   * @returns {string}
+   */
+  function formatAttachmentBlock(f) {
+    const isPDF = f.name.toLowerCase().endsWith(".pdf");
+    const label = isPDF ? `📄 **添付PDF: ${f.name}**` : `📄 **添付ファイル: ${f.name}**`;
+    return `\n\n---\n${label}\n\`\`\`\n${f.data}\n\`\`\``;
+  }
+
+  /**
+   * API 送信用テキストに埋め込まれた添付ファイルを取り出す（formatAttachmentBlock の逆変換、v1.9.0）
+   * 再生成時も履歴のユーザーメッセージから同じ内容を復元できる
+   * @param {string} text
+   * @returns {Array<{name: string, text: string}>}
+   */
+  function parseAttachmentBlocks(text) {
+    const files = [];
+    const re = /\n---\n📄 \*\*添付(?:PDF|ファイル): (.+?)\*\*\n```\n([\s\S]*?)\n```(?=\n\n---\n📄 \*\*添付|(?: \/no_think)?\s*$)/g;
+    let m;
+    while ((m = re.exec(text || "")) !== null) files.push({ name: m[1], text: m[2] });
+    return files;
+  }
+
   /**
    * 添付ファイル（複数対応）をユーザー入力に「表示/送信用」に反映する
    * @param {string} text
-   * @returns {{textForApi:string, displayText:string, imageAttachments:AttachmentItem[]}}
+   * @param {AttachmentItem[]} [items=attachments] - 反映する添付（v1.9.0）
+   * @returns {{textForApi:string, displayText:string, imageAttachments:AttachmentItem[], attachmentNames:string[]}} attachmentNames: 全添付のファイル名（画像を含む。履歴に保存）
    */
-  function injectAttachmentsIntoText(text) {
+  function injectAttachmentsIntoText(text, items = attachments) {
     let textForApi = text;
     let displayText = text;
 
     // 画像添付を分離（Vision API用）
-    const imageAttachments = attachments.filter(a => a.type === "image");
-    const fileAttachments = attachments.filter(a => a.type === "file");
+    const imageAttachments = items.filter(a => a.type === "image");
+    const fileAttachments = items.filter(a => a.type === "file");
 
     if (fileAttachments.length === 0 && imageAttachments.length === 0) {
-      return { textForApi, displayText, imageAttachments };
+      return { textForApi, displayText, imageAttachments, attachmentNames: [] };
     }
 
     // ファイル添付をテキストに追加
     if (fileAttachments.length > 0) {
-      const fileContents = fileAttachments.map(f => {
-        const isPDF = f.name.toLowerCase().endsWith(".pdf");
-        const label = isPDF ? `📄 **添付PDF: ${f.name}**` : `📄 **添付ファイル: ${f.name}**`;
-        return `\n\n---\n${label}\n\`\`\`\n${f.data}\n\`\`\``;
-      }).join("");
+      const fileContents = fileAttachments.map(formatAttachmentBlock).join("");
 
       textForApi = textForApi ? (textForApi + fileContents) : `添付ファイルの内容:${fileContents}`;
     }
 
     // 表示用テキスト
-    const allNames = attachments.map(a => a.name);
+    const allNames = items.map(a => a.name);
     if (allNames.length > 0) {
       const attachText = `📎 添付: ${allNames.join(", ")}`;
       displayText = text ? `${text}\n\n${attachText}` : attachText;
     }
 
-    return { textForApi, displayText, imageAttachments };
+    return { textForApi, displayText, imageAttachments, attachmentNames: allNames };
+  }
+
+  /**
+   * ストリーミングで分割された tool_calls の断片を index ごとに結合する（v1.9.0）
+   * index を送らないサーバー（1チャンクで完結した呼び出しを返す）では到着順に追加する
+   * @param {Array<{id:string, type:string, function:{name:string, arguments:string}}>} acc
+   * @param {Array<Object>} deltas - choices[0].delta.tool_calls
+   */
+  function mergeToolCallDeltas(acc, deltas) {
+    for (const d of deltas) {
+      const idx = typeof d.index === "number" ? d.index : acc.length;
+      const cur = acc[idx] || (acc[idx] = { id: "", type: "function", function: { name: "", arguments: "" } });
+      if (d.id) cur.id = d.id;
+      if (d.function?.name) cur.function.name += d.function.name;
+      if (d.function?.arguments) {
+        // 引数をオブジェクトで返すサーバーもあるため文字列に揃える
+        cur.function.arguments += typeof d.function.arguments === "string"
+          ? d.function.arguments
+          : JSON.stringify(d.function.arguments);
+      }
+    }
   }
 
+  /**
+   * @typedef {Object} StreamResult - 1回のストリームの結果（v1.9.0）
+   *   runtime.lastUsage / lastFinishReason は最後に終わったストリームの値で上書きされるため、
+   *   比較モードのように並列で受信する場合はこちらを使う
+   * @property {Object|null} usage - usage情報（送信しないサーバーでは null）
+   * @property {string|null} finishReason - "stop" / "length" / "tool_calls" など
+   */
+
   /**
    * SSEストリームを読み取り、delta文字列を順次 callback へ渡す
    * @param {ReadableStreamDefaultReader<Uint8Array>} reader
-   * @param {(delta:string)=>void} onDelta
-   * @param {()=>void} onDone
+   * @param {(delta:string, reasoningDelta:string)=>void} onDelta
+   * @param {(result: StreamResult)=>void} onDone
+   * @param {{timeouts?: StreamTimeouts, toolCalls?: Array<Object>}} [opts] - toolCalls: 受信した tool_calls を結合する配列（v1.9.0）
    */
-  async function consumeSSE(reader, onDelta, onDone, { timeoutMs = 60000 } = {}) {
+  async function consumeSSE(reader, onDelta, onDone, { timeouts = getStreamTimeouts(), toolCalls = null } = {}) {
     const decoder = new TextDecoder("utf-8");
     let buf = "";
+    let started = false;  // v1.9.0: 最初のトークンを受信したか（タイムアウトの切替）
+    /** @type {StreamResult} */
+    const result = { usage: null, finishReason: null };
+
+    /** @param {any} j - chunk JSON */
+    const processChunk = (j) => {
+      const delta =
+        j.choices?.[0]?.delta?.content ??
+        j.choices?.[0]?.text ??
+        "";
+      const reasoningDelta =
+        j.choices?.[0]?.delta?.reasoning ??
+        j.choices?.[0]?.delta?.reasoning_content ??
+        "";
+
+      // usage情報を取得（最終チャンクに含まれる）
+      if (j.usage) {
+        result.usage = j.usage;
+        runtime.lastUsage = j.usage;
+      }
+      // v1.9.0: 終了理由（"stop" / "length" / "tool_calls"）
+      if (j.choices?.[0]?.finish_reason) {
+        result.finishReason = j.choices[0].finish_reason;
+        runtime.lastFinishReason = result.finishReason;
+      }
+
+      const toolCallDeltas = j.choices?.[0]?.delta?.tool_calls;
+      if (toolCalls && Array.isArray(toolCallDeltas)) mergeToolCallDeltas(toolCalls, toolCallDeltas);
+
+      if (delta || reasoningDelta || toolCallDeltas) started = true;
+      if (delta || reasoningDelta) onDelta(delta, reasoningDelta);
+    };
 
     while (true) {
-      // タイムアウト: timeoutMs 間データが来なければ TimeoutError
-      let result;
-      try {
-        result = await Promise.race([
-          reader.read(),
-          new Promise((_, reject) =>
-            setTimeout(() => reject(new DOMException("SSE inactivity timeout", "TimeoutError")), timeoutMs)
-          ),
-        ]);
-      } catch (e) {
-        reader.cancel().catch(() => {});
-        throw e;
-      }
-      const { value, done } = result;
+      // タイムアウト: 最初のトークンまで / トークン間でデータが来なければ TimeoutError（v1.9.0: 別々に設定）
+      const { value, done } = await readWithTimeout(reader, timeouts, started);
       if (done) break;
 
       buf += decoder.decode(value, { stream: true });
@@ -2899,29 +7941,13 @@ ${manual}
 
         const payload = lines.join("\n");
         if (payload === "[DONE]") {
-          onDone();
+          onDone(result);
           return;
         }
 
         // chunk JSON
         try {
-          const j = JSON.parse(payload);
-
-          const delta =
-            j.choices?.[0]?.delta?.content ??
-            j.choices?.[0]?.text ??
-            "";
-          const reasoningDelta =
-            j.choices?.[0]?.delta?.reasoning ??
-            j.choices?.[0]?.delta?.reasoning_content ??
-            "";
-
-          // usage情報を取得（最終チャンクに含まれる）
-          if (j.usage) {
-            runtime.lastUsage = j.usage;
-          }
-
-          if (delta || reasoningDelta) onDelta(delta, reasoningDelta);
+          processChunk(JSON.parse(payload));
         } catch {
           // 不完全JSONは次チャンクで完成（元実装踏襲）
         }
@@ -2932,19 +7958,16 @@ ${manual}
     if (buf.trim()) {
       const lines = buf.split("\n").filter(l => l.startsWith("data: ")).map(l => l.slice(6));
       for (const line of lines) {
-        if (line.trim() === "[DONE]") { onDone(); return; }
+        if (line.trim() === "[DONE]") { onDone(result); return; }
         try {
-          const j = JSON.parse(line);
-          const delta = j.choices?.[0]?.delta?.content ?? j.choices?.[0]?.text ?? "";
-          const reasoningDelta = j.choices?.[0]?.delta?.reasoning ?? j.choices?.[0]?.delta?.reasoning_content ?? "";
-          if (delta || reasoningDelta) onDelta(delta, reasoningDelta);
+          processChunk(JSON.parse(line));
         } catch { /* incomplete JSON */ }
       }
     }
 
     // [DONE] が受信されなかった場合でも onDone を呼び出す
     // （Ollama等、[DONE]を送信しないサーバーへの対応）
-    onDone();
+    onDone(result);
   }
 
   /**
@@ -2958,6 +7981,20 @@ ${manual}
     return div.innerHTML;
   }
 
+  /**
+   * 属性値用のエスケープ（escapeHtml は引用符をエスケープしないため、属性には必ずこちらを使う）
+   * @param {string} str
+   * @returns {string}
+   */
+  function escapeAttr(str) {
+    return String(str)
+      .replace(/&/g, "&amp;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
   /**
    * marked.parse() + DOMPurify でサニタイズされたHTMLを返す
    * @param {string} md - Markdownテキスト
@@ -2978,20 +8015,191 @@ ${manual}
   // Compare Mode Send (v1.7.0)
   // ---------------------------------------------------------------------------
 
+  /** 比較モードの列ごとの配色（v1.9.0: 最大4列） */
+  const COMPARE_COLUMN_CLASSES = Object.freeze(["model-a", "model-b", "model-c", "model-d"]);
+
+  /**
+   * @typedef {Object} CompareColumn - 比較モードの1列（v1.9.0）
+   * @property {string} model
+   * @property {HTMLDivElement} header
+   * @property {HTMLDivElement} message
+   * @property {HTMLButtonElement} stopBtn - この列のみ停止
+   * @property {AbortController} controller
+   * @property {string} content - 受信済みの応答
+   * @property {number=} elapsedMs
+   * @property {Object=} usage
+   * @property {("stopped"|"error")=} status - 正常に終わらなかった列
+   * @property {string=} error - エラー時の表示文
+   * @property {SweepParams=} params - パラメータスイープの列の設定
+   */
+
+  /**
+   * 比較モードの列を並べたコンテナを作成する（ストリーミング中・保存済みの再表示で共通）
+   * @param {string[]} models - 表示順のモデルID
+   * @param {boolean} blind - ブラインド評価（モデル名を「モデル A」等で隠す）
+   * @param {string[]} [labels] - モデル名に添える列の説明（パラメータスイープの設定）
+   * @returns {{container: HTMLDivElement, columns: CompareColumn[]}}
+   */
+  function createCompareColumns(models, blind, labels = []) {
+    const container = document.createElement("div");
+    container.className = "compare-container";
+    container.style.setProperty("--compare-cols", String(models.length));
+    if (models.length > 2) container.classList.add("compare-many");
+    if (blind) container.classList.add("compare-blind");
+
+    const columns = models.map((model, i) => {
+      const colorClass = COMPARE_COLUMN_CLASSES[i % COMPARE_COLUMN_CLASSES.length];
+      const response = document.createElement("div");
+      response.className = "compare-response";
+      const header = document.createElement("div");
+      header.className = `compare-model-header ${colorClass}`;
+      header.innerHTML = blind
+        ? `🙈 <span class="compare-model-name">モデル ${BLIND_LABELS[i]}</span>`
+        : `🤖 <span class="compare-model-name">${escapeHtml(model.replace(/^.*\//, ""))}${labels[i] ? ` <span class="compare-params-label">[${escapeHtml(labels[i])}]</span>` : ""}</span>`;
+      const stopBtn = document.createElement("button");
+      stopBtn.type = "button";
+      stopBtn.className = "compare-stop-btn";
+      stopBtn.textContent = "⏹";
+      stopBtn.title = "この列の生成のみ停止";
+      header.appendChild(stopBtn);
+      const message = document.createElement("div");
+      message.className = `compare-message ${colorClass}`;
+      message.innerHTML = '<div class="message-content">...</div>';
+      response.append(header, message);
+      container.appendChild(response);
+
+      const controller = new AbortController();
+      stopBtn.onclick = () => controller.abort();
+      return { model, header, message, stopBtn, controller, content: "" };
+    });
+    return { container, columns };
+  }
+
+  /**
+   * 列の本文を描画する（停止・エラーの表示を含む）
+   * @param {CompareColumn|CompareResponse} col
+   * @param {HTMLDivElement} msgEl
+   */
+  function renderCompareColumnContent(col, msgEl) {
+    const contentEl = msgEl.querySelector(".message-content");
+    if (!contentEl) return;
+    if (col.status === "error" && !col.content) {
+      contentEl.textContent = col.error || "エラー";
+      return;
+    }
+    let md = col.content || (col.status ? "" : "(空応答)");
+    if (col.status === "stopped") md += "\n\n⏹ **生成を停止しました。**";
+    if (col.status === "error") md += `\n\n${col.error || "⚠️ **エラー**"}`;
+    const { thinking, main } = extractThinkingBlocks(md);
+    contentEl.innerHTML = renderThinkingHtml(thinking, false) + safeMarkdown(main);
+  }
+
+  /**
+   * 保存済みの比較ターンを表示する（v1.9.0: appendMessage から呼ぶ）
+   * @param {HTMLDivElement} msgDiv - assistant メッセージ
+   * @param {StoredMessage} m
+   */
+  function renderCompareTurn(msgDiv, m) {
+    const labels = m.compare.map(r => (r.params ? formatSweepLabel(r.params) : ""));
+    const { container, columns } = createCompareColumns(m.compare.map(r => r.model), Boolean(m.blind), labels);
+    m.compare.forEach((r, i) => {
+      const col = columns[i];
+      col.stopBtn.remove();
+      col.content = r.content;
+      renderCompareColumnContent(r, col.message);
+      if (typeof r.elapsedMs === "number") appendResponseStats(col.message, r.elapsedMs, r.usage || null);
+    });
+    msgDiv.appendChild(container);
+    // ブラインド評価の比較ターンでは、モデル名を公開するときに選択ボタンを表示する
+    if (!m.blind) renderComparePickButtons(msgDiv, columns, m);
+    renderCompareDiffBar(container, m.compare, columns);
+
+    if (m.blind?.revealed) {
+      revealBlindColumns(container, columns, m);
+      const voted = BLIND_VOTE_OPTIONS.find(o => o.value === m.blind.winner);
+      if (voted) {
+        const result = document.createElement("div");
+        result.className = "blind-vote-panel";
+        result.textContent = `✅ 投票済み: ${voted.label}`;
+        container.after(result);
+      }
+    } else if (m.blind) {
+      renderBlindVotePanel(container, columns, m.id);
+    }
+  }
+
+  /**
+   * 会話を続ける応答の選択ボタンを各列に追加し、選択中の列を強調する
+   * @param {HTMLDivElement} msgDiv
+   * @param {CompareColumn[]} columns
+   * @param {StoredMessage} m
+   */
+  function renderComparePickButtons(msgDiv, columns, m) {
+    m.compare.forEach((r, i) => {
+      if (!r.content || !columns[i]) return;
+      const pickBtn = document.createElement("button");
+      pickBtn.type = "button";
+      pickBtn.className = "compare-pick-btn";
+      pickBtn.onclick = () => selectCompareResponse(msgDiv, i);
+      columns[i].header.appendChild(pickBtn);
+    });
+    updateCompareSelection(msgDiv, m.compareSelected ?? 0);
+  }
+
+  /**
+   * 選択中の応答の列を強調し、ボタンの表示を更新する
+   * @param {HTMLDivElement} msgDiv
+   * @param {number} selected
+   */
+  function updateCompareSelection(msgDiv, selected) {
+    msgDiv.querySelectorAll(".compare-response").forEach((resp, i) => {
+      resp.classList.toggle("compare-selected", i === selected);
+      const btn = resp.querySelector(".compare-pick-btn");
+      if (!btn) return;
+      btn.textContent = i === selected ? "✅ 会話に使用中" : "この回答で続ける";
+      btn.title = i === selected ? "この回答を会話の続きに使用しています" : "この回答を会話の続きに使用します（以降の送信でAIに送る内容が変わります）";
+      /** @type {HTMLButtonElement} */ (btn).disabled = i === selected;
+    });
+  }
+
+  /**
+   * 比較ターンのうち、会話を続ける応答を選ぶ（content を選んだ応答に置き換える）
+   * @param {HTMLDivElement} msgDiv
+   * @param {number} index - compare の位置
+   */
+  function selectCompareResponse(msgDiv, index) {
+    if (isGenerating()) {
+      notify("⚠️ 応答の生成中は切り替えられません");
+      return;
+    }
+    const m = messages.find(x => x.id === msgDiv.dataset.msgId);
+    const r = m?.compare?.[index];
+    if (!r || !r.content) return;
+    m.compareSelected = index;
+    m.content = r.content;
+    msgDiv.dataset.content = r.content;
+    persistHistory();
+    updateCompareSelection(msgDiv, index);
+    const name = m.blind && !m.blind.revealed
+      ? `モデル ${BLIND_LABELS[index]}`
+      : r.model.replace(/^.*\//, "") + (r.params ? ` [${formatSweepLabel(r.params)}]` : "");
+    notify(`✅ ${name} の回答で会話を続けます`);
+  }
+
   /**
    * 比較モード用の送信処理
-   * - 2つのモデルに同時にリクエストを送信
-   * - サイドバイサイドでストリーミング表示
+   * - 複数のモデル（v1.9.0: 最大 LIMITS.MAX_COMPARE_MODELS）に同時にリクエストを送信
+   * - サイドバイサイドでストリーミング表示（列ごとに停止可能）
+   * - v1.9.0: 全モデルの応答を1つの比較ターンとして履歴に保存（会話を続ける応答は選択可能）
+   * - v1.9.0: パラメータスイープでは同じモデルの列ごとに温度・System Prompt・Thinking を変え、並列または順番に生成
    * @param {string} text - ユーザー入力テキスト
    * @param {AttachmentItem[]} currentAttachments - 添付ファイル
-   * @param {string} modelA - メインモデル
-   * @param {string} modelB - 比較モデル
-   * @param {string} base - API Base URL
-   * @param {string} key - API Key
-   */
-  async function handleCompareSend(text, currentAttachments, modelA, modelB, base, key) {
-    // 添付ファイルの処理（グローバルのattachmentsはhandleSendの分岐前にセットされている）
-    const { textForApi, displayText, imageAttachments } = injectAttachmentsIntoText(text);
+   * @param {string[]} models - 列ごとのモデルID（先頭がメインモデル）
+   * @param {{fromQueue?: boolean, blind?: boolean, sweep?: {params: SweepParams[], sequential: boolean}}} [opts] - fromQueue: キューからの送信（入力欄・添付はクリアしない）/ blind: ブラインド評価（v1.9.0）/ sweep: 列ごとのパラメータ（v1.9.0）
+   */
+  async function handleCompareSend(text, currentAttachments, models, opts = {}) {
+    // 添付ファイルの処理
+    const { textForApi, displayText, imageAttachments, attachmentNames } = injectAttachmentsIntoText(text, currentAttachments);
     text = textForApi;
 
     const allImageData = imageAttachments.map(img => img.data);
@@ -3006,179 +8214,759 @@ ${manual}
     const userMsgDiv = /** @type {HTMLDivElement} */ (el.chat.lastChild);
     if (userMsgDiv) userMsgDiv.dataset.content = text;
 
-    strongClearPrompt();
-    clearAllAttachments();
+    if (!opts.fromQueue) {
+      strongClearPrompt();
+      clearAllAttachments();
+    }
 
     // Thinkingモード無効化（Qwen3はデフォルト無効、その他はトグルに従う）
+    // v1.9.0: スイープでは列ごとに Thinking を切り替えるため、付加前の文面も残す
+    const baseText = text;
     if (shouldDisableThinking()) {
       text += " /no_think";
     }
 
-    // API送信用のuserMessage を作成
-    let userMessage;
-    if (imageAttachments.length > 0) {
+    /**
+     * API送信用のuserMessage を作成
+     * @param {string} t
+     * @returns {{role: string, content: any}}
+     */
+    const buildUserMessage = (t) => {
+      if (imageAttachments.length === 0) return { role: "user", content: t };
       const contentArray = [];
-      if (text) contentArray.push({ type: "text", text });
+      if (t) contentArray.push({ type: "text", text: t });
       for (const img of imageAttachments) {
         contentArray.push({ type: "image_url", image_url: { url: img.data } });
       }
-      userMessage = { role: "user", content: contentArray };
-    } else {
-      userMessage = { role: "user", content: text };
-    }
-
-    const userMessageForHistory = { id: userMsgId, role: "user", content: text, imageData: firstImageData || undefined, imageDataList: allImageData.length > 0 ? allImageData : undefined };
-
-    // サイドバイサイド表示用のコンテナを作成
-    const compareContainer = document.createElement("div");
-    compareContainer.className = "compare-container";
-
-    // モデルA用の応答エリア
-    const responseA = document.createElement("div");
-    responseA.className = "compare-response";
-    const headerA = document.createElement("div");
-    headerA.className = "compare-model-header model-a";
-    headerA.innerHTML = `🤖 <span>${escapeHtml(modelA.replace(/^.*\//, ""))}</span>`;
-    const messageA = document.createElement("div");
-    messageA.className = "compare-message model-a";
-    messageA.innerHTML = '<div class="message-content">...</div>';
-    responseA.appendChild(headerA);
-    responseA.appendChild(messageA);
-
-    // モデルB用の応答エリア
-    const responseB = document.createElement("div");
-    responseB.className = "compare-response";
-    const headerB = document.createElement("div");
-    headerB.className = "compare-model-header model-b";
-    headerB.innerHTML = `🤖 <span>${escapeHtml(modelB.replace(/^.*\//, ""))}</span>`;
-    const messageB = document.createElement("div");
-    messageB.className = "compare-message model-b";
-    messageB.innerHTML = '<div class="message-content">...</div>';
-    responseB.appendChild(headerB);
-    responseB.appendChild(messageB);
-
-    compareContainer.appendChild(responseA);
-    compareContainer.appendChild(responseB);
+      return { role: "user", content: contentArray };
+    };
+    const userMessage = buildUserMessage(text);
+
+    const userMessageForHistory = { id: userMsgId, role: "user", content: text, imageData: firstImageData || undefined, imageDataList: allImageData.length > 0 ? allImageData : undefined, attachmentNames: attachmentNames.length > 0 ? attachmentNames : undefined };
+
+    // サイドバイサイド表示用のコンテナを作成（v1.9.0: モデルごとに1列）
+    // ブラインド評価では列の順番をシャッフルし、投票するまでモデル名（と応答統計）を隠す
+    const blind = opts.blind === true;
+    const sweep = opts.sweep || null;
+    const labels = sweep ? sweep.params.map(formatSweepLabel) : [];
+    const { container: compareContainer, columns } = createCompareColumns(blind ? shuffled(models) : models, blind, labels);
+    if (sweep) columns.forEach((col, i) => { col.params = sweep.params[i]; });
     el.chat.appendChild(compareContainer);
 
-    // 両方のモデルに並列でリクエスト
+    // 全体の Stop は全列を、列ごとの ⏹ はその列のみを停止する
     runtime.controller = new AbortController();
+    const globalSignal = runtime.controller.signal;
+    columns.forEach(col => globalSignal.addEventListener("abort", () => col.controller.abort(), { once: true }));
+
+    // 全モデルに並列でリクエスト
     el.stopBtn.disabled = false;
-    el.sendBtn.disabled = true;
     isStreaming = true;
+    updateSendButton();
     userScrolledDuringStream = false;
 
+    await ensureRollingSummary(globalSignal);
     const apiMessages = [...buildConversation(), userMessage];
+    const defaultSystemPrompt = getSystemPromptForSend();
+
+    let completed = false;  // v1.9.0: 停止せずに終わったか（キューの次のメッセージを送信する）
+
+    /**
+     * 列のパラメータに合わせて送信する messages を作る（v1.9.0: パラメータスイープ）
+     * System Prompt は設定の文面の部分のみ差し替え、要約などの追記はそのまま残す
+     * @param {CompareColumn} col
+     * @returns {Array<{role:string, content:any}>}
+     */
+    const messagesForColumn = (col) => {
+      const params = col.params;
+      if (!params || (!params.systemPreset && !params.thinking)) return apiMessages;
+      const msgs = [...apiMessages];
+      const preset = params.systemPreset ? resolveSystemPromptPreset(params.systemPreset).prompt : undefined;
+      if (preset !== undefined && msgs[0].role === "system" && msgs[0].content.startsWith(defaultSystemPrompt)) {
+        msgs[0] = { role: "system", content: getSystemPromptForSend(preset) + msgs[0].content.slice(defaultSystemPrompt.length) };
+      }
+      // Qwen3 は /no_think の有無でも切り替わるため、ユーザーメッセージの末尾も合わせる
+      if (params.thinking && isQwen3ThinkingModel(col.model)) {
+        msgs[msgs.length - 1] = buildUserMessage(params.thinking === "off" ? `${baseText} /no_think` : baseText);
+      }
+      return msgs;
+    };
 
-    // 並列ストリーミング
-    let contentA = "";
-    let contentB = "";
-
-    const streamModel = async (model, msgEl, updateContent) => {
+    /**
+     * 1列分のストリーミング（エラー・停止はこの列の表示のみに反映する）
+     * @param {CompareColumn} col
+     * @returns {Promise<void>}
+     */
+    const streamModel = async (col) => {
+      const { model, message: msgEl, controller, params } = col;
       const modelStartTime = performance.now();
-      let modelUsage = null;
-      const requestBody = {
-        model,
-        messages: apiMessages,
+      const requestBody = buildChatBody(model, messagesForColumn(col), {
         stream: true,
-        stream_options: { include_usage: true },
-        temperature: parseFloat(el.temperature.value) || 0.7,
-        max_tokens: parseInt(el.maxTokens.value, 10) || 2048,
-      };
-
-      // Thinkingモード無効化（Qwen3はデフォルト無効、その他はトグルに従う）
-      if (shouldDisableThinking()) {
-        requestBody.chat_template_kwargs = { enable_thinking: false };
-      }
+        temperature: params?.temperature ?? (parseFloat(el.temperature.value) || 0.7),
+        maxTokens: parseInt(el.maxTokens.value, 10) || 2048,
+        sampling: true,
+      });
+      if (params?.thinking) requestBody.chat_template_kwargs = { enable_thinking: params.thinking === "on" };
 
       try {
-        const res = await fetch(`${base}/chat/completions`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${key}`,
-          },
-          body: JSON.stringify(requestBody),
-          signal: runtime.controller.signal,
+        // v1.9.0: モデルごとに提供元のサーバーへ送信（接続エラー・5xx は自動で再試行）
+        const { res, consume, timeouts } = await streamChatWithRetry(model, requestBody, controller.signal, (info) => {
+          const contentEl = msgEl.querySelector(".message-content");
+          if (contentEl) contentEl.textContent = formatRetryWait(info);
         });
 
         if (!res.ok || !res.body) {
           const t = await res.text().catch(() => "");
-          const contentEl = msgEl.querySelector(".message-content");
-          if (contentEl) contentEl.textContent = `エラー:${res.status}${t ? " / " + t : ""}`;
-          return "";
+          col.status = "error";
+          col.error = `エラー:${res.status}${t ? " / " + t : ""}`;
+          renderCompareColumnContent(col, msgEl);
+          return;
         }
 
         const reader = res.body.getReader();
-        let content = "";
 
-        await consumeSSE(
+        await consume(
           reader,
           (delta, _reasoningDelta) => {
-            if (delta) content += delta;
-            updateContent(content);
+            if (delta) col.content += delta;
             const contentEl = msgEl.querySelector(".message-content");
             if (contentEl) {
-              const { thinking, main, isPartial } = extractThinkingBlocks(content);
+              const { thinking, main, isPartial } = extractThinkingBlocks(col.content);
               contentEl.innerHTML = renderThinkingHtml(thinking, isPartial) + safeMarkdown(main);
             }
             smartScrollToBottom();
           },
-          () => {
-            const contentEl = msgEl.querySelector(".message-content");
-            if (contentEl) {
-              const { thinking, main } = extractThinkingBlocks(content || "(空応答)");
-              contentEl.innerHTML = renderThinkingHtml(thinking, false) + safeMarkdown(main || "(空応答)");
-            }
-            // 比較モード: 各モデルの応答統計を表示
-            modelUsage = runtime.lastUsage;
-            appendResponseStats(msgEl, performance.now() - modelStartTime, modelUsage);
-          }
+          (result) => {
+            renderCompareColumnContent(col, msgEl);
+            // 比較モード: 各モデルの応答統計を表示（並列で受信するため、この列のストリームの usage を使う）
+            col.elapsedMs = performance.now() - modelStartTime;
+            col.usage = result.usage;
+            appendResponseStats(msgEl, col.elapsedMs, col.usage);
+          },
+          { timeouts }
         );
-
-        return content;
       } catch (e) {
-        const contentEl = msgEl.querySelector(".message-content");
         if (e && e.name === "AbortError") {
-          const currentContent = updateContent(null);
-          if (contentEl) contentEl.innerHTML = safeMarkdown(currentContent + "\n\n⏹ **生成を停止しました。**");
+          col.status = "stopped";
         } else if (e && e.name === "TimeoutError") {
-          const currentContent = updateContent(null);
-          if (contentEl) contentEl.innerHTML = safeMarkdown((currentContent || "") + "\n\n⏳ **タイムアウト（60秒）**");
+          const sec = e.message === FIRST_TOKEN_TIMEOUT_MESSAGE ? settings.firstTokenTimeoutSec : settings.streamIdleTimeoutSec;
+          col.status = "error";
+          col.error = `⏳ **タイムアウト（${sec}秒）**`;
+        } else {
+          col.status = "error";
+          col.error = `エラー: ${e?.message || e}`;
+        }
+        renderCompareColumnContent(col, msgEl);
+      } finally {
+        col.stopBtn.remove();
+      }
+    };
+
+    try {
+      // 全モデルに並列でリクエスト（1列の停止・エラーは他の列に影響しない）
+      // v1.9.0: スイープの「順番に」では1列ずつ生成する（同じモデルへの同時リクエストを避ける）
+      if (sweep?.sequential) {
+        columns.slice(1).forEach(col => {
+          const contentEl = col.message.querySelector(".message-content");
+          if (contentEl) contentEl.textContent = "⏳ 前の列の完了を待っています";
+        });
+        for (const col of columns) await streamModel(col);
+      } else {
+        await Promise.all(columns.map(streamModel));
+      }
+      completed = !globalSignal.aborted;
+
+      // v1.9.0: 全モデルの応答を表示順に保存する。会話はメインモデルの応答で続ける（後から選び直せる）
+      /** @type {CompareResponse[]} */
+      const compare = columns.map(col => ({
+        model: col.model,
+        content: col.content,
+        elapsedMs: col.elapsedMs,
+        usage: col.usage || undefined,
+        status: col.status,
+        error: col.error,
+        params: col.params,
+      }));
+      // ブラインド評価では、選択した列からメインモデルが分からないよう、シャッフル後の先頭の列を選ぶ
+      const mainIdx = blind ? 0 : columns.findIndex(c => c.model === models[0]);
+      const selected = compare[mainIdx].content ? mainIdx : Math.max(compare.findIndex(r => r.content), 0);
+      /** @type {StoredMessage} */
+      const assistantMessage = {
+        id: assistantMsgId,
+        role: "assistant",
+        content: compare[selected].content || "(比較モード)",
+        compare,
+        compareSelected: selected,
+      };
+      // ブラインド評価は、すべての列が応答できた場合のみ投票を受け付ける
+      if (blind) assistantMessage.blind = { revealed: !(completed && compare.every(r => r.content && !r.status)) };
+
+      pushMessage(userMessageForHistory);
+      pushMessage(assistantMessage);
+      persistHistory();
+
+      // ストリーミング用の表示を保存済みの比較ターンの表示に置き換える
+      compareContainer.remove();
+      appendMessage("assistant", assistantMessage.content, { save: false, msgId: assistantMsgId, compare, compareSelected: selected, blind: assistantMessage.blind });
+      refreshBranchNav(userMsgDiv);
+    } catch (e) {
+      console.error("Compare error:", e);
+    } finally {
+      isStreaming = false;
+      userScrolledDuringStream = false;
+      el.stopBtn.disabled = true;
+      runtime.controller = null;
+      onGenerationFinished(completed);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Blind Evaluation（ブラインド A/B 評価と Elo リーダーボード）
+  //   投票は IndexedDB（IDB_VOTES_STORE）に保存し、レーティングは表示のたびに
+  //   投票の古い順から計算し直す（投票の削除・インポートに追従するため保存しない）
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @typedef {Object} BlindVote - ブラインド評価の投票
+   * @property {string} id
+   * @property {string} createdAt - ISO日時
+   * @property {string} modelA - 「モデル A」として表示したモデルID
+   * @property {string} modelB - 「モデル B」として表示したモデルID
+   * @property {"a"|"b"|"tie"|"both_bad"} winner
+   * @property {string=} comment
+   * @property {string} prompt - 評価に使ったユーザー入力（先頭200文字）
+   * @property {string} sessionId
+   */
+
+  /** ブラインド評価で列に付ける名前 */
+  const BLIND_LABELS = Object.freeze(["A", "B", "C", "D"]);
+
+  /** 投票の選択肢（表示順） */
+  const BLIND_VOTE_OPTIONS = Object.freeze([
+    { value: "a", label: "👈 A の方が良い" },
+    { value: "b", label: "B の方が良い 👉" },
+    { value: "tie", label: "🤝 引き分け" },
+    { value: "both_bad", label: "👎 どちらも悪い" },
+  ]);
+
+  const ELO = Object.freeze({
+    INITIAL: 1000,
+    K: 32,
+  });
+
+  /**
+   * 配列をシャッフルしたコピーを返す（Fisher–Yates）
+   * @template T
+   * @param {T[]} arr
+   * @returns {T[]}
+   */
+  function shuffled(arr) {
+    const out = arr.slice();
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+
+  /**
+   * ブラインド評価の列にモデル名を表示し、会話を続ける応答の選択ボタンを表示する
+   * @param {HTMLDivElement} container
+   * @param {CompareColumn[]} columns
+   * @param {StoredMessage} [m] - 比較ターン（選択ボタンの表示に使う）
+   */
+  function revealBlindColumns(container, columns, m) {
+    columns.forEach((col, i) => {
+      const name = col.header.querySelector(".compare-model-name");
+      if (name) name.textContent = `${BLIND_LABELS[i]}: ${col.model.replace(/^.*\//, "")}`;
+    });
+    container.classList.add("compare-revealed");
+    // 会話に使う応答の選択も公開後に表示する（選択中の列からモデルが推測できるため）
+    const msgDiv = /** @type {HTMLDivElement|null} */ (container.closest(".message"));
+    if (msgDiv && m?.compare) renderComparePickButtons(msgDiv, columns, m);
+  }
+
+  /**
+   * 比較結果の下に投票欄を表示する。投票（またはスキップ）するとモデル名を公開する
+   * @param {HTMLDivElement} container
+   * @param {CompareColumn[]} columns - 2列
+   * @param {string} msgId - 比較ターン（assistant）のメッセージID
+   */
+  function renderBlindVotePanel(container, columns, msgId) {
+    const idx = messages.findIndex(m => m.id === msgId);
+    const target = messages[idx];
+    const prompt = messages[idx - 1]?.role === "user" ? String(messages[idx - 1].content || "") : "";
+
+    const panel = document.createElement("div");
+    panel.className = "blind-vote-panel";
+
+    const title = document.createElement("div");
+    title.className = "blind-vote-title";
+    title.textContent = "🙈 どちらの回答が良いですか？（投票するとモデル名が表示されます）";
+
+    const buttons = document.createElement("div");
+    buttons.className = "blind-vote-buttons";
+    const comment = document.createElement("input");
+    comment.type = "text";
+    comment.className = "blind-vote-comment";
+    comment.placeholder = "コメント（任意）";
+
+    /**
+     * @param {string} message
+     * @param {BlindVote["winner"]} [winner]
+     */
+    const finish = (message, winner) => {
+      revealBlindColumns(container, columns, target);
+      panel.innerHTML = "";
+      panel.textContent = message;
+      // 再表示したときに投票欄を出さないよう、比較ターンに投票結果を残す
+      if (target?.blind) {
+        target.blind = { revealed: true, winner };
+        persistHistory();
+      }
+    };
+
+    for (const opt of BLIND_VOTE_OPTIONS) {
+      const btn = document.createElement("button");
+      btn.className = "msg-btn";
+      btn.textContent = opt.label;
+      btn.onclick = async () => {
+        /** @type {BlindVote} */
+        const vote = {
+          id: generateMsgId(),
+          createdAt: new Date().toISOString(),
+          modelA: columns[0].model,
+          modelB: columns[1].model,
+          winner: /** @type {BlindVote["winner"]} */ (opt.value),
+          comment: comment.value.trim() || undefined,
+          prompt: prompt.slice(0, 200),
+          sessionId: currentSessionId,
+        };
+        panel.querySelectorAll("button, input").forEach(b => { /** @type {HTMLButtonElement} */ (b).disabled = true; });
+        try {
+          await saveVoteToIdb(vote);
+          finish(`✅ 投票しました: ${opt.label}`, vote.winner);
+          renderEloLeaderboard();
+        } catch (e) {
+          console.warn("[IDB] 投票保存失敗:", e);
+          finish("⚠️ 投票を保存できませんでした");
+        }
+      };
+      buttons.appendChild(btn);
+    }
+
+    const skipBtn = document.createElement("button");
+    skipBtn.className = "msg-btn";
+    skipBtn.textContent = "投票せずに表示";
+    skipBtn.onclick = () => finish("（投票せずにモデル名を表示しました）");
+
+    panel.append(title, buttons, comment, skipBtn);
+    container.after(panel);
+    smartScrollToBottom();
+  }
+
+  /**
+   * 投票から Elo レーティングを計算する（引き分け・どちらも悪いは 0.5 ずつ）
+   * @param {BlindVote[]} votes - 古い順
+   * @returns {Array<{model: string, rating: number, games: number, wins: number, losses: number, ties: number, bothBad: number}>} レーティングの高い順
+   */
+  function computeEloLeaderboard(votes) {
+    /** @type {Map<string, {model: string, rating: number, games: number, wins: number, losses: number, ties: number, bothBad: number}>} */
+    const table = new Map();
+    const entry = (model) => {
+      if (!table.has(model)) table.set(model, { model, rating: ELO.INITIAL, games: 0, wins: 0, losses: 0, ties: 0, bothBad: 0 });
+      return table.get(model);
+    };
+
+    for (const v of votes) {
+      const a = entry(v.modelA);
+      const b = entry(v.modelB);
+      const scoreA = v.winner === "a" ? 1 : v.winner === "b" ? 0 : 0.5;
+      const expectedA = 1 / (1 + 10 ** ((b.rating - a.rating) / 400));
+      const delta = ELO.K * (scoreA - expectedA);
+      a.rating += delta;
+      b.rating -= delta;
+
+      a.games++;
+      b.games++;
+      if (v.winner === "a") { a.wins++; b.losses++; }
+      else if (v.winner === "b") { b.wins++; a.losses++; }
+      else if (v.winner === "tie") { a.ties++; b.ties++; }
+      else { a.bothBad++; b.bothBad++; }
+    }
+    return [...table.values()].sort((x, y) => y.rating - x.rating);
+  }
+
+  /**
+   * 設定パネルのリーダーボードを描画する
+   */
+  async function renderEloLeaderboard() {
+    if (!el.eloLeaderboard) return;
+    let votes;
+    try {
+      votes = await loadVotesFromIdb();
+    } catch (e) {
+      el.eloLeaderboard.textContent = "⚠️ 投票を読み込めませんでした";
+      return;
+    }
+    if (votes.length === 0) {
+      el.eloLeaderboard.textContent = "まだ投票がありません";
+      return;
+    }
+    const rows = computeEloLeaderboard(votes).map((r, i) => `<tr>
+        <td>${i + 1}</td>
+        <td>${escapeHtml(r.model.replace(/^.*\//, ""))}</td>
+        <td>${Math.round(r.rating)}</td>
+        <td>${r.games}</td>
+        <td>${r.wins} / ${r.losses} / ${r.ties} / ${r.bothBad}</td>
+        <td>${((r.wins + (r.ties + r.bothBad) / 2) / r.games * 100).toFixed(0)}%</td>
+      </tr>`).join("");
+    el.eloLeaderboard.innerHTML = `<table>
+      <thead><tr><th>#</th><th>モデル</th><th>Elo</th><th>対戦</th><th>勝 / 敗 / 引分 / 両方×</th><th>勝率</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="elo-leaderboard-count">投票数: ${votes.length}</div>`;
+  }
+
+  /**
+   * CSV の1行を作成する（Excel で開けるようにダブルクォートで囲む）
+   * @param {Array<string|number>} cells
+   * @returns {string}
+   */
+  function toCsvRow(cells) {
+    return cells.map(c => `"${String(c ?? "").replace(/"/g, '""')}"`).join(",");
+  }
+
+  /**
+   * CSV を保存する（Excel で文字化けしないよう BOM 付き UTF-8）
+   * @param {string} prefix
+   * @param {string[]} lines
+   */
+  function downloadCsv(prefix, lines) {
+    downloadTextFile(`${prefix}_${new Date().toISOString().slice(0, 10)}.csv`, "\uFEFF" + lines.join("\r\n"), "text/csv");
+  }
+
+  /** リーダーボード（モデルごとのレーティング）をCSVで保存する */
+  async function exportEloLeaderboardCsv() {
+    const votes = await loadVotesFromIdb().catch(() => []);
+    if (votes.length === 0) {
+      notify("ℹ️ エクスポートする投票がありません");
+      return;
+    }
+    const lines = [toCsvRow(["rank", "model", "elo", "games", "wins", "losses", "ties", "both_bad", "win_rate"])];
+    computeEloLeaderboard(votes).forEach((r, i) => {
+      const winRate = (r.wins + (r.ties + r.bothBad) / 2) / r.games;
+      lines.push(toCsvRow([i + 1, r.model, r.rating.toFixed(1), r.games, r.wins, r.losses, r.ties, r.bothBad, winRate.toFixed(3)]));
+    });
+    downloadCsv("elo_leaderboard", lines);
+    notify("📤 リーダーボードをCSVで保存しました");
+  }
+
+  /** すべての投票をCSVで保存する（外部での集計・Bradley-Terry 等の再計算用） */
+  async function exportVotesCsv() {
+    const votes = await loadVotesFromIdb().catch(() => []);
+    if (votes.length === 0) {
+      notify("ℹ️ エクスポートする投票がありません");
+      return;
+    }
+    const lines = [toCsvRow(["created_at", "model_a", "model_b", "winner", "comment", "prompt"])];
+    votes.forEach(v => lines.push(toCsvRow([v.createdAt, v.modelA, v.modelB, v.winner, v.comment || "", v.prompt])));
+    downloadCsv("blind_votes", lines);
+    notify(`📤 投票${votes.length}件をCSVで保存しました`);
+  }
+
+  /** 投票をすべて削除する（リーダーボードもリセット） */
+  async function clearBlindVotes() {
+    if (!confirm("ブラインド評価の投票をすべて削除しますか？\nリーダーボードもリセットされます。この操作は取り消せません。")) return;
+    try {
+      await clearVotesFromIdb();
+      notify("🗑 投票を削除しました");
+    } catch (e) {
+      console.warn("[IDB] 投票削除失敗:", e);
+      notify("⚠️ 投票を削除できませんでした");
+    }
+    renderEloLeaderboard();
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Answer Diff（比較ターンの2つの回答の差分）
+  //   文単位で対応を取り、一致しなかった文のまとまりを単語単位で比較する
+  //   （全体を単語単位で比較するより計算量が小さく、表示も文ごとに揃う）
+  // ---------------------------------------------------------------------------
+
+  /** 日本語の単語分割（Intl.Segmenter 非対応のブラウザでは文字種の連続で区切る） */
+  const DIFF_WORD_SEGMENTER = typeof Intl !== "undefined" && typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter("ja", { granularity: "word" })
+    : null;
+
+  /** 数値（単位付き）の抽出。番号付きリストの番号は事前に除く */
+  const DIFF_NUMBER_PATTERN = /\d+(?:[.,]\d+)*(?:\s*(?:mg\/kg|mg\/dL|mmol\/L|mmHg|mEq|mcg|μg|mg|kg|g|mL|dL|L|IU|単位|%|℃|錠|回|日|週|か月|ヶ月|カ月|年|時間|分|秒|歳))?/g;
+
+  /** 薬剤名の推定に使う一般名の語尾（英語・カタカナ） */
+  const DRUG_NAME_PATTERNS = Object.freeze([
+    /\b[a-z]{3,}(?:mab|nib|pril|sartan|olol|statin|azole|cillin|mycin|floxacin|prazole|tidine|dipine|gliptin|gliflozin|parin|vir|cycline|semide|thiazide|profen|triptan|setron|lukast|afil|dronate|zepam|zolam|caine|olone|sone)\b/gi,
+    /[ァ-ヴー]+(?:マブ|ニブ|プリル|サルタン|[ノロ]ロール|スタチン|ゾール|シリン|マイシン|キサシン|チジン|ジピン|グリプチン|グリフロジン|パリン|[ロミラブシホナ]ビル|サイクリン|セミド|チアジド|プロフェン|トリプタン|セトロン|ルカスト|ナフィル|ドロネート|ゼパム|ゾラム|カイン|ゾロン|メタゾン)/g,
+  ]);
+
+  /** 語尾では判定できない代表的な薬剤名 */
+  const DRUG_NAME_WORDS = Object.freeze([
+    "アスピリン", "ワルファリン", "メトホルミン", "インスリン", "アセトアミノフェン", "モルヒネ", "ジゴキシン",
+    "アミオダロン", "ドネペジル", "レボチロキシン", "アロプリノール", "フェブキソスタット", "リチウム", "カルバマゼピン",
+    "aspirin", "warfarin", "metformin", "insulin", "acetaminophen", "paracetamol", "morphine", "digoxin",
+    "amiodarone", "donepezil", "levothyroxine", "allopurinol", "febuxostat", "lithium", "carbamazepine",
+  ]);
+
+  /**
+   * 比較用の正規化（全角/半角・空白・Markdown記号の違いを無視する）
+   * @param {string} s
+   * @returns {string}
+   */
+  function normalizeDiffText(s) {
+    return s.normalize("NFKC").replace(/[\s*_`#>|]+/g, "").toLowerCase();
+  }
+
+  /**
+   * 文に分割する（句点・感嘆符・疑問符・改行、英文のピリオド＋空白で区切る。「1. 」等の番号では区切らない）
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function splitDiffSentences(text) {
+    return text
+      .split(/\n+|(?<=[。！？!?])|(?<=[^\d\s]\.)\s+/)
+      .map(s => s.trim())
+      .filter(s => normalizeDiffText(s));
+  }
+
+  /**
+   * 単語に分割する（空白・記号も1語として残し、連結すると元の文字列に戻る）
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function tokenizeDiffWords(text) {
+    if (DIFF_WORD_SEGMENTER) {
+      return Array.from(DIFF_WORD_SEGMENTER.segment(text), s => s.segment);
+    }
+    return text.match(/[\p{Script=Han}々〆ヵヶ]+|\p{Script=Hiragana}+|[\p{Script=Katakana}ー]+|[\p{L}\p{N}_.]+|\s+|./gu) || [];
+  }
+
+  /**
+   * 2つの列の差分（最長共通部分列）
+   * 表の大きさが LIMITS.DIFF_MAX_CELLS を超える場合は全体を削除＋追加として扱う
+   * @template T
+   * @param {T[]} a
+   * @param {T[]} b
+   * @param {(x: T) => string} key - 一致判定に使う値
+   * @returns {{type: "eq"|"del"|"ins", a?: T, b?: T}[]}
+   */
+  function diffSequences(a, b, key) {
+    const n = a.length;
+    const m = b.length;
+    if ((n + 1) * (m + 1) > LIMITS.DIFF_MAX_CELLS) {
+      return [...a.map(x => ({ type: "del", a: x })), ...b.map(y => ({ type: "ins", b: y }))];
+    }
+    const ka = a.map(key);
+    const kb = b.map(key);
+    // dp[i][j] = a[i..] と b[j..] の共通部分列の長さ
+    const dp = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        dp[i][j] = ka[i] === kb[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+      }
+    }
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (ka[i] === kb[j]) {
+        ops.push({ type: "eq", a: a[i++], b: b[j++] });
+      } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+        ops.push({ type: "del", a: a[i++] });
+      } else {
+        ops.push({ type: "ins", b: b[j++] });
+      }
+    }
+    while (i < n) ops.push({ type: "del", a: a[i++] });
+    while (j < m) ops.push({ type: "ins", b: b[j++] });
+    return ops;
+  }
+
+  /**
+   * 単位付きの数値を抽出する（「1,000mg」と「1000 mg」は同じ値として扱う）
+   * @param {string} text
+   * @returns {Set<string>}
+   */
+  function extractDiffNumbers(text) {
+    const body = text.normalize("NFKC").replace(/^\s*\d+[.)]\s/gm, "");
+    return new Set((body.match(DIFF_NUMBER_PATTERN) || []).map(s => s.replace(/[\s,]/g, "")));
+  }
+
+  /**
+   * 薬剤名らしき語を抽出する（一般名の語尾と代表的な薬剤名による推定）
+   * @param {string} text
+   * @returns {Set<string>}
+   */
+  function extractDrugNames(text) {
+    const body = text.normalize("NFKC");
+    const found = new Set();
+    DRUG_NAME_PATTERNS.forEach(re => (body.match(re) || []).forEach(w => found.add(w.toLowerCase())));
+    const lower = body.toLowerCase();
+    DRUG_NAME_WORDS.forEach(w => { if (lower.includes(w.toLowerCase())) found.add(w.toLowerCase()); });
+    return found;
+  }
+
+  /**
+   * 2つの回答の差分と指標を計算する
+   * @param {string} textA
+   * @param {string} textB
+   * @returns {{rows: {type: "eq"|"change", a: string, b: string}[], stats: Object}}
+   *   rows の a / b はエスケープ済みHTML（変更箇所を del / ins で囲む）
+   */
+  function computeAnswerDiff(textA, textB) {
+    const sentencesA = splitDiffSentences(textA);
+    const sentencesB = splitDiffSentences(textB);
+    const rows = [];
+    let pendingA = [];
+    let pendingB = [];
+    let shared = 0;
+
+    // 一致しなかった文のまとまりを単語単位で比較して1行にする
+    const flush = () => {
+      if (pendingA.length === 0 && pendingB.length === 0) return;
+      const ops = diffSequences(tokenizeDiffWords(pendingA.join("\n")), tokenizeDiffWords(pendingB.join("\n")), normalizeDiffText);
+      let htmlA = "";
+      let htmlB = "";
+      for (const op of ops) {
+        if (op.type === "eq") {
+          htmlA += escapeHtml(op.a);
+          htmlB += escapeHtml(op.b);
+        } else if (op.type === "del") {
+          htmlA += normalizeDiffText(op.a) ? `<del class="diff-del">${escapeHtml(op.a)}</del>` : escapeHtml(op.a);
         } else {
-          if (contentEl) contentEl.textContent = `エラー: ${e?.message || e}`;
+          htmlB += normalizeDiffText(op.b) ? `<ins class="diff-ins">${escapeHtml(op.b)}</ins>` : escapeHtml(op.b);
         }
-        return "";
       }
+      rows.push({ type: "change", a: htmlA.replace(/<\/del>(\s*)<del class="diff-del">/g, "$1"), b: htmlB.replace(/<\/ins>(\s*)<ins class="diff-ins">/g, "$1") });
+      pendingA = [];
+      pendingB = [];
+    };
+
+    for (const op of diffSequences(sentencesA, sentencesB, normalizeDiffText)) {
+      if (op.type === "eq") {
+        flush();
+        shared++;
+        rows.push({ type: "eq", a: escapeHtml(op.a), b: escapeHtml(op.b) });
+      } else if (op.type === "del") {
+        pendingA.push(op.a);
+      } else {
+        pendingB.push(op.b);
+      }
+    }
+    flush();
+
+    const numbersA = extractDiffNumbers(textA);
+    const numbersB = extractDiffNumbers(textB);
+    const drugsA = extractDrugNames(textA);
+    const drugsB = extractDrugNames(textB);
+    return {
+      rows,
+      stats: {
+        charsA: textA.replace(/\s/g, "").length,
+        charsB: textB.replace(/\s/g, "").length,
+        sentencesA: sentencesA.length,
+        sentencesB: sentencesB.length,
+        shared,
+        numbersOnlyA: [...numbersA].filter(x => !numbersB.has(x)),
+        numbersOnlyB: [...numbersB].filter(x => !numbersA.has(x)),
+        drugsOnlyA: [...drugsA].filter(x => !drugsB.has(x)),
+        drugsOnlyB: [...drugsB].filter(x => !drugsA.has(x)),
+      },
+    };
+  }
+
+  /**
+   * 比較ターンの下に差分の表示切り替えを追加する（回答のある列が2つ以上の場合）
+   * @param {HTMLDivElement} container - 比較の列のコンテナ
+   * @param {CompareResponse[]} responses
+   * @param {CompareColumn[]} columns - 列名の取得用（ブラインド評価の公開前は「モデル A」等）
+   */
+  function renderCompareDiffBar(container, responses, columns) {
+    const candidates = responses.map((r, i) => i).filter(i => responses[i].content);
+    if (candidates.length < 2) return;
+
+    const bar = document.createElement("div");
+    bar.className = "compare-diff-bar";
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "compare-diff-toggle";
+    toggle.textContent = "🔍 差分を表示";
+    bar.appendChild(toggle);
+
+    const columnName = i => columns[i].header.querySelector(".compare-model-name")?.textContent || BLIND_LABELS[i];
+
+    // 3列以上では比較する2つを選ぶ
+    const pickers = [0, 1].map(k => {
+      const select = document.createElement("select");
+      select.className = "compare-diff-select";
+      select.hidden = candidates.length === 2;
+      candidates.forEach(i => select.add(new Option(columnName(i), String(i), false, i === candidates[k])));
+      bar.appendChild(select);
+      return select;
+    });
+    if (candidates.length > 2) pickers[0].after(document.createTextNode(" と "));
+
+    const panel = document.createElement("div");
+    panel.className = "compare-diff-panel";
+    panel.hidden = true;
+
+    const render = () => {
+      // ブラインド評価の投票後はモデル名が公開されるため、表示のたびに列名を取り直す
+      pickers.forEach(s => Array.from(s.options).forEach(o => { o.text = columnName(Number(o.value)); }));
+      const ia = Number(pickers[0].value);
+      const ib = Number(pickers[1].value);
+      if (ia === ib) {
+        panel.textContent = "異なる2つの回答を選んでください";
+        return;
+      }
+      const textOf = i => extractThinkingBlocks(responses[i].content).main;
+      renderAnswerDiff(panel, computeAnswerDiff(textOf(ia), textOf(ib)), columnName(ia), columnName(ib));
     };
+    toggle.onclick = () => {
+      panel.hidden = !panel.hidden;
+      toggle.textContent = panel.hidden ? "🔍 差分を表示" : "🔍 差分を隠す";
+      if (!panel.hidden) render();
+    };
+    pickers.forEach(s => { s.onchange = () => { if (!panel.hidden) render(); }; });
 
-    try {
-      // 両モデルに並列でリクエスト
-      const [resultA, resultB] = await Promise.all([
-        streamModel(modelA, messageA, (c) => { if (c !== null) contentA = c; return contentA; }),
-        streamModel(modelB, messageB, (c) => { if (c !== null) contentB = c; return contentB; }),
-      ]);
+    container.after(bar);
+    bar.after(panel);
+  }
 
-      // 履歴には最初のモデル（メインモデル）の応答のみ保存
-      // 比較結果はエクスポート時には含まれない（比較は一時的な参照用）
-      messages.push(userMessageForHistory);
-      messages.push({ id: assistantMsgId, role: "assistant", content: resultA || "(比較モード)" });
-      persistHistory();
+  /**
+   * 差分の指標と本文を描画する
+   * @param {HTMLDivElement} panel
+   * @param {ReturnType<typeof computeAnswerDiff>} diff
+   * @param {string} nameA
+   * @param {string} nameB
+   */
+  function renderAnswerDiff(panel, diff, nameA, nameB) {
+    const { rows, stats } = diff;
+    const list = items => (items.length ? items.map(escapeHtml).join("、") : "—");
+    const percent = (n, total) => (total ? Math.round((n / total) * 100) : 0);
 
-    } catch (e) {
-      // ★ 停止時もユーザーメッセージを履歴に保存（Edit対応）
-      if (e && e.name === "AbortError") {
-        messages.push(userMessageForHistory);
-        messages.push({ id: assistantMsgId, role: "assistant", content: contentA || "(比較モード - 停止)" });
-        persistHistory();
-      }
-    } finally {
-      isStreaming = false;
-      userScrolledDuringStream = false;
-      el.stopBtn.disabled = true;
-      el.sendBtn.disabled = false;
-      runtime.controller = null;
-    }
+    panel.innerHTML = `
+      <table class="compare-diff-metrics">
+        <thead><tr><th></th><th>${escapeHtml(nameA)}</th><th>${escapeHtml(nameB)}</th></tr></thead>
+        <tbody>
+          <tr><th>文字数</th><td>${stats.charsA.toLocaleString()}</td><td>${stats.charsB.toLocaleString()}</td></tr>
+          <tr><th>共通の文</th><td>${stats.shared} / ${stats.sentencesA}文（${percent(stats.shared, stats.sentencesA)}%）</td><td>${stats.shared} / ${stats.sentencesB}文（${percent(stats.shared, stats.sentencesB)}%）</td></tr>
+          <tr><th>片方のみの数値</th><td>${list(stats.numbersOnlyA)}</td><td>${list(stats.numbersOnlyB)}</td></tr>
+          <tr><th title="一般名の語尾などから推定しています">片方のみの薬剤名（推定）</th><td>${list(stats.drugsOnlyA)}</td><td>${list(stats.drugsOnlyB)}</td></tr>
+        </tbody>
+      </table>
+      <div class="compare-diff-body">
+        <div class="compare-diff-head">${escapeHtml(nameA)}</div>
+        <div class="compare-diff-head">${escapeHtml(nameB)}</div>
+        ${rows.map(r => `<div class="compare-diff-cell diff-${r.type}">${r.a}</div><div class="compare-diff-cell diff-${r.type}">${r.b}</div>`).join("")}
+      </div>`;
   }
 
   /**
@@ -3187,14 +8975,23 @@ ${manual}
    * - バリデーション（モデル存在）
    * - 逐次描画（... → streaming）
    * - 完了時に履歴へ保存
+   * @param {{regenerate?: boolean, queued?: QueuedPrompt}} [opts] - regenerate: 履歴末尾のユーザーメッセージに対する応答のみ生成（兄弟分岐）/ queued: キューのメッセージを送信（入力欄・添付は使わない）
    */
-  async function handleSend() {
-    let text = el.prompt.value.trim();
-    const hasAnyInput = Boolean(text || attachments.length > 0);
-    if (!hasAnyInput) return;
+  async function handleSend(opts = {}) {
+    const regenerate = opts.regenerate === true;
+    const queued = opts.queued || null;
+
+    // v1.9.0: 応答の生成中に送信されたメッセージはキューに追加し、生成の完了後に送信する
+    if (!regenerate && !queued && isGenerating()) {
+      enqueuePromptFromInput();
+      return;
+    }
+
+    let text = queued ? queued.text : el.prompt.value.trim();
+    const sendAttachments = queued ? [] : attachments.slice();
+    const hasAnyInput = Boolean(text || sendAttachments.length > 0);
+    if (!regenerate && !hasAnyInput) return;
 
-    const base = trimTrailingSlashes(settings.baseUrl || el.baseUrl.value.trim());
-    const key = settings.apiKey || el.apiKey?.value?.trim() || DEFAULT_SETTINGS.apiKey;
     // モデルは常にUI（select要素）の値を優先して使用
     const model = el.modelSelect.value || settings.model;
 
@@ -3203,71 +9000,146 @@ ${manual}
       return;
     }
 
-    // v1.7.0: 比較モード時は専用の処理へ分岐
-    if (compareMode) {
-      const compareModel = el.compareModelSelect?.value;
-      if (!compareModel) {
+    // v1.7.0: 比較モード時は比較モデルも確認（v1.9.0: 最大 LIMITS.MAX_COMPARE_MODELS 列）
+    // v1.9.0: パラメータスイープでは、メインモデルを列の数だけ並べる
+    const sweepParams = compareMode && compareSweep && !regenerate ? getSweepParamSets() : null;
+    const compareModels = compareMode && !regenerate
+      ? (sweepParams ? sweepParams.map(() => model) : getCompareModels())
+      : null;
+    if (sweepParams) {
+      if (sweepParams.length < 2) {
+        notify("⚠️ スイープのパラメータを2列以上設定してください");
+        return;
+      }
+      if (sweepParams.some(p => p.temperature !== undefined && !(p.temperature >= 0 && p.temperature <= 2))) {
+        notify("⚠️ スイープの温度は0〜2の範囲で指定してください");
+        return;
+      }
+      if (new Set(sweepParams.map(formatSweepLabel)).size !== sweepParams.length) {
+        notify("⚠️ 同じパラメータの列があります。列ごとに異なる設定にしてください");
+        return;
+      }
+      // 送らなかった設定が列の見出しに表示されないよう、System Prompt を差し替えられない場合は送信しない
+      const missingPreset = sweepParams.find(p => p.systemPreset && resolveSystemPromptPreset(p.systemPreset).prompt === undefined);
+      if (missingPreset) {
+        notify(`⚠️ System Promptプリセット「${missingPreset.systemPreset}」が見つかりません。スイープの設定を選び直してください`);
+        fillSweepSystemOptionsAll();
+        return;
+      }
+      if (helpMode && sweepParams.some(p => p.systemPreset)) {
+        notify("⚠️ ヘルプモードではスイープの System Prompt を変更できません");
+        return;
+      }
+    } else if (compareModels) {
+      const others = compareModels.slice(1);
+      if (others.length === 0 || others.some(m => !m)) {
         notify("⚠️ 比較モデルが選択されていません");
         return;
       }
-      if (!validateModelExists(compareModel)) {
-        notify(`⚠️ 比較モデルが /v1/models に見つかりません: ${compareModel}`);
+      const missing = others.find(m => !validateModelExists(m));
+      if (missing) {
+        notify(`⚠️ 比較モデルが /v1/models に見つかりません: ${missing}`);
         return;
       }
-      if (model === compareModel) {
-        notify("⚠️ メインモデルと比較モデルが同じです。異なるモデルを選択してください");
+      if (new Set(compareModels).size !== compareModels.length) {
+        notify("⚠️ 同じモデルが複数の列で選択されています。異なるモデルを選択してください");
+        return;
+      }
+      if (compareBlind && compareModels.length !== 2) {
+        notify("⚠️ ブラインド評価は2つのモデルで行います。比較モデルを1つにしてください");
         return;
       }
-      await handleCompareSend(text, attachments.slice(), model, compareModel, base, key);
-      return;
     }
 
-    // user表示用/送信用にファイル内容を反映
-    const { textForApi, displayText, imageAttachments } = injectAttachmentsIntoText(text);
-    text = textForApi;
+    // v1.9.0: キューのメッセージは送信が確定した時点でキューから取り除く
+    if (queued) removeQueuedPrompt(queued.id);
 
-    // 画像をメッセージ履歴保存用に取得（全画像 + 後方互換用先頭1枚）
-    const allImageData = imageAttachments.map(img => img.data);
-    const firstImageData = allImageData.length > 0 ? allImageData[0] : null;
+    // 編集モード中なら、編集対象以降を分岐として退避してから送信（キューからの送信は編集と無関係）
+    if (!regenerate && !queued) applyPendingEdit();
+
+    // v1.7.0: 比較モード時は専用の処理へ分岐
+    if (compareModels) {
+      await handleCompareSend(text, sendAttachments, compareModels, {
+        fromQueue: Boolean(queued),
+        blind: compareBlind && !sweepParams,
+        sweep: sweepParams ? { params: sweepParams, sequential: el.compareSweepOrder.value === "sequential" } : undefined,
+      });
+      return;
+    }
 
-    // メッセージIDを事前生成
-    const userMsgId = generateMsgId();
     const assistantMsgId = generateMsgId();
+    /** @type {{role:string, content:any}} */
+    let userMessage;
+    /** @type {StoredMessage|null} 履歴保存用（API送信後に保存）。再生成時は既存メッセージを使うため null */
+    let userMessageForHistory = null;
+    /** @type {HTMLDivElement|null} */
+    let userMsgDiv = null;
+    /** @type {string|null} 構造化出力で送信する場合の STRUCTURED_OUTPUTS のキー（v1.9.0） */
+    let structuredKey = null;
+
+    if (regenerate) {
+      // 再生成: 履歴末尾のユーザーメッセージをそのまま再送（新しい応答は兄弟分岐になる）
+      const lastUser = messages[messages.length - 1];
+      if (!lastUser || lastUser.role !== "user") {
+        notify("⚠️ 再生成するユーザーメッセージがありません");
+        return;
+      }
+      userMessage = toApiMessage(lastUser);
+      userMsgDiv = el.chat.querySelector(`[data-msg-id="${lastUser.id}"]`);
+      structuredKey = lastUser.structuredOutput || null;  // 元の送信の指定を引き継ぐ
+    } else {
+      // user表示用/送信用にファイル内容を反映
+      const { textForApi, displayText, imageAttachments, attachmentNames } = injectAttachmentsIntoText(text, sendAttachments);
+      text = textForApi;
 
-    // UI表示用（save: false で履歴には保存しない）
-    appendMessage("user", displayText || "(添付ファイルのみ)", { save: false, imageData: firstImageData, imageDataList: allImageData.length > 0 ? allImageData : null, msgId: userMsgId });
+      // 画像をメッセージ履歴保存用に取得（全画像 + 後方互換用先頭1枚）
+      const allImageData = imageAttachments.map(img => img.data);
+      const firstImageData = allImageData.length > 0 ? allImageData[0] : null;
 
-    // ★ dataset.contentを履歴と同じ内容に修正（Edit機能で検索できるようにする）
-    const userMsgDiv = /** @type {HTMLDivElement} */ (el.chat.lastChild);
-    if (userMsgDiv) userMsgDiv.dataset.content = text;
+      // メッセージIDを事前生成
+      const userMsgId = generateMsgId();
 
-    strongClearPrompt();
+      // UI表示用（save: false で履歴には保存しない）
+      appendMessage("user", displayText || "(添付ファイルのみ)", { save: false, imageData: firstImageData, imageDataList: allImageData.length > 0 ? allImageData : null, msgId: userMsgId });
 
-    // 添付をクリア
-    clearAllAttachments();
+      // ★ dataset.contentを履歴と同じ内容に修正（Edit機能で検索できるようにする）
+      userMsgDiv = /** @type {HTMLDivElement} */ (el.chat.lastChild);
+      if (userMsgDiv) userMsgDiv.dataset.content = text;
 
-    // Thinkingモード無効化 — ユーザーメッセージ末尾に /no_think を付与
-    // Qwen3はデフォルト無効、その他はトグルに従う
-    if (shouldDisableThinking()) {
-      text += " /no_think";
-    }
+      // キューからの送信では、入力途中の内容・添付・構造化出力の指定はそのまま残す
+      if (!queued) {
+        strongClearPrompt();
 
-    // API送信用のuserMessage を作成（画像ありの場合は Vision形式）
-    let userMessage;
-    if (imageAttachments.length > 0) {
-      const contentArray = [];
-      if (text) contentArray.push({ type: "text", text });
-      // 複数画像を追加
-      for (const img of imageAttachments) {
-        contentArray.push({ type: "image_url", image_url: { url: img.data } });
+        // 添付をクリア
+        clearAllAttachments();
+
+        // 構造化出力の指定はこの送信のみ有効
+        structuredKey = pendingStructuredOutput;
+        setStructuredOutputMode(null);
+      }
+
+      // Thinkingモード無効化 — ユーザーメッセージ末尾に /no_think を付与
+      // Qwen3はデフォルト無効、その他はトグルに従う
+      if (shouldDisableThinking()) {
+        text += " /no_think";
+      }
+
+      // API送信用のuserMessage を作成（画像ありの場合は Vision形式）
+      if (imageAttachments.length > 0) {
+        const contentArray = [];
+        if (text) contentArray.push({ type: "text", text });
+        // 複数画像を追加
+        for (const img of imageAttachments) {
+          contentArray.push({ type: "image_url", image_url: { url: img.data } });
+        }
+        userMessage = { role: "user", content: contentArray };
+      } else {
+        userMessage = { role: "user", content: text };
       }
-      userMessage = { role: "user", content: contentArray };
-    } else {
-      userMessage = { role: "user", content: text };
-    }
 
-    // 履歴保存用のデータを保持（API送信後に保存）
-    const userMessageForHistory = { id: userMsgId, role: "user", content: text, imageData: firstImageData || undefined, imageDataList: allImageData.length > 0 ? allImageData : undefined };
+      // 履歴保存用のデータを保持（API送信後に保存）
+      userMessageForHistory = { id: userMsgId, role: "user", content: text, imageData: firstImageData || undefined, imageDataList: allImageData.length > 0 ? allImageData : undefined, attachmentNames: attachmentNames.length > 0 ? attachmentNames : undefined, structuredOutput: structuredKey || undefined };
+    }
 
     // assistant placeholder
     appendMessage("assistant", "...", { save: false, msgId: assistantMsgId });
@@ -3276,40 +9148,147 @@ ${manual}
     runtime.controller = new AbortController();
     el.stopBtn.disabled = false;
     el.stopBtn.removeAttribute("disabled");  // ★ 確実にdisabledを解除
-    el.sendBtn.disabled = true;
     isStreaming = true;                       // ★ ストリーミング開始
+    updateSendButton();                       // v1.9.0: 生成中の送信はキューに追加
     userScrolledDuringStream = false;         // ★ スクロール状態リセット
 
     const sendStartTime = performance.now();
     runtime.lastUsage = null;
+    runtime.lastFinishReason = null;
+
+    /** @type {ToolCallRecord[]} この応答で実行したツール呼び出し（v1.9.0） */
+    const toolTrace = [];
+
+    /** 停止・エラーなく応答を得られたか（v1.9.0: キューの次のメッセージを送信する） */
+    let completed = false;
+
+    /**
+     * ユーザーメッセージ（新規時のみ）と応答を履歴に保存し、分岐ナビを更新
+     * @param {string} assistantContent
+     * @param {Partial<StoredMessage>} [extra] - 応答に付与する追加情報（構造化データ等）
+     */
+    const saveTurn = (assistantContent, extra = {}) => {
+      if (userMessageForHistory) pushMessage(userMessageForHistory);
+      pushMessage({ id: assistantMsgId, role: "assistant", content: assistantContent, toolCalls: toolTrace.length > 0 ? toolTrace : undefined, ...extra });
+      persistHistory();
+      refreshBranchNav(userMsgDiv);
+      refreshBranchNav(currentMsgDiv);
+    };
+
+    /**
+     * 生成の途中で途切れた応答を保存する（v1.9.0: 内容はそのまま残し、「続きを生成」で再開できるようにする）
+     * @param {string} partial
+     */
+    const saveInterruptedTurn = (partial) => {
+      currentMsgDiv.dataset.content = partial;
+      saveTurn(partial, { truncated: "error" });
+      renderTruncationNotice(currentMsgDiv, "error");
+    };
+
+    /**
+     * 応答を得られなかった場合の再試行ボタン（v1.9.0: ユーザーメッセージを履歴に残し、再生成として送り直す）
+     */
+    const appendRetryButton = () => {
+      if (userMessageForHistory) {
+        pushMessage(userMessageForHistory);
+        userMessageForHistory = null;
+        persistHistory();
+        refreshBranchNav(userMsgDiv);
+      }
+      const contentEl = currentMsgDiv.querySelector(".message-content");
+      if (!contentEl) return;
+      const retryBtn = document.createElement("button");
+      retryBtn.textContent = "🔄 再試行";
+      retryBtn.className = "msg-btn";
+      retryBtn.style.cssText = "display:block;margin-top:8px;padding:6px 16px;background:#17a2b8;color:#fff;border:none;border-radius:6px;cursor:pointer;font-size:0.9em";
+      retryBtn.onclick = () => {
+        if (isStreaming) return;
+        currentMsgDiv.remove();
+        handleSend({ regenerate: true });
+      };
+      contentEl.appendChild(retryBtn);
+    };
 
     try {
+      await ensureRollingSummary(runtime.controller.signal);
       const apiMessages = [...buildConversation(), userMessage];
+      const tools = getToolsForRequest();
+      /** @type {ToolContext} */
+      const toolContext = {
+        signal: runtime.controller.signal,
+        attachments: parseAttachmentBlocks(
+          typeof userMessage.content === "string"
+            ? userMessage.content
+            : userMessage.content.filter(c => c.type === "text").map(c => c.text).join("\n")
+        ),
+      };
+
+      // v1.9.0: 構造化出力モード — 非ストリーミングで取得し、スキーマ検証済みのJSONを表・フォームとして表示
+      if (structuredKey) {
+        const def = STRUCTURED_OUTPUTS[structuredKey];
+        const result = await requestStructuredOutput(apiMessages, def, {
+          temperature: parseFloat(el.temperature.value) || 0.7,
+          maxTokens: parseInt(el.maxTokens.value, 10) || 2048,
+          signal: runtime.controller.signal,
+          extraBody: buildSamplingParams(),
+        });
+        const contentEl = currentMsgDiv.querySelector(".message-content");
+        if (!result) {
+          if (contentEl) contentEl.textContent = `⚠️ ${def.label}: スキーマに沿った応答を取得できませんでした（通常の送信で再試行してください）`;
+          // ユーザーメッセージは履歴に残し、再試行（通常の再生成）できるようにする
+          appendRetryButton();
+          return;
+        }
+        const markdown = structuredToMarkdown(result.data, def.schema);
+        if (contentEl) contentEl.innerHTML = safeMarkdown(markdown);
+        currentMsgDiv.dataset.content = markdown;
+        saveTurn(markdown, { structured: { schema: structuredKey, data: result.data } });
+        appendResponseStats(currentMsgDiv, performance.now() - sendStartTime, null);
+        completed = true;
+        maybeAutoGenerateSessionTitle();
+        return;
+      }
 
       // ストリーミングAPI（/v1/chat/completions）
-      {
-        const requestBody = {
-          model,
-          messages: apiMessages,
+      // v1.9.0: モデルが tool_calls を返した場合はツールを実行し、結果を添えて再リクエストする
+      let content = "";
+      let reasoning = "";
+      let messagesSaved = false;
+
+      /** ストリーミング中の表示を更新する共通関数 */
+      function updateStreamingUI(isFinal) {
+        const contentEl = currentMsgDiv.querySelector(".message-content");
+        if (!contentEl) return;
+
+        // content が空で reasoning のみの場合、reasoning を本文として使用
+        let displayContent = content;
+        if (isFinal && !content && reasoning) {
+          displayContent = reasoning;
+        }
+
+        // content 内の <think> タグを抽出（モデルが直接出力する場合）
+        const { thinking, main, isPartial } = extractThinkingBlocks(isFinal ? (displayContent || "(空応答)") : displayContent);
+        const thinkingHtml = renderThinkingHtml(thinking, isPartial);
+
+        contentEl.innerHTML = renderToolCallsHtml(toolTrace) + thinkingHtml + safeMarkdown(main || (isFinal ? "(空応答)" : ""));
+      }
+
+      for (let round = 0; ; round++) {
+        const requestBody = buildChatBody(model, apiMessages, {
           stream: true,
-          stream_options: { include_usage: true },
           temperature: parseFloat(el.temperature.value) || 0.7,
-          max_tokens: parseInt(el.maxTokens.value, 10) || 2048,
-        };
-
-        // Thinkingモード無効化（Qwen3はデフォルト無効、その他はトグルに従う）
-        if (shouldDisableThinking()) {
-          requestBody.chat_template_kwargs = { enable_thinking: false };
+          maxTokens: parseInt(el.maxTokens.value, 10) || 2048,
+          sampling: true,
+        });
+        // 上限回数に達したらツールを渡さず、最終回答を求める
+        if (tools.length > 0 && round < LIMITS.MAX_TOOL_ROUNDS) {
+          requestBody.tools = tools;
         }
 
-        const res = await fetch(`${base}/chat/completions`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${key}`,
-          },
-          body: JSON.stringify(requestBody),
-          signal: runtime.controller.signal,
+        // v1.9.0: 送信先はモデルを持つサーバー（提供元のアダプター経由）。接続エラー・5xx は自動で再試行
+        const { res, consume, timeouts } = await streamChatWithRetry(model, requestBody, runtime.controller.signal, (info) => {
+          const contentEl = currentMsgDiv.querySelector(".message-content");
+          if (contentEl && !content) contentEl.textContent = formatRetryWait(info);
         });
 
         if (!res.ok || !res.body) {
@@ -3321,6 +9300,7 @@ ${manual}
           } else if (res.status >= 500) {
             if (contentEl) contentEl.textContent = "サーバーエラーが発生しました。LM Studioを再起動してください。";
             notify("⚠️ サーバーエラー (HTTP " + res.status + ")");
+            appendRetryButton();
           } else {
             if (contentEl) contentEl.textContent = `エラー:${res.status}${t ? " / " + t : ""}`;
           }
@@ -3328,29 +9308,11 @@ ${manual}
         }
 
         const reader = res.body.getReader();
-        let content = "";
-        let reasoning = "";
-        let messagesSaved = false;
-
-        /** ストリーミング中の表示を更新する共通関数 */
-        function updateStreamingUI(isFinal) {
-          const contentEl = currentMsgDiv.querySelector(".message-content");
-          if (!contentEl) return;
-
-          // content が空で reasoning のみの場合、reasoning を本文として使用
-          let displayContent = content;
-          if (isFinal && !content && reasoning) {
-            displayContent = reasoning;
-          }
-
-          // content 内の <think> タグを抽出（モデルが直接出力する場合）
-          const { thinking, main, isPartial } = extractThinkingBlocks(isFinal ? (displayContent || "(空応答)") : displayContent);
-          const thinkingHtml = renderThinkingHtml(thinking, isPartial);
-
-          contentEl.innerHTML = thinkingHtml + safeMarkdown(main || (isFinal ? "(空応答)" : ""));
-        }
+        const roundStart = content.length;
+        /** @type {Array<{id:string, type:string, function:{name:string, arguments:string}}>} */
+        const toolCalls = [];
 
-        await consumeSSE(
+        await consume(
           reader,
           (delta, reasoningDelta) => {
             if (reasoningDelta) reasoning += reasoningDelta;
@@ -3361,98 +9323,500 @@ ${manual}
             smartScrollToBottom();  // ★ スマートスクロール
           },
           () => {
+            // ツール呼び出しがある場合はまだ最終応答ではない
+            if (toolCalls.length > 0 && requestBody.tools) return;
+
             // onDone: UI表示の最終化
             updateStreamingUI(true);
 
-            // Copy機能用のdataset更新
-            currentMsgDiv.dataset.content = content;
+            // Copy機能用のdataset更新
+            currentMsgDiv.dataset.content = content;
+
+            isStreaming = false;                     // ★ ストリーミング終了
+            userScrolledDuringStream = false;        // ★ スクロール状態リセット
+            el.stopBtn.disabled = true;
+            el.stopBtn.setAttribute("disabled", ""); // ★ 確実にdisabledを設定
+          },
+          { toolCalls, timeouts }
+        );
+
+        if (toolCalls.length === 0 || !requestBody.tools) break;
+
+        // アシスタントの tool_calls とツールの実行結果を会話に追加して次のラウンドへ
+        toolCalls.forEach(c => { if (!c.id) c.id = "call_" + generateMsgId(); });
+        apiMessages.push({ role: "assistant", content: content.slice(roundStart) || null, tool_calls: toolCalls });
+        for (const call of toolCalls) {
+          const record = { name: call.function.name, arguments: call.function.arguments };
+          toolTrace.push(record);
+          updateStreamingUI(false);
+          Object.assign(record, await runToolCall(call, toolContext));
+          apiMessages.push({ role: "tool", tool_call_id: call.id, content: record.result });
+          updateStreamingUI(false);
+          smartScrollToBottom();
+        }
+        if (content.length > roundStart) content += "\n\n";
+      }
+
+      // ストリーミング完了後に履歴を保存（onDoneの外で確実に実行）
+      // v1.9.0: Max Tokens で途切れた応答は印を付け、続きを生成できるようにする
+      const truncated = runtime.lastFinishReason === "length" ? "length" : null;
+      if (!messagesSaved) {
+        messagesSaved = true;
+        saveTurn(content, truncated ? { truncated } : {});
+      }
+      renderTruncationNotice(currentMsgDiv, truncated);
+
+      // 応答統計を表示
+      const elapsed = performance.now() - sendStartTime;
+      appendResponseStats(currentMsgDiv, elapsed, runtime.lastUsage);
+      learnTokenRatioFromUsage(model, apiMessages, runtime.lastUsage);  // v1.9.0
+      completed = true;
+      // 停止・エラーで途切れた応答からは生成しない（最後まで受信した応答のみ）
+      maybeAutoGenerateSessionTitle();
+
+    } catch (e) {
+      const contentEl = currentMsgDiv.querySelector(".message-content");
+      const currentContent = currentMsgDiv.dataset.partialContent || "";
+
+      if (e && e.name === "AbortError") {
+        const stoppedContent = currentContent + "\n\n⏹ **生成を停止しました。**";
+        if (contentEl) contentEl.innerHTML = renderToolCallsHtml(toolTrace) + safeMarkdown(stoppedContent);
+        // ★ 停止時もユーザーメッセージと途中の応答を履歴に保存（Edit/Regenerate対応）
+        currentMsgDiv.dataset.content = stoppedContent;
+        saveTurn(stoppedContent);
+      } else if (e && e.name === "TimeoutError") {
+        // v1.9.0: 最初のトークンまで / トークン間で別々のタイムアウト
+        const timeoutMsg = e.message === FIRST_TOKEN_TIMEOUT_MESSAGE
+          ? `⏳ 最初のトークンが届きませんでした（${settings.firstTokenTimeoutSec}秒タイムアウト）`
+          : `⏳ 応答が途切れました（${settings.streamIdleTimeoutSec}秒間データなし）`;
+        if (currentContent) {
+          saveInterruptedTurn(currentContent);
+          notify(timeoutMsg);
+        } else {
+          if (contentEl) contentEl.textContent = timeoutMsg;
+          appendRetryButton();
+        }
+      } else if (isLikelyServerOffline(e) && !currentContent) {
+        // 生成が始まる前のエラーのみ「接続できませんでした」と表示（自動再試行の後）
+        if (contentEl) contentEl.textContent = "接続できませんでした。LM Studioが起動していない可能性があります。";
+        notify("⚠️ サーバーに接続できません。LM Studio/Ollamaが起動しているか、接続先サーバーの設定を確認してください。");
+        reportConnectionFailure(model);  // v1.9.0: 同じモデルを持つ別のサーバーがあれば次回から切り替え
+        appendRetryButton();
+      } else {
+        console.error("Streaming error:", e);
+        if (currentContent) {
+          saveInterruptedTurn(currentContent);
+          notify(`⚠️ 生成中にエラーが発生しました: ${e?.message || e}`);
+        } else if (contentEl) {
+          contentEl.innerHTML = renderToolCallsHtml(toolTrace) + safeMarkdown(`⚠️ **エラーが発生しました**: ${e?.message || e}`);
+        }
+      }
+    } finally {
+      isStreaming = false;                     // ★ ストリーミング終了
+      userScrolledDuringStream = false;        // ★ スクロール状態リセット
+      el.stopBtn.disabled = true;
+      el.stopBtn.setAttribute("disabled", ""); // ★ 確実にdisabledを設定
+      runtime.controller = null;
+      onGenerationFinished(completed);         // v1.9.0: 完了したらキューの次のメッセージを送信
+    }
+  }
+
+  function handleStop() {
+    if (runtime.controller) runtime.controller.abort();
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Continue Generation（Max Tokens で途切れた応答の続きを生成）
+  //   末尾の応答をそのまま続けられるサーバー（provider.prefill）では応答を先頭に置いて送信し、
+  //   それ以外では「続けてください」のターンを追加して送信する。続きは同じメッセージに追記する
+  // ---------------------------------------------------------------------------
+
+  /** 続きを依頼するプロンプト（応答を先頭に置いて続けられないサーバー向け。履歴には保存しない） */
+  const CONTINUE_PROMPT = "直前の応答は文字数の上限で途切れています。途切れた位置から、前置きや繰り返しをせずにそのまま続きを書いてください。";
+
+  /** 途中で終了した応答の注意書き（StoredMessage.truncated ごと） */
+  const TRUNCATION_LABELS = Object.freeze({
+    length: "✂️ Max Tokens に達したため途中で終了しました",
+    error: "⚠️ 通信エラー・タイムアウトのため途中で終了しました",
+  });
+
+  /**
+   * 途切れた応答の注意書きと「続きを生成」ボタンを表示/削除する
+   * @param {HTMLDivElement} msgDiv
+   * @param {StoredMessage["truncated"]|null} truncated - null: 注意書きを消す
+   */
+  function renderTruncationNotice(msgDiv, truncated) {
+    msgDiv.querySelector(".truncation-notice")?.remove();
+    if (!truncated) return;
+
+    const notice = document.createElement("div");
+    notice.className = "truncation-notice";
+    const label = document.createElement("span");
+    label.textContent = TRUNCATION_LABELS[truncated] || TRUNCATION_LABELS.length;
+    const continueBtn = document.createElement("button");
+    continueBtn.className = "msg-btn";
+    continueBtn.textContent = "▶ 続きを生成";
+    continueBtn.onclick = () => continueAssistantMessage(msgDiv);
+    notice.append(label, continueBtn);
+
+    msgDiv.insertBefore(notice, msgDiv.querySelector(".branch-nav") || msgDiv.querySelector(".msg-actions"));
+  }
+
+  /**
+   * 途切れた応答の続きを生成し、同じメッセージに追記する
+   * @param {HTMLDivElement} msgDiv
+   */
+  async function continueAssistantMessage(msgDiv) {
+    if (isStreaming) {
+      notify("⚠️ 応答の生成中は続きを生成できません");
+      return;
+    }
+    const idx = messages.findIndex(m => m.id === msgDiv.dataset.msgId);
+    if (idx === -1 || idx !== messages.length - 1) {
+      notify("⚠️ 続きを生成できるのは最後の応答のみです");
+      return;
+    }
+    const model = el.modelSelect.value || settings.model;
+    if (!validateModelExists(model)) {
+      notify(`⚠️ 選択モデルが /v1/models に見つかりません: ${model}`);
+      return;
+    }
+
+    const target = messages[idx];
+    const { provider } = getModelProvider(model);
+    const apiMessages = buildConversation();
+    // 末尾の応答は思考部分を除いて送る
+    if (apiMessages.at(-1)?.role === "assistant") apiMessages.pop();
+    apiMessages.push({ role: "assistant", content: extractThinkingBlocks(target.content).main });
+    if (!provider.prefill) {
+      apiMessages.push({ role: "user", content: CONTINUE_PROMPT + (shouldDisableThinking() ? " /no_think" : "") });
+    }
+
+    const original = target.content;
+    let added = "";
+    const render = () => {
+      const contentEl = msgDiv.querySelector(".message-content");
+      if (!contentEl) return;
+      const { thinking, main, isPartial } = extractThinkingBlocks(original + added);
+      contentEl.innerHTML = renderToolCallsHtml(target.toolCalls || null) + renderThinkingHtml(thinking, isPartial) + safeMarkdown(main);
+    };
+    /** @param {StoredMessage["truncated"]|null} truncated */
+    const commit = (truncated) => {
+      target.content = original + added;
+      if (truncated) target.truncated = truncated;
+      else delete target.truncated;
+      msgDiv.dataset.content = target.content;
+      persistHistory();
+      render();
+      renderTruncationNotice(msgDiv, truncated);
+    };
+
+    renderTruncationNotice(msgDiv, null);
+    runtime.controller = new AbortController();
+    el.stopBtn.disabled = false;
+    el.stopBtn.removeAttribute("disabled");
+    isStreaming = true;
+    updateSendButton();
+    userScrolledDuringStream = false;
+    runtime.lastUsage = null;
+    runtime.lastFinishReason = null;
+    const startTime = performance.now();
+    let completed = false;
+
+    try {
+      const requestBody = buildChatBody(model, apiMessages, {
+        stream: true,
+        temperature: parseFloat(el.temperature.value) || 0.7,
+        maxTokens: parseInt(el.maxTokens.value, 10) || 2048,
+        sampling: true,
+      });
+      const { res, consume, timeouts } = await streamChatWithRetry(model, requestBody, runtime.controller.signal, (info) => {
+        let status = msgDiv.querySelector(".retry-status");
+        if (!status) {
+          status = document.createElement("div");
+          status.className = "retry-status";
+          msgDiv.querySelector(".message-content")?.after(status);
+        }
+        status.textContent = formatRetryWait(info);
+      });
+      msgDiv.querySelector(".retry-status")?.remove();
+      if (!res.ok || !res.body) {
+        notify(`⚠️ 続きを生成できませんでした (HTTP ${res.status})`);
+        renderTruncationNotice(msgDiv, target.truncated || "length");
+        return;
+      }
+
+      await consume(
+        res.body.getReader(),
+        (delta) => {
+          if (!delta) return;  // 思考部分は追記しない
+          added += delta;
+          render();
+          smartScrollToBottom();
+        },
+        () => {},
+        { timeouts }
+      );
+      commit(runtime.lastFinishReason === "length" ? "length" : null);
+      appendResponseStats(msgDiv, performance.now() - startTime, runtime.lastUsage);
+      completed = true;
+    } catch (e) {
+      // 停止・エラー時も生成済みの部分は残し、もう一度続きを生成できるようにする
+      commit(e?.name === "AbortError" ? (target.truncated || "length") : "error");
+      if (e?.name !== "AbortError") {
+        console.error("Continue error:", e);
+        notify(`⚠️ 続きの生成中にエラーが発生しました: ${e?.message || e}`);
+      }
+    } finally {
+      msgDiv.querySelector(".retry-status")?.remove();
+      isStreaming = false;
+      userScrolledDuringStream = false;
+      el.stopBtn.disabled = true;
+      el.stopBtn.setAttribute("disabled", "");
+      runtime.controller = null;
+      onGenerationFinished(completed);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Prompt Queue（応答の生成中に入力したメッセージを順に送信）
+  //   キューはセッションに保存する。停止・エラーで終わった場合と再読み込み後は
+  //   勝手に送信せず、一時停止して「▶ 送信を再開」を待つ
+  // ---------------------------------------------------------------------------
+
+  /**
+   * 応答を生成中か（ストリーム終了後の後処理中も含む）
+   * @returns {boolean}
+   */
+  function isGenerating() {
+    return isStreaming || runtime.controller !== null;
+  }
+
+  /**
+   * 送信ボタンの表示を更新する（生成中は「キューに追加」）
+   */
+  function updateSendButton() {
+    const generating = isGenerating();
+    el.sendBtn.disabled = false;
+    el.sendBtn.textContent = generating ? "📥 Queue" : "🚀 Send";
+    el.sendBtn.title = generating ? "応答の完了後に送信するメッセージとしてキューに追加します" : "";
+  }
+
+  /**
+   * セッションのキューを読み込んで表示する（前回の続きは自動送信せず一時停止にする）
+   * @param {Object|null} session
+   */
+  function loadPromptQueue(session) {
+    promptQueue = Array.isArray(session?.promptQueue)
+      ? session.promptQueue.filter(q => q && typeof q.text === "string" && q.text).map(q => ({ ...q }))
+      : [];
+    promptQueuePaused = promptQueue.length > 0;
+    editingQueuedPromptId = null;
+    renderPromptQueue();
+  }
+
+  /**
+   * キューを現在のセッションに保存する（会話の更新日時は変えない）
+   */
+  function persistPromptQueue() {
+    const session = sessions.find(s => s.id === currentSessionId);
+    if (session) {
+      session.promptQueue = promptQueue.length ? promptQueue.map(q => ({ ...q })) : undefined;
+      persistSessions();
+    }
+    renderPromptQueue();
+  }
+
+  /**
+   * 入力欄のメッセージをキューに追加する（生成中の送信）
+   */
+  function enqueuePromptFromInput() {
+    const text = el.prompt.value.trim();
+    if (attachments.length > 0 || pendingEditMsgId || pendingStructuredOutput) {
+      notify("⚠️ 添付・編集・構造化出力を伴う送信はキューに追加できません。応答の完了後に送信してください");
+      return;
+    }
+    if (!text) return;
+    if (promptQueue.length >= LIMITS.MAX_QUEUED_PROMPTS) {
+      notify(`⚠️ キューに追加できるのは${LIMITS.MAX_QUEUED_PROMPTS}件までです`);
+      return;
+    }
+    promptQueue.push({ id: generateMsgId(), text, createdAt: Date.now() });
+    persistPromptQueue();
+    strongClearPrompt();
+    notify(`📥 キューに追加しました（送信待ち ${promptQueue.length}件）`);
+  }
+
+  /**
+   * キューからメッセージを取り除く
+   * @param {string} id
+   */
+  function removeQueuedPrompt(id) {
+    if (editingQueuedPromptId === id) editingQueuedPromptId = null;
+    promptQueue = promptQueue.filter(q => q.id !== id);
+    persistPromptQueue();
+  }
+
+  /**
+   * 生成の終了時に呼ぶ。送信ボタンを戻し、完了していればキューの次のメッセージを送信する
+   * @param {boolean} completed - false: 停止・エラーで終わった（キューを一時停止する）
+   */
+  function onGenerationFinished(completed) {
+    updateSendButton();
+    if (promptQueue.length === 0) return;
+    if (!completed) {
+      promptQueuePaused = true;
+      renderPromptQueue();
+      notify("⏸ 送信待ちのメッセージを一時停止しました（▶ 送信を再開 で続行）");
+      return;
+    }
+    // 後処理（履歴の保存・表示の確定）が終わってから送信する
+    setTimeout(processPromptQueue, 0);
+  }
 
-            isStreaming = false;                     // ★ ストリーミング終了
-            userScrolledDuringStream = false;        // ★ スクロール状態リセット
-            el.stopBtn.disabled = true;
-            el.stopBtn.setAttribute("disabled", ""); // ★ 確実にdisabledを設定
-            runtime.controller = null;
-          }
-        );
+  /**
+   * キューの先頭のメッセージを送信する（生成中・一時停止中・先頭を編集中は何もしない）
+   */
+  async function processPromptQueue() {
+    const next = promptQueue[0];
+    if (!next || promptQueuePaused || isGenerating() || next.id === editingQueuedPromptId) return;
 
-        // ストリーミング完了後に履歴を保存（onDoneの外で確実に実行）
-        if (!messagesSaved) {
-          messagesSaved = true;
-          messages.push(userMessageForHistory);
-          messages.push({ id: assistantMsgId, role: "assistant", content });
-          persistHistory();
-        }
+    await handleSend({ queued: next });
 
-        // 応答統計を表示
-        const elapsed = performance.now() - sendStartTime;
-        appendResponseStats(currentMsgDiv, elapsed, runtime.lastUsage);
-      }
+    // モデル未選択などで送信されなかった場合は一時停止する（同じエラーを繰り返さない）
+    if (promptQueue.some(q => q.id === next.id)) {
+      promptQueuePaused = true;
+      renderPromptQueue();
+    }
+  }
 
-    } catch (e) {
-      const contentEl = currentMsgDiv.querySelector(".message-content");
-      const currentContent = currentMsgDiv.dataset.partialContent || "";
+  /**
+   * 一時停止したキューの送信を再開する
+   */
+  function resumePromptQueue() {
+    promptQueuePaused = false;
+    renderPromptQueue();
+    processPromptQueue();
+  }
 
-      if (e && e.name === "AbortError") {
-        const stoppedContent = currentContent + "\n\n⏹ **生成を停止しました。**";
-        if (contentEl) contentEl.innerHTML = safeMarkdown(stoppedContent);
-        // ★ 停止時もユーザーメッセージと途中の応答を履歴に保存（Edit/Regenerate対応）
-        currentMsgDiv.dataset.content = stoppedContent;
-        messages.push(userMessageForHistory);
-        messages.push({ id: assistantMsgId, role: "assistant", content: stoppedContent });
-        persistHistory();
-      } else if (e && e.name === "TimeoutError") {
-        // タイムアウト: 60秒間データなし
-        const timeoutMsg = currentContent
-          ? currentContent + "\n\n⏳ **応答がありません（60秒タイムアウト）**"
-          : "⏳ 応答がありません（60秒タイムアウト）";
-        if (contentEl) {
-          contentEl.innerHTML = safeMarkdown(timeoutMsg);
-          const retryBtn = document.createElement("button");
-          retryBtn.textContent = "🔄 再試行";
-          retryBtn.className = "msg-btn";
-          retryBtn.style.cssText = "margin-top:8px;padding:6px 16px;background:#17a2b8;color:#fff;border:none;border-radius:6px;cursor:pointer;font-size:0.9em";
-          retryBtn.onclick = () => {
-            currentMsgDiv.remove();
-            handleSend();
-          };
-          contentEl.appendChild(retryBtn);
-        }
-        if (currentContent) {
-          currentMsgDiv.dataset.content = timeoutMsg;
-          messages.push(userMessageForHistory);
-          messages.push({ id: assistantMsgId, role: "assistant", content: timeoutMsg });
-          persistHistory();
-        }
-      } else if (isLikelyServerOffline(e) && !currentContent) {
-        // 生成が始まる前のエラーのみ「接続できませんでした」と表示
-        if (contentEl) contentEl.textContent = "接続できませんでした。LM Studioが起動していない可能性があります。";
-        notify("⚠️ サーバーに接続できません。LM Studio/Ollamaが起動しているか、接続先サーバーの設定を確認してください。");
-      } else {
-        // 生成途中でのエラーは内容を保持してエラーを追記
-        const errorMsg = `\n\n⚠️ **エラーが発生しました**: ${e?.message || e}`;
-        if (contentEl) contentEl.innerHTML = safeMarkdown(currentContent + errorMsg);
-        console.error("Streaming error:", e);
+  /**
+   * キューのメッセージをその場で編集する（編集中はそのメッセージを送信しない）
+   * @param {string} id
+   */
+  function editQueuedPrompt(id) {
+    editingQueuedPromptId = id;
+    renderPromptQueue();
+    const input = /** @type {HTMLTextAreaElement|null} */ (el.promptQueue.querySelector(".queued-prompt-editor"));
+    if (input) {
+      input.focus();
+      input.setSelectionRange(input.value.length, input.value.length);
+    }
+  }
 
-        // 部分的なコンテンツがある場合は履歴に保存（再生成・編集対応）
-        if (currentContent) {
-          currentMsgDiv.dataset.content = currentContent + errorMsg;
-          messages.push(userMessageForHistory);
-          messages.push({ id: assistantMsgId, role: "assistant", content: currentContent + errorMsg });
-          persistHistory();
-        }
+  /**
+   * キューのメッセージの編集を終える
+   * @param {string} id
+   * @param {string|null} text - null: 編集を破棄
+   */
+  function finishQueuedPromptEdit(id, text) {
+    editingQueuedPromptId = null;
+    const item = promptQueue.find(q => q.id === id);
+    if (item && text !== null) {
+      if (text.trim()) {
+        item.text = text.trim();
+      } else {
+        promptQueue = promptQueue.filter(q => q !== item);
       }
-    } finally {
-      isStreaming = false;                     // ★ ストリーミング終了
-      userScrolledDuringStream = false;        // ★ スクロール状態リセット
-      el.stopBtn.disabled = true;
-      el.stopBtn.setAttribute("disabled", ""); // ★ 確実にdisabledを設定
-      el.sendBtn.disabled = false;
-      runtime.controller = null;
     }
+    persistPromptQueue();
+    // 編集中に前の応答が終わっていた場合はここで送信する
+    processPromptQueue();
   }
 
-  function handleStop() {
-    if (runtime.controller) runtime.controller.abort();
+  /**
+   * 送信待ちのメッセージ（入力欄の上の保留中の吹き出し）を描画する
+   */
+  function renderPromptQueue() {
+    const container = el.promptQueue;
+    if (!container) return;
+    container.innerHTML = "";
+    container.style.display = promptQueue.length > 0 ? "" : "none";
+    if (promptQueue.length === 0) return;
+
+    const header = document.createElement("div");
+    header.className = "prompt-queue-header";
+    const title = document.createElement("span");
+    title.textContent = promptQueuePaused
+      ? `⏸ 送信待ち ${promptQueue.length}件（一時停止中）`
+      : `📥 送信待ち ${promptQueue.length}件（応答の完了後に順に送信）`;
+    header.appendChild(title);
+    if (promptQueuePaused) {
+      const resumeBtn = document.createElement("button");
+      resumeBtn.className = "msg-btn";
+      resumeBtn.textContent = "▶ 送信を再開";
+      resumeBtn.onclick = resumePromptQueue;
+      header.appendChild(resumeBtn);
+    }
+    const clearBtn = document.createElement("button");
+    clearBtn.className = "msg-btn";
+    clearBtn.textContent = "すべて取り消す";
+    clearBtn.onclick = () => {
+      if (!confirm(`送信待ちの${promptQueue.length}件をすべて取り消しますか？`)) return;
+      promptQueue = [];
+      editingQueuedPromptId = null;
+      persistPromptQueue();
+    };
+    header.appendChild(clearBtn);
+    container.appendChild(header);
+
+    promptQueue.forEach((q, i) => {
+      const item = document.createElement("div");
+      item.className = "queued-prompt";
+      item.dataset.queueId = q.id;
+
+      if (q.id === editingQueuedPromptId) {
+        const input = document.createElement("textarea");
+        input.className = "queued-prompt-editor";
+        input.value = q.text;
+        input.onkeydown = (e) => {
+          if (e.isComposing || e.keyCode === 229) return;
+          if (e.key === "Escape") finishQueuedPromptEdit(q.id, null);
+          if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) finishQueuedPromptEdit(q.id, input.value);
+        };
+        const saveBtn = document.createElement("button");
+        saveBtn.className = "msg-btn";
+        saveBtn.textContent = "保存";
+        saveBtn.onclick = () => finishQueuedPromptEdit(q.id, input.value);
+        const cancelBtn = document.createElement("button");
+        cancelBtn.className = "msg-btn";
+        cancelBtn.textContent = "キャンセル";
+        cancelBtn.onclick = () => finishQueuedPromptEdit(q.id, null);
+        const actions = document.createElement("div");
+        actions.className = "queued-prompt-actions";
+        actions.append(saveBtn, cancelBtn);
+        item.append(input, actions);
+      } else {
+        const text = document.createElement("div");
+        text.className = "queued-prompt-text";
+        text.textContent = q.text;
+        const editBtn = document.createElement("button");
+        editBtn.className = "msg-btn";
+        editBtn.textContent = "✏️ 編集";
+        editBtn.onclick = () => editQueuedPrompt(q.id);
+        const cancelBtn = document.createElement("button");
+        cancelBtn.className = "msg-btn";
+        cancelBtn.textContent = "✕ 取り消す";
+        cancelBtn.onclick = () => removeQueuedPrompt(q.id);
+        const actions = document.createElement("div");
+        actions.className = "queued-prompt-actions";
+        const order = document.createElement("span");
+        order.className = "queued-prompt-order";
+        order.textContent = `#${i + 1}`;
+        actions.append(order, editBtn, cancelBtn);
+        item.append(text, actions);
+      }
+      container.appendChild(item);
+    });
   }
 
   // ---------------------------------------------------------------------------
@@ -3469,23 +9833,10 @@ AI応答テキスト:
 {TEXT}
 """
 
-以下のJSON形式で回答してください（他の文章は不要）:
-{
-  "hasIssues": true/false,
-  "issues": [
-    {
-      "original": "誤った用語または表現",
-      "suggested": "正しい用語または表現",
-      "reason": "理由"
-    }
-  ]
-}
-
 注意:
 - 明らかな誤りのみ指摘してください（略語、俗語、一般的な表現は許容）
 - 医学的に不正確な記述や誤解を招く表現を重点的にチェック
-- 問題がなければ hasIssues: false を返してください
-- 必ず有効なJSONのみを返してください`;
+- 問題がなければ hasIssues: false、issues は空配列を返してください`;
 
   /**
    * 医学用語チェックを実行
@@ -3493,53 +9844,18 @@ AI応答テキスト:
    * @returns {Promise<{hasIssues: boolean, issues: Array<{original: string, suggested: string, reason: string}>, correctedText: string}|null>}
    */
   async function checkMedicalTerminology(text) {
-    const base = trimTrailingSlashes(settings.baseUrl || el.baseUrl.value.trim());
-    const key = settings.apiKey || el.apiKey?.value?.trim() || DEFAULT_SETTINGS.apiKey;
-    const model = el.modelSelect.value || settings.model;
-
-    if (!model || !text.trim()) return null;
+    if (!text.trim()) return null;
 
     const prompt = MEDICAL_TERM_CHECK_PROMPT.replace("{TEXT}", text);
 
     try {
-      const res = await fetch(`${base}/chat/completions`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${key}`,
-        },
-        body: JSON.stringify({
-          model,
-          messages: [{ role: "user", content: prompt }],
-          temperature: 0.3,  // 低めで安定した結果を得る
-          max_tokens: 1024,
-        }),
-      });
-
-      if (!res.ok) {
-        console.error("Medical term check failed:", res.status);
-        return null;
-      }
-
-      const data = await res.json();
-      const content = data.choices?.[0]?.message?.content || "";
-
-      // JSONを抽出（```json ... ``` でラップされている場合も対応）
-      let jsonStr = content;
-      const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-      if (jsonMatch) {
-        jsonStr = jsonMatch[1];
-      }
-
-      // JSONの開始位置を探す
-      const jsonStart = jsonStr.indexOf("{");
-      const jsonEnd = jsonStr.lastIndexOf("}");
-      if (jsonStart !== -1 && jsonEnd !== -1) {
-        jsonStr = jsonStr.slice(jsonStart, jsonEnd + 1);
-      }
-
-      const result = JSON.parse(jsonStr);
-      return result;
+      // v1.9.0: JSON Schema で出力形式を固定し、検証に通った結果のみを返す
+      const result = await requestStructuredOutput(
+        [{ role: "user", content: prompt }],
+        STRUCTURED_OUTPUTS.termCheck,
+        { temperature: 0.3, maxTokens: 1024 },  // 低めで安定した結果を得る
+      );
+      return result ? result.data : null;
     } catch (e) {
       console.error("Medical term check error:", e);
       return null;
@@ -3684,25 +10000,27 @@ AI応答テキスト:
   }
 
   /**
-   * System Promptプリセットを適用する
+   * System Promptプリセットの文面と表示名
    * @param {string} presetKey
+   * @returns {{prompt: string|undefined, label: string}}
    */
-  function applySystemPromptPreset(presetKey) {
-    if (!presetKey) return;
-
-    let prompt;
-    let label;
+  function resolveSystemPromptPreset(presetKey) {
     // ビルトインプリセット
     if (SYSTEM_PROMPT_BUILTINS[presetKey]) {
-      prompt = SYSTEM_PROMPT_BUILTINS[presetKey].prompt;
-      label = SYSTEM_PROMPT_BUILTINS[presetKey].label;
-    } else {
-      // ユーザー定義プリセット
-      const presets = loadSystemPromptPresets();
-      prompt = presets[presetKey];
-      label = presetKey;
+      return { prompt: SYSTEM_PROMPT_BUILTINS[presetKey].prompt, label: SYSTEM_PROMPT_BUILTINS[presetKey].label };
     }
+    // ユーザー定義プリセット
+    return { prompt: loadSystemPromptPresets()[presetKey], label: presetKey };
+  }
 
+  /**
+   * System Promptプリセットを適用する
+   * @param {string} presetKey
+   */
+  function applySystemPromptPreset(presetKey) {
+    if (!presetKey) return;
+
+    const { prompt, label } = resolveSystemPromptPreset(presetKey);
     if (prompt) {
       el.systemPrompt.value = prompt;
       saveSettingsFromUI();
@@ -3758,8 +10076,11 @@ AI応答テキスト:
   function clearHistory() {
     if (!confirm("画面の会話をすべて削除します。\n削除後は元に戻せません。\n\nよろしいですか？")) return;
     messages = [];
-    topicStartIndex = 0;
-    localStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(messages));
+    branchNodes = [];
+    pendingEditMsgId = null;
+    topicBreaks = [];
+    const current = sessions.find(s => s.id === currentSessionId);
+    if (current) delete current.rollingSummary;
     // セッション側の履歴も同期
     syncCurrentSession();
     el.chat.innerHTML = "";
@@ -3885,6 +10206,7 @@ AI応答テキスト:
    * 添付ファイル一覧UIを更新
    */
   function renderAttachmentList() {
+    scheduleContextMeterUpdate();  // v1.9.0
     if (attachments.length === 0) {
       el.attachmentList.style.display = "none";
       el.attachmentList.innerHTML = "";
@@ -4295,6 +10617,8 @@ AI応答テキスト:
     el.prompt.setSelectionRange(el.prompt.value.length, el.prompt.value.length);
 
     closePresetPanel();
+    // v1.9.0: 対応するプリセットは次の送信を構造化出力にする
+    if (PRESET_STRUCTURED_OUTPUTS[presetKey]) setStructuredOutputMode(PRESET_STRUCTURED_OUTPUTS[presetKey]);
     notify(`✅ プリセット「${label}」を挿入しました`);
   }
 
@@ -4334,18 +10658,35 @@ AI応答テキスト:
         e.preventDefault();
         toggleShortcutsModal();
       }
+      // v1.9.0: Ctrl+Shift+F / Cmd+Shift+F で全セッション検索
+      if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === "f") {
+        e.preventDefault();
+        openSearchModal();
+      }
       // Esc で各パネル/モーダルを閉じる
       if (e.key === "Escape") {
         if (el.shortcutsModal && el.shortcutsModal.style.display === "flex") {
           el.shortcutsModal.style.display = "none";
           return;
         }
+        if (el.searchModal && el.searchModal.style.display === "flex") {
+          closeSearchModal();
+          return;
+        }
+        if (el.rollingSummaryModal && el.rollingSummaryModal.style.display === "flex") {
+          closeRollingSummaryModal();
+          return;
+        }
         if (el.settingsPanel.classList.contains("open")) {
           closeSettingsPanel();
         }
         if (el.presetPanel.classList.contains("open")) {
           closePresetPanel();
         }
+        if (pendingEditMsgId) {
+          cancelPendingEdit(true);
+          notify("✏️ 編集をキャンセルしました");
+        }
       }
     });
   }
@@ -4453,6 +10794,23 @@ AI応答テキスト:
       el.autoUnloadToggle.onchange = save;
     }
 
+    // v1.9.0: 自動再試行・タイムアウト（範囲外の値は丸めて表示し直す）
+    for (const key of Object.keys(SETTING_RANGES)) {
+      if (!el[key]) continue;
+      el[key].onchange = () => {
+        save();
+        el[key].value = String(settings[key]);
+      };
+    }
+
+    // v1.9.0: Ollama モデル取得
+    if (el.ollamaPullBtn) {
+      el.ollamaPullBtn.onclick = pullOllamaModelFromUI;
+      el.ollamaPullName.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") pullOllamaModelFromUI();
+      });
+    }
+
     // v1.8.0: reasoning_effort
     if (el.reasoningEffort) {
       el.reasoningEffort.onchange = save;
@@ -4481,6 +10839,22 @@ AI応答テキスト:
       el.enableQwen3ThinkingToggle.onchange = save;
     }
 
+    // v1.9.0: セッションタイトル/要約の自動生成
+    if (el.autoSessionTitleToggle) {
+      el.autoSessionTitleToggle.onchange = save;
+    }
+    if (el.rollingSummaryToggle) {
+      el.rollingSummaryToggle.onchange = save;
+    }
+    if (el.enableToolsToggle) {
+      el.enableToolsToggle.onchange = save;
+    }
+
+    // v1.9.0: 会話ごとの設定 / グローバル設定の切替
+    if (el.useGlobalSettingsToggle) {
+      el.useGlobalSettingsToggle.onchange = () => setSessionUseGlobalSettings(el.useGlobalSettingsToggle.checked);
+    }
+
     // v1.7.2: System Promptプリセット
     if (el.systemPromptPresetSelect) {
       el.systemPromptPresetSelect.onchange = () => {
@@ -4502,8 +10876,12 @@ AI応答テキスト:
       const details = runtime.modelDetails.get(id);
       const previousModel = settings.model;
 
+      // v1.9.0: モデルに紐付いたパラメータプロファイルを適用
+      // （会話の切替で復元する場合は isTrusted が false。会話に記憶したパラメータを優先する）
+      if (e.isTrusted) applyModelSamplingProfile(id);
+
       // v1.7.0: 未ロードモデルを選択した場合は自動ロード
-      if (runtime.lmstudioV1Available && details?.state === MODEL_STATE.NOT_LOADED) {
+      if (supportsModelManagement(id) && details?.state === MODEL_STATE.NOT_LOADED) {
         const displayName = id.replace(/^.*\//, "");
         notify(`⏳ モデル ${displayName} を読み込み中...`);
         el.modelSelect.disabled = true;
@@ -4515,7 +10893,7 @@ AI応答テキスト:
             if (prevDetails?.state === MODEL_STATE.LOADED) {
               const prevName = previousModel.replace(/^.*\//, "");
               notify(`⏳ ${prevName} をアンロード中...`);
-              const unloaded = await unloadModelV1(previousModel);
+              const unloaded = await unloadModelOnServer(previousModel);
               if (unloaded) {
                 prevDetails.state = MODEL_STATE.NOT_LOADED;
                 runtime.modelDetails.set(previousModel, prevDetails);
@@ -4523,7 +10901,7 @@ AI応答テキスト:
             }
           }
 
-          await loadModelV1(id);
+          await loadModelOnServer(id);
           // 状態を更新
           details.state = MODEL_STATE.LOADED;
           runtime.modelDetails.set(id, details);
@@ -4549,12 +10927,12 @@ AI応答テキスト:
 
       // 通常のモデル切り替え（両方ロード済みモデル間の切り替え）
       // v1.7.3: 自動アンロードが有効かつ前モデルが存在する場合
-      if (settings.autoUnload && runtime.lmstudioV1Available && previousModel && previousModel !== id) {
+      if (settings.autoUnload && previousModel && previousModel !== id && supportsModelManagement(previousModel)) {
         const prevDetails = runtime.modelDetails.get(previousModel);
         if (prevDetails?.state === MODEL_STATE.LOADED) {
           const prevName = previousModel.replace(/^.*\//, "");
           notify(`⏳ ${prevName} をアンロード中...`);
-          const unloaded = await unloadModelV1(previousModel);
+          const unloaded = await unloadModelOnServer(previousModel);
           if (unloaded) {
             prevDetails.state = MODEL_STATE.NOT_LOADED;
             runtime.modelDetails.set(previousModel, prevDetails);
@@ -4583,6 +10961,7 @@ AI応答テキスト:
     el.sendBtn.onclick = handleSend;
     el.stopBtn.onclick = handleStop;
     el.clearBtn.onclick = clearHistory;
+    if (el.newTopicBtn) el.newTopicBtn.onclick = startNewTopic;
 
     // v1.7.0: モデルドロップダウンクリック時に自動リフレッシュ（スロットリング付き）
     el.modelSelect.addEventListener("mousedown", () => {
@@ -4598,6 +10977,7 @@ AI応答テキスト:
     el.prompt.addEventListener("input", () => {
       autoResizeTextarea(el.prompt);
       scheduleDraftSave();
+      scheduleContextMeterUpdate();  // v1.9.0
     });
   }
 
@@ -4666,7 +11046,7 @@ AI応答テキスト:
     updateCompareRow();
 
     if (compareMode) {
-      notify("⚖️ 比較モード ON - 2つのモデルの回答を並べて表示します（LM Studio Developers設定の「JIT models auto-evict」をOFFにしてください）");
+      notify(`⚖️ 比較モード ON - 最大${LIMITS.MAX_COMPARE_MODELS}つのモデルの回答を並べて表示します（＋で追加。LM Studio Developers設定の「JIT models auto-evict」をOFFにしてください）`);
     } else {
       notify("⚖️ 比較モード OFF");
     }
@@ -4697,41 +11077,288 @@ AI応答テキスト:
   }
 
   /**
-   * 比較モデルドロップダウンを更新（メインドロップダウンと同じ内容）
+   * 比較対象の列（メインモデル + 比較モデル）のモデルID一覧（v1.9.0: 最大 LIMITS.MAX_COMPARE_MODELS 列）
+   * @returns {string[]}
    */
-  function updateCompareModelDropdown() {
-    if (!el.compareModelSelect) return;
+  function getCompareModels() {
+    const main = el.modelSelect.value || settings.model;
+    const picked = [...el.compareModelList.querySelectorAll("select")].map(sel => sel.value);
+    return [main, ...picked];
+  }
 
-    const currentCompareValue = el.compareModelSelect.value;
-    el.compareModelSelect.innerHTML = "";
+  /**
+   * 比較モデルの選択欄を1つ追加する（まだ選ばれていないモデルを初期選択）
+   * @param {string} [value]
+   */
+  function addCompareModelPicker(value = "") {
+    const pickers = el.compareModelList.querySelectorAll(".compare-model-picker");
+    if (pickers.length + 1 >= LIMITS.MAX_COMPARE_MODELS) return;
+
+    const picker = document.createElement("span");
+    picker.className = "compare-model-picker";
+    const select = document.createElement("select");
+    select.title = "比較対象のモデルを選択";
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "compare-model-remove";
+    removeBtn.textContent = "✕";
+    removeBtn.title = "この比較モデルを外す";
+    removeBtn.onclick = () => {
+      picker.remove();
+      updateComparePickerButtons();
+    };
+    picker.append(select, removeBtn);
+    el.compareModelList.appendChild(picker);
+
+    fillCompareModelOptions(select, value);
+    updateComparePickerButtons();
+  }
+
+  /**
+   * 比較モデルの追加/削除ボタンの状態を更新する（比較モデルは最低1つ）
+   */
+  function updateComparePickerButtons() {
+    const pickers = el.compareModelList.querySelectorAll(".compare-model-picker");
+    pickers.forEach(p => {
+      /** @type {HTMLButtonElement} */ (p.querySelector(".compare-model-remove")).style.display = pickers.length > 1 ? "" : "none";
+    });
+    el.compareAddModelBtn.disabled = pickers.length + 1 >= LIMITS.MAX_COMPARE_MODELS;
+  }
+
+  /**
+   * 比較モデルの選択肢をメインドロップダウンと同じ内容にする
+   * @param {HTMLSelectElement} select
+   * @param {string} [preferred] - 選択したいモデル（なければ他の列で使われていないモデル）
+   */
+  function fillCompareModelOptions(select, preferred = "") {
+    const current = preferred || select.value;
+    select.innerHTML = "";
 
     // メインドロップダウンからオプションをコピー
     for (const opt of el.modelSelect.options) {
       const newOpt = document.createElement("option");
       newOpt.value = opt.value;
       newOpt.textContent = opt.textContent;
-      el.compareModelSelect.appendChild(newOpt);
-    }
-
-    // 前の選択を復元（なければ2番目のモデルを選択）
-    if (currentCompareValue && [...el.compareModelSelect.options].some(o => o.value === currentCompareValue)) {
-      el.compareModelSelect.value = currentCompareValue;
-    } else if (el.compareModelSelect.options.length > 1) {
-      // メインと異なるモデルを選択
-      const mainModel = el.modelSelect.value;
-      for (const opt of el.compareModelSelect.options) {
-        if (opt.value !== mainModel) {
-          el.compareModelSelect.value = opt.value;
-          break;
-        }
-      }
+      select.appendChild(newOpt);
+    }
+
+    // 前の選択を復元（なければメイン・他の比較モデルと異なるモデルを選択）
+    if (current && [...select.options].some(o => o.value === current)) {
+      select.value = current;
+      return;
+    }
+    const used = new Set(getCompareModels());
+    const free = [...select.options].find(o => !used.has(o.value));
+    if (free) select.value = free.value;
+  }
+
+  /**
+   * 比較モデルドロップダウンを更新（メインドロップダウンと同じ内容）
+   */
+  function updateCompareModelDropdown() {
+    if (!el.compareModelList) return;
+    const selects = [...el.compareModelList.querySelectorAll("select")];
+    if (selects.length === 0) {
+      addCompareModelPicker();
+      return;
+    }
+    selects.forEach(sel => fillCompareModelOptions(sel));
+  }
+
+  // ---------------------------------------------------------------------------
+  // v1.9.0: Parameter Sweep（1つのモデルをパラメータを変えて比較）
+  //   比較モードの列をメインモデルで埋め、列ごとに温度・System Prompt・Thinking を変える。
+  //   列の設定は比較ターンの各応答に params として保存し、列の見出しに表示する
+  // ---------------------------------------------------------------------------
+
+  /** Thinking の指定の表示名 */
+  const SWEEP_THINKING_LABELS = Object.freeze({ on: "思考ON", off: "思考OFF" });
+
+  /**
+   * 列の見出しに添えるパラメータの説明
+   * @param {SweepParams} params
+   * @returns {string}
+   */
+  function formatSweepLabel(params) {
+    const parts = [];
+    if (typeof params.temperature === "number") parts.push(`T=${params.temperature}`);
+    if (params.systemPreset) parts.push(resolveSystemPromptPreset(params.systemPreset).label);
+    if (params.thinking) parts.push(SWEEP_THINKING_LABELS[params.thinking]);
+    return parts.join(" · ") || "現在の設定";
+  }
+
+  /**
+   * インポート・読み込み時の SweepParams の検証（不正な項目は捨てる）
+   * @param {any} p
+   * @returns {SweepParams|undefined}
+   */
+  function normalizeSweepParams(p) {
+    if (!p || typeof p !== "object") return undefined;
+    /** @type {SweepParams} */
+    const params = {};
+    if (typeof p.temperature === "number" && Number.isFinite(p.temperature)) params.temperature = p.temperature;
+    if (typeof p.systemPreset === "string" && p.systemPreset) params.systemPreset = p.systemPreset;
+    if (p.thinking === "on" || p.thinking === "off") params.thinking = p.thinking;
+    return params;
+  }
+
+  /**
+   * スイープのパラメータの組（1列分）の入力欄を追加する
+   * @param {SweepParams} [params] - 初期値
+   */
+  function addSweepParamSet(params = {}) {
+    const sets = el.compareSweepList.querySelectorAll(".compare-sweep-set");
+    if (sets.length >= LIMITS.MAX_COMPARE_MODELS) return;
+
+    const set = document.createElement("span");
+    set.className = "compare-sweep-set";
+
+    const temp = document.createElement("input");
+    temp.type = "number";
+    temp.className = "compare-sweep-temp";
+    temp.min = "0";
+    temp.max = "2";
+    temp.step = "0.1";
+    temp.placeholder = "温度";
+    temp.title = "温度（空欄で現在の設定）";
+    if (typeof params.temperature === "number") temp.value = String(params.temperature);
+
+    const system = document.createElement("select");
+    system.className = "compare-sweep-system";
+    system.title = "System Prompt（プリセットから選択。未選択で現在の設定）";
+    fillSweepSystemOptions(system, params.systemPreset);
+
+    const thinking = document.createElement("select");
+    thinking.className = "compare-sweep-thinking";
+    thinking.title = "Thinking（思考プロセス）の有効/無効";
+    thinking.add(new Option("思考: 既定", ""));
+    Object.entries(SWEEP_THINKING_LABELS).forEach(([value, label]) => thinking.add(new Option(label, value)));
+    thinking.value = params.thinking || "";
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "compare-model-remove";
+    removeBtn.textContent = "✕";
+    removeBtn.title = "この列を外す";
+    removeBtn.onclick = () => {
+      set.remove();
+      updateSweepButtons();
+    };
+
+    set.append(temp, system, thinking, removeBtn);
+    el.compareSweepList.appendChild(set);
+    updateSweepButtons();
+  }
+
+  /**
+   * スイープの追加/削除ボタンの状態を更新する（列は最低2つ）
+   */
+  function updateSweepButtons() {
+    const sets = el.compareSweepList.querySelectorAll(".compare-sweep-set");
+    sets.forEach(s => {
+      /** @type {HTMLButtonElement} */ (s.querySelector(".compare-model-remove")).style.display = sets.length > 2 ? "" : "none";
+    });
+    el.compareSweepAddBtn.disabled = sets.length >= LIMITS.MAX_COMPARE_MODELS;
+  }
+
+  /**
+   * System Prompt の選択肢をプリセット（ビルトイン + ユーザー定義）で作り直す
+   * @param {HTMLSelectElement} select
+   * @param {string} [preferred]
+   */
+  function fillSweepSystemOptions(select, preferred = "") {
+    const current = preferred || select.value;
+    select.innerHTML = "";
+    select.add(new Option("SP: 現在の設定", ""));
+    for (const [key, { label }] of Object.entries(SYSTEM_PROMPT_BUILTINS)) {
+      select.add(new Option(label, key));
+    }
+    for (const name of Object.keys(loadSystemPromptPresets())) {
+      select.add(new Option(name, name));
+    }
+    if ([...select.options].some(o => o.value === current)) select.value = current;
+  }
+
+  /**
+   * すべての列の System Prompt の選択肢を作り直す（削除されたプリセットの選択は「現在の設定」に戻る）
+   */
+  function fillSweepSystemOptionsAll() {
+    el.compareSweepList.querySelectorAll(".compare-sweep-system").forEach(sel => {
+      fillSweepSystemOptions(/** @type {HTMLSelectElement} */ (sel));
+    });
+  }
+
+  /**
+   * 入力欄からスイープの列ごとのパラメータを取得する
+   * @returns {SweepParams[]}
+   */
+  function getSweepParamSets() {
+    return [...el.compareSweepList.querySelectorAll(".compare-sweep-set")].map(set => {
+      const temp = /** @type {HTMLInputElement} */ (set.querySelector(".compare-sweep-temp")).value.trim();
+      const system = /** @type {HTMLSelectElement} */ (set.querySelector(".compare-sweep-system")).value;
+      const thinking = /** @type {HTMLSelectElement} */ (set.querySelector(".compare-sweep-thinking")).value;
+      /** @type {SweepParams} */
+      const params = {};
+      if (temp !== "") params.temperature = Number(temp);
+      if (system) params.systemPreset = system;
+      if (thinking === "on" || thinking === "off") params.thinking = thinking;
+      return params;
+    });
+  }
+
+  /**
+   * スイープのON/OFF（ONの間は比較モデルの選択欄・ブラインド評価を隠す）
+   */
+  function toggleCompareSweep() {
+    compareSweep = el.compareSweepToggle.checked;
+    el.compareModelList.style.display = compareSweep ? "none" : "";
+    el.compareAddModelBtn.style.display = compareSweep ? "none" : "";
+    el.compareBlindToggle.parentElement.style.display = compareSweep ? "none" : "";
+    el.compareSweepRow.style.display = compareSweep ? "inline" : "none";
+
+    if (!compareSweep) {
+      notify("🎛 パラメータスイープ OFF");
+      return;
+    }
+    if (el.compareSweepList.querySelectorAll(".compare-sweep-set").length === 0) {
+      addSweepParamSet({ temperature: 0.2 });
+      addSweepParamSet({ temperature: 1.0 });
+    } else {
+      fillSweepSystemOptionsAll();
     }
+    notify("🎛 パラメータスイープ ON - メインモデルに列ごとのパラメータで同じ質問を送信します");
   }
 
   function wireCompareEvents() {
     if (el.compareBtn) {
       el.compareBtn.onclick = toggleCompareMode;
     }
+    if (el.compareAddModelBtn) {
+      el.compareAddModelBtn.onclick = () => addCompareModelPicker();  // v1.9.0
+    }
+    // v1.9.0: ブラインド評価
+    if (el.compareBlindToggle) {
+      el.compareBlindToggle.onchange = () => {
+        compareBlind = el.compareBlindToggle.checked;
+        notify(compareBlind
+          ? "🙈 ブラインド評価 ON - 2つの回答をモデル名を隠して表示します。良い方に投票するとモデル名が表示されます"
+          : "🙈 ブラインド評価 OFF");
+      };
+    }
+    // v1.9.0: パラメータスイープ
+    if (el.compareSweepToggle) {
+      el.compareSweepToggle.onchange = toggleCompareSweep;
+      el.compareSweepAddBtn.onclick = () => addSweepParamSet();
+    }
+    if (el.eloExportCsvBtn) {
+      el.eloExportCsvBtn.onclick = exportEloLeaderboardCsv;
+    }
+    if (el.votesExportCsvBtn) {
+      el.votesExportCsvBtn.onclick = exportVotesCsv;
+    }
+    if (el.votesClearBtn) {
+      el.votesClearBtn.onclick = clearBlindVotes;
+    }
   }
 
   /**
@@ -4809,6 +11436,43 @@ AI応答テキスト:
     }
   }
 
+  function wireRollingSummaryEvents() {
+    if (el.rollingSummaryBtn) el.rollingSummaryBtn.onclick = openRollingSummaryModal;
+    if (el.rollingSummaryCloseBtn) el.rollingSummaryCloseBtn.onclick = closeRollingSummaryModal;
+    if (el.rollingSummarySaveBtn) el.rollingSummarySaveBtn.onclick = saveRollingSummaryEdit;
+    if (el.rollingSummaryClearBtn) el.rollingSummaryClearBtn.onclick = clearRollingSummary;
+    if (el.rollingSummaryModal) {
+      // 背景クリックで閉じる
+      el.rollingSummaryModal.addEventListener("click", (e) => {
+        if (e.target === el.rollingSummaryModal) closeRollingSummaryModal();
+      });
+    }
+  }
+
+  function wireSearchEvents() {
+    if (el.searchBtn) el.searchBtn.onclick = openSearchModal;
+    if (el.searchCloseBtn) el.searchCloseBtn.onclick = closeSearchModal;
+    if (el.searchModal) {
+      // 背景クリックで閉じる
+      el.searchModal.addEventListener("click", (e) => {
+        if (e.target === el.searchModal) closeSearchModal();
+      });
+    }
+    if (el.searchInput) {
+      let timer = null;
+      el.searchInput.addEventListener("input", () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => executeSessionSearch(el.searchInput.value), 200);
+      });
+    }
+    if (el.searchResults) {
+      el.searchResults.addEventListener("click", (e) => {
+        const hit = /** @type {HTMLElement} */ (e.target).closest(".search-result");
+        if (hit) openSearchHit(hit.dataset.sessionId || "", hit.dataset.msgId || "");
+      });
+    }
+  }
+
   function wireModelVisibilityEvents() {
     // イベント委任: チェックボックスの変更を親要素で検知
     if (el.modelVisibilityList) {
@@ -4868,12 +11532,88 @@ AI応答テキスト:
             }
             break;
           }
+          case "summarize":
+            generateSessionTitle(sessionId);
+            break;
+          case "pin":
+            toggleSessionPinned(sessionId);
+            break;
+          case "tags": {
+            const session = sessions.find(s => s.id === sessionId);
+            if (!session) break;
+            const input = prompt("タグ（カンマ区切り、空欄で解除）:", (session.tags || []).join(", "));
+            if (input !== null) setSessionTags(sessionId, input);
+            break;
+          }
+          case "folder": {
+            const session = sessions.find(s => s.id === sessionId);
+            if (!session) break;
+            const existing = [...new Set(sessions.map(s => s.folder).filter(Boolean))];
+            const hint = existing.length > 0 ? `\n既存: ${existing.join(", ")}` : "";
+            const input = prompt(`フォルダ名（空欄でフォルダなし）:${hint}`, session.folder || "");
+            if (input !== null) setSessionFolder(sessionId, input);
+            break;
+          }
+          case "archive":
+            toggleSessionArchived(sessionId);
+            break;
           case "delete":
-            deleteSession(sessionId);
+            trashSession(sessionId);
+            break;
+          case "restore":
+            restoreSession(sessionId);
+            break;
+          case "purge":
+            if (!confirm("このセッションを完全に削除しますか？\nこの操作は取り消せません。")) break;
+            purgeSession(sessionId);
+            persistSessions();
+            renderSessionList();
+            notify("🗑 セッションを完全に削除しました");
             break;
         }
       });
     }
+
+    // v1.9.0: 表示条件（表示対象・フォルダ・タグ・並び順）
+    if (el.sessionViewSelect) {
+      el.sessionViewSelect.onchange = () => {
+        sessionListFilter.view = /** @type {any} */ (el.sessionViewSelect.value);
+        renderSessionList();
+      };
+    }
+    if (el.sessionFolderFilter) {
+      el.sessionFolderFilter.onchange = () => {
+        sessionListFilter.folder = el.sessionFolderFilter.value;
+        renderSessionList();
+      };
+    }
+    if (el.sessionTagFilter) {
+      el.sessionTagFilter.onchange = () => {
+        sessionListFilter.tag = el.sessionTagFilter.value;
+        renderSessionList();
+      };
+    }
+    if (el.sessionSortSelect) {
+      el.sessionSortSelect.onchange = () => {
+        sessionListFilter.sort = /** @type {any} */ (el.sessionSortSelect.value);
+        renderSessionList();
+      };
+    }
+    if (el.emptyTrashBtn) el.emptyTrashBtn.onclick = emptyTrash;
+  }
+
+  function wireExportEvents() {
+    if (el.exportJsonBtn) el.exportJsonBtn.onclick = () => exportSessions("json");
+    if (el.exportMarkdownBtn) el.exportMarkdownBtn.onclick = () => exportSessions("markdown");
+    if (el.exportHtmlBtn) el.exportHtmlBtn.onclick = () => exportSessions("html");
+    if (el.importSessionsBtn && el.importSessionsInput) {
+      el.importSessionsBtn.onclick = () => el.importSessionsInput.click();
+      el.importSessionsInput.addEventListener("change", async (e) => {
+        const file = e.target.files?.[0];
+        if (file) await importSessionsFromFile(file);
+        el.importSessionsInput.value = "";
+      });
+    }
   }
 
   function wirePresetEvents() {
@@ -4902,11 +11642,6 @@ AI応答テキスト:
   // Init
   // ---------------------------------------------------------------------------
 
-  function renderHistoryFromStorage() {
-    messages = loadHistory();
-    messages.forEach(m => appendMessage(m.role, m.content, { save: false, imageData: m.imageData || null, imageDataList: m.imageDataList || null, msgId: m.id }));
-  }
-
   async function init() {
     // IndexedDB 初期化（画像オフロード用）
     openImageDb().catch(e => console.warn("[IDB] 初期化失敗:", e));
@@ -4931,18 +11666,18 @@ AI応答テキスト:
     loadPresetToEditor();
     updateSystemPromptPresetSelect();  // v1.7.2: System Promptプリセット初期化
 
-    // v1.8.0: セッション管理を初期化（renderHistoryFromStorageの前に）
-    loadSessions();
+    // v1.8.0: セッション管理を初期化（v1.9.0: IndexedDB から非同期に読込）
+    await loadSessions();
+    applySessionSettings(sessions.find(s => s.id === currentSessionId));  // v1.9.0
 
-    renderHistoryFromStorage();
-
-    // v1.8.0: メッセージが空ならウェルカム画面を表示
-    if (messages.length === 0) {
-      showWelcomeScreen();
-    }
+    // 現在のセッションを描画（メッセージが空ならウェルカム画面を表示）
+    renderChatFromMessages();
+    startupNotices.forEach(notify);
+    startupNotices = [];
 
     // v1.8.0: セッションリストを描画
     renderSessionList();
+    renderEloLeaderboard();  // v1.9.0
 
     initSettingsTabs();
     wireSettingsEvents();
@@ -4954,8 +11689,15 @@ AI応答テキスト:
     wireHelpEvents();            // ★ ヘルプモードイベント
     wireCompareEvents();         // ★ 比較モードイベント (v1.7.0)
     wireShortcutsEvents();       // ★ ショートカットモーダル (v1.8.0)
+    wireSearchEvents();          // ★ 全セッション検索 (v1.9.0)
+    wireRollingSummaryEvents();  // ★ ローリング要約 (v1.9.0)
+    wireStructuredOutputEvents(); // ★ 構造化出力 (v1.9.0)
+    wireSamplingEvents();        // ★ 詳細パラメータ/プロファイル (v1.9.0)
+    wireConnectionEvents();      // ★ 複数の接続先 (v1.9.0)
+    renderToolList();            // ★ ツール一覧 (v1.9.0)
     wireModelVisibilityEvents(); // ★ モデル表示フィルター (v1.8.0)
     wireSessionEvents();         // ★ セッション管理 (v1.8.0)
+    wireExportEvents();          // ★ エクスポート/インポート (v1.9.0)
     wirePresetEvents();
     setupKeyboardShortcuts();
     setupPasteImage();
@@ -4963,6 +11705,7 @@ AI応答テキスト:
 
     // 起動時に同期
     await refreshModels();
+    startHealthChecks();         // v1.9.0: 接続先の定期ヘルスチェック
   }
 
   // bootstrap